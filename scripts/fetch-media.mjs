@@ -0,0 +1,96 @@
+/**
+ * Downloads the photos used by the scenarios into public/media/ for the
+ * self-hosted media mode (VITE_MEDIA_MODE=local, see docs/local-media.md).
+ *
+ *   node scripts/fetch-media.mjs [--width 900] [--force]
+ *
+ * - every Unsplash photo id in public/scenarios/*.json -> public/media/images/<id>.jpg
+ * - every reel id -> public/media/reels/<id>.jpg (YouTube thumbnail, used as poster)
+ *
+ * Reel clips are NOT downloaded: put your own short .webm/.mp4 files in
+ * public/media/reels/ (named after the reel id). The script lists the missing ones.
+ * Files already on disk are kept unless --force is given.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SCENARIOS = path.join(ROOT, "public", "scenarios");
+const IMAGES = path.join(ROOT, "public", "media", "images");
+const REELS = path.join(ROOT, "public", "media", "reels");
+
+const widthArg = process.argv.indexOf("--width");
+const WIDTH = Number(widthArg > -1 ? process.argv[widthArg + 1] : 900) || 900;
+const FORCE = process.argv.includes("--force");
+const CONCURRENCY = 4;
+
+// Same rule as photoUrl() in src/media.js: anything that looks like a URL is not ours to fetch
+const isPhotoId = (v) => typeof v === "string" && v && !/^(https?:|data:|\/)/.test(v);
+
+function collect() {
+  const photos = new Set();
+  const reels = new Set();
+  const files = fs.readdirSync(SCENARIOS).filter((f) => f.endsWith(".json") && f !== "index.json");
+  files.forEach((file) => {
+    const data = JSON.parse(fs.readFileSync(path.join(SCENARIOS, file), "utf8"));
+    const add = (v) => { if (isPhotoId(v)) photos.add(v); };
+    Object.values(data.contentPacks || {}).forEach((pack) => pack.forEach((item) => add(item.img)));
+    (data.stories || []).forEach((s) => { add(s.avatar); s.slides.forEach((sl) => add(sl.img)); });
+    (data.friendRequests || []).forEach((r) => add(r.avatar));
+    (data.dms || []).forEach((dm) => add(dm.avatar));
+    (data.reels || []).forEach((r) => reels.add(r.id));
+  });
+  return { photos: [...photos], reels: [...reels], files };
+}
+
+async function download(url, file) {
+  if (!FORCE && fs.existsSync(file)) return "kept";
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  fs.writeFileSync(file, Buffer.from(await res.arrayBuffer()));
+  return "downloaded";
+}
+
+// A few downloads at a time: enough to be quick, polite enough not to get throttled
+async function runAll(jobs) {
+  const results = [];
+  let next = 0;
+  async function worker() {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      try {
+        results.push({ ...job, status: await download(job.url, job.file) });
+      } catch (e) {
+        results.push({ ...job, status: "failed", error: e.message });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  return results;
+}
+
+async function main() {
+  const { photos, reels, files } = collect();
+  fs.mkdirSync(IMAGES, { recursive: true });
+  fs.mkdirSync(REELS, { recursive: true });
+  console.log(`${files.length} scenario files: ${photos.length} photos, ${reels.length} reels`);
+
+  const jobs = [
+    ...photos.map((id) => ({ id, url: `https://images.unsplash.com/${id}?auto=format&fit=crop&w=${WIDTH}&q=80&fm=jpg`, file: path.join(IMAGES, `${id}.jpg`) })),
+    ...reels.map((id) => ({ id, url: `https://img.youtube.com/vi/${id}/0.jpg`, file: path.join(REELS, `${id}.jpg`) })),
+  ];
+  const results = await runAll(jobs);
+  const count = (status) => results.filter((r) => r.status === status).length;
+  console.log(`downloaded ${count("downloaded")}, already there ${count("kept")}, failed ${count("failed")}`);
+  results.filter((r) => r.status === "failed").forEach((r) => console.log(`  ✗ ${r.id}: ${r.error}`));
+
+  const missingClips = reels.filter((id) => !["webm", "mp4"].some((ext) => fs.existsSync(path.join(REELS, `${id}.${ext}`))));
+  if (missingClips.length) {
+    console.log(`\n${missingClips.length} reels have no clip yet; add public/media/reels/<id>.webm or .mp4 for:`);
+    missingClips.forEach((id) => console.log(`  ${id}`));
+  }
+  if (count("failed")) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,183 @@
+/**
+ * ScrollTrap classroom server – minimal LAN stand-in backend for teacher mode.
+ *
+ * No dependencies, everything in memory: restarting the server forgets every
+ * session. If `dist/` exists (after `npm run build`) it is served too, so the
+ * whole class can open the app from the teacher's laptop.
+ *
+ *   node server/classroom-server.mjs [--port 8787]
+ *
+ * API
+ *   POST /api/sessions                 { code }  -> 201 { code }
+ *   GET  /api/sessions/:code                     -> { code, createdAt, results: [...] }
+ *   POST /api/sessions/:code/results   result    -> 201 { ok: true }
+ */
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DIST = path.join(ROOT, "dist");
+const portArg = process.argv.indexOf("--port");
+const PORT = Number(portArg > -1 ? process.argv[portArg + 1] : process.env.PORT) || 8787;
+
+const MAX_BODY = 8 * 1024;
+const MAX_RESULTS = 200;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Same whitelist as src/classroom.js: the handle plus numbers, nothing else
+const TEXT_FIELDS = ["id", "handle", "seed"];
+const NUMBER_FIELDS = ["submittedAt", "estimatedTime", "timeSpent", "emptyNotificationClicks", "suspiciousAccepted", "sharedClickbait", "score"];
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".webp": "image/webp",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".webmanifest": "application/manifest+json",
+};
+
+const sessions = new Map();
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new Error("payload too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); } catch (e) { reject(e); }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sanitize(result) {
+  const out = {};
+  TEXT_FIELDS.forEach((k) => { out[k] = String(result[k] || "").slice(0, 64); });
+  NUMBER_FIELDS.forEach((k) => { out[k] = Number.isFinite(Number(result[k])) ? Number(result[k]) : 0; });
+  return out;
+}
+
+function normalizeCode(value) {
+  return String(value || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 8);
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  for (const [code, s] of sessions) {
+    if (now - s.createdAt > SESSION_TTL_MS) sessions.delete(code);
+  }
+}
+
+function serveStatic(req, res, pathname) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(pathname);
+  } catch (e) {
+    // A broken %-escape (a typo, a scanner) is that request's problem only
+    send(res, 400, { error: "malformed path" });
+    return;
+  }
+  if (!fs.existsSync(DIST)) {
+    send(res, 404, { error: "not found" });
+    return;
+  }
+  let file = path.normalize(path.join(DIST, urlPath));
+  // dist itself or below it: a bare prefix check would also let "/../dist-old/..." through
+  if (file !== DIST && !file.startsWith(DIST + path.sep)) { send(res, 403, { error: "forbidden" }); return; }
+  if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    // A missing photo or clip must fail (so the app shows its fallback), not come back as the app page
+    if (urlPath.startsWith("/media/")) { send(res, 404, { error: "not found" }); return; }
+    file = path.join(DIST, "index.html");
+  }
+  const type = MIME[path.extname(file)] || "application/octet-stream";
+  const size = fs.statSync(file).size;
+  // Safari only plays <video> from servers that answer byte ranges (local media mode)
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (range && (range[1] || range[2])) {
+    const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+    const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start > end) {
+      res.writeHead(416, { "Content-Range": `bytes */${size}` });
+      res.end();
+      return;
+    }
+    res.writeHead(206, { "Content-Type": type, "Content-Length": end - start + 1, "Content-Range": `bytes ${start}-${end}/${size}`, "Accept-Ranges": "bytes" });
+    fs.createReadStream(file, { start, end }).pipe(res);
+    return;
+  }
+  res.writeHead(200, { "Content-Type": type, "Content-Length": size, "Accept-Ranges": "bytes" });
+  fs.createReadStream(file).pipe(res);
+}
+
+async function handleApi(req, res, parts) {
+  // parts: ["api", "sessions", code?, "results"?]
+  const code = normalizeCode(parts[2]);
+
+  if (req.method === "POST" && parts.length === 2) {
+    const body = await readJson(req);
+    const newCode = normalizeCode(body.code);
+    if (!newCode) { send(res, 400, { error: "missing code" }); return; }
+    if (!sessions.has(newCode)) sessions.set(newCode, { code: newCode, createdAt: Date.now(), results: [] });
+    send(res, 201, { code: newCode });
+    return;
+  }
+
+  const session = sessions.get(code);
+  if (!session) { send(res, 404, { error: "unknown session" }); return; }
+
+  if (req.method === "GET" && parts.length === 3) {
+    send(res, 200, session);
+    return;
+  }
+
+  if (req.method === "POST" && parts[3] === "results") {
+    const result = sanitize(await readJson(req));
+    session.results = session.results.filter((r) => !result.id || r.id !== result.id).concat([result]).slice(-MAX_RESULTS);
+    send(res, 201, { ok: true });
+    return;
+  }
+
+  send(res, 405, { error: "method not allowed" });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") { send(res, 204, {}); return; }
+  // Whatever goes wrong answers this request and leaves the server up for the rest of the class
+  try {
+    const { pathname } = new URL(req.url, "http://x");
+    const parts = pathname.split("/").filter(Boolean);
+    if (parts[0] !== "api") { serveStatic(req, res, pathname); return; }
+    if (parts[1] !== "sessions") { send(res, 404, { error: "not found" }); return; }
+    pruneSessions();
+    await handleApi(req, res, parts);
+  } catch (e) {
+    if (!res.headersSent) send(res, 400, { error: e.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`ScrollTrap classroom server on http://0.0.0.0:${PORT}`);
+  if (!fs.existsSync(DIST)) console.log("(dist/ not found: run `npm run build` to serve the app from here too)");
+});
@@ -0,0 +1,28 @@
+// @vitest-environment node
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+
+const PORT = 40000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+let server;
+
+// The real server in its own process, as the teacher starts it
+beforeAll(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [fileURLToPath(new URL("./classroom-server.mjs", import.meta.url)), "--port", String(PORT)]);
+  server.stdout.on("data", (chunk) => { if (String(chunk).includes("classroom server on")) resolve(); });
+  server.on("error", reject);
+  server.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+}));
+
+afterAll(() => { server.kill(); });
+
+describe("classroom server", () => {
+  it("answers a malformed path with 400 and keeps serving", async () => {
+    const bad = await fetch(`${BASE}/%E0%A4%A`);
+    expect(bad.status).toBe(400);
+    const created = await fetch(`${BASE}/api/sessions`, { method: "POST", body: JSON.stringify({ code: "abc123" }) });
+    expect(created.status).toBe(201);
+    expect(await created.json()).toEqual({ code: "ABC123" });
+  });
+});
@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { clamp, formatTime } from "./utils.js";
+import { useI18n } from "./i18n.js";
+
+// kind: "stimulus" = something the app pushed at you, "reaction" = what you did.
+// variant: which timeline.events.* text fits this particular event, if not the plain one.
+const EVENT_TYPES = {
+  session_start: { icon: "▶️", kind: "session" },
+  session_end: { icon: "⏹️", kind: "session" },
+  notification_shown: { icon: "🔔", kind: "stimulus", variant: (e) => !e.hasContent && "empty" },
+  notification_clicked: { icon: "👆", kind: "reaction", variant: (e) => !e.hasContent && "empty", alert: (e) => !e.hasContent },
+  notification_ignored: { icon: "🙈", kind: "reaction" },
+  notification_digest_shown: { icon: "📬", kind: "stimulus" },
+  typing_shown: { icon: "💬", kind: "stimulus" },
+  likes_received: { icon: "❤️", kind: "stimulus" },
+  urgent_story_shown: { icon: "⏳", kind: "stimulus" },
+  friend_request_shown: { icon: "👤", kind: "stimulus", variant: (e) => e.suspicious && "suspicious" },
+  friend_request_accepted: { icon: "✅", kind: "reaction", variant: (e) => e.suspicious && "suspicious", alert: (e) => e.suspicious },
+  friend_request_refused: { icon: "🚫", kind: "reaction" },
+  dm_opened: { icon: "📩", kind: "reaction", variant: (e) => e.scam && "scam", alert: (e) => e.scam },
+  dm_reply_sent: { icon: "✍️", kind: "reaction", variant: (e) => e.choice && (e.safe ? "safe" : "unsafe"), alert: (e) => e.choice && !e.safe },
+  reel_played: { icon: "🎬", kind: "reaction" },
+  reels_opened: { icon: "🎬", kind: "reaction" },
+  reel_viewed: { icon: "🔁", kind: "reaction", variant: (e) => e.how, alert: (e) => e.how === "auto" },
+  post_liked: { icon: "🤍", kind: "reaction" },
+  post_shared: { icon: "📤", kind: "reaction", variant: (e) => e.clickbait && "clickbait", alert: (e) => e.clickbait },
+  profile_visited: { icon: "🔎", kind: "reaction" },
+  ad_clicked: { icon: "💰", kind: "reaction", alert: () => true },
+  story_opened: { icon: "👁️", kind: "reaction" },
+  story_sticker_used: { icon: "✨", kind: "reaction", variant: (e) => e.sticker },
+  exit_modal_shown: { icon: "🚪", kind: "stimulus" },
+  exit_modal_dismissed: { icon: "↩️", kind: "reaction", alert: () => true },
+  streak_prompt_shown: { icon: "⏳", kind: "stimulus" },
+  streak_prompt_dismissed: { icon: "🔥", kind: "reaction", alert: () => true },
+  streak_prompt_closed: { icon: "✖️", kind: "reaction" },
+  streak_extended: { icon: "🔥", kind: "stimulus" },
+  page_requested: { icon: "📄", kind: "reaction" },
+  user_reported: { icon: "🚩", kind: "reaction", variant: (e) => e.harmful && "harmful" },
+  user_restricted: { icon: "🤐", kind: "reaction", variant: (e) => e.harmful && "harmful" },
+  user_blocked: { icon: "⛔", kind: "reaction", variant: (e) => e.harmful && "harmful" },
+  grooming_stage_reached: { icon: "🕵️", kind: "stimulus", variant: (e) => e.stage },
+  grooming_stage_complied: { icon: "⚠️", kind: "reaction", variant: (e) => e.stage, alert: () => true },
+  grooming_defused: { icon: "🛡️", kind: "reaction", variant: (e) => e.how },
+  phishing_opened: { icon: "🔗", kind: "reaction", variant: (e) => e.via, alert: () => true },
+  phishing_submitted: { icon: "🎣", kind: "reaction", variant: (e) => !e.fields.length && "empty", alert: (e) => e.fields.length > 0 },
+  phishing_closed: { icon: "✖️", kind: "reaction", variant: (e) => e.fields.length > 0 && "filled" },
+};
+
+const KIND_COLORS = { stimulus: "#feca57", reaction: "#64ffda", session: "#9ca3af" };
+const REPLAY_SPEED = 4;
+const REPLAY_STEP_MS = 100;
+
+export function describeEvent(e, t) {
+  const meta = EVENT_TYPES[e.type];
+  if (!meta) return { icon: "•", kind: "session", text: e.type, alert: false };
+  const variant = meta.variant && meta.variant(e);
+  const text = t(`timeline.events.${e.type}${variant ? "_" + variant : ""}`, e);
+  return { icon: meta.icon, kind: meta.kind, text, alert: meta.alert ? Boolean(meta.alert(e)) : false };
+}
+
+export default function SessionTimeline({ events, duration }) {
+  const { t } = useI18n();
+  const totalMs = Math.max(1000, duration * 1000, ...events.map((e) => e.t));
+  const [position, setPosition] = useState(totalMs);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => {
+      setPosition((p) => {
+        const next = p + REPLAY_STEP_MS * REPLAY_SPEED;
+        if (next >= totalMs) { setPlaying(false); return totalMs; }
+        return next;
+      });
+    }, REPLAY_STEP_MS);
+    return () => clearInterval(timer);
+  }, [playing, totalMs]);
+
+  const described = useMemo(() => events.map((e) => ({ ...e, ...describeEvent(e, t) })), [events, t]);
+  const upToNow = described.filter((e) => e.t <= position);
+  const current = upToNow[upToNow.length - 1];
+  const recent = upToNow.slice(-6).reverse();
+
+  const togglePlay = () => {
+    if (!playing && position >= totalMs) setPosition(0);
+    setPlaying((p) => !p);
+  };
+
+  return (
+    <div>
+      <div style={{ position: "relative", height: 34, marginBottom: 6 }}>
+        <div style={{ position: "absolute", left: 0, right: 0, top: 15, height: 4, borderRadius: 2, background: "rgba(255,255,255,0.08)" }} />
+        <div style={{ position: "absolute", left: 0, top: 15, height: 4, borderRadius: 2, width: `${(position / totalMs) * 100}%`, background: "rgba(100,255,218,0.35)" }} />
+        {described.filter((e) => e.kind !== "session").map((e, i) => (
+          <div key={i} title={`${formatTime(Math.floor(e.t / 1000))} • ${e.text}`} onClick={() => { setPlaying(false); setPosition(e.t); }} style={{ position: "absolute", left: `calc(${clamp((e.t / totalMs) * 100, 0, 100)}% - 4px)`, top: e.kind === "stimulus" ? 4 : 22, width: 8, height: 8, borderRadius: "50%", background: e.alert ? "#ff6b6b" : KIND_COLORS[e.kind], opacity: e.t <= position ? 1 : 0.35, cursor: "pointer" }} />
+        ))}
+      </div>
+      <input type="range" min={0} max={totalMs} step={250} value={position} onChange={(e) => { setPlaying(false); setPosition(Number(e.target.value)); }} style={{ width: "100%", accentColor: "#64ffda" }} aria-label={t("timeline.scrub")} />
+      <div style={{ display: "flex", alignItems: "center", gap: 10, margin: "8px 0 12px" }}>
+        <button onClick={togglePlay} style={{ padding: "8px 14px", borderRadius: 12, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#fff", fontWeight: 900, cursor: "pointer" }}>{playing ? t("timeline.pause") : t("timeline.play")}</button>
+        <div style={{ fontWeight: 1000, fontSize: 18 }}>{formatTime(Math.floor(position / 1000))}</div>
+        <div style={{ color: "#6b7280", fontSize: 12 }}>/ {formatTime(Math.floor(totalMs / 1000))}</div>
+        {current && <div style={{ marginLeft: "auto", color: "#9ca3af", fontSize: 12 }}>{t("timeline.mood")} <span style={{ color: "#fff", fontWeight: 900 }}>{Math.round(current.mood)}</span></div>}
+      </div>
+      <div style={{ display: "flex", gap: 14, fontSize: 11, color: "#6b7280", marginBottom: 10 }}>
+        <span><span style={{ color: KIND_COLORS.stimulus }}>●</span> {t("timeline.legendStimuli")}</span>
+        <span><span style={{ color: KIND_COLORS.reaction }}>●</span> {t("timeline.legendReactions")}</span>
+        <span><span style={{ color: "#ff6b6b" }}>●</span> {t("timeline.legendAlerts")}</span>
+      </div>
+      {recent.map((e, i) => (
+        <div key={`${e.t}_${i}`} style={{ display: "flex", gap: 10, alignItems: "flex-start", padding: "8px 10px", borderRadius: 12, marginBottom: 6, background: i === 0 ? (e.alert ? "rgba(255,107,107,0.12)" : "rgba(255,255,255,0.06)") : "transparent", opacity: i === 0 ? 1 : 0.7 }}>
+          <div style={{ color: "#6b7280", fontSize: 12, fontWeight: 800, minWidth: 36 }}>{formatTime(Math.floor(e.t / 1000))}</div>
+          <div style={{ fontSize: 15 }}>{e.icon}</div>
+          <div style={{ fontSize: 13, lineHeight: 1.45, color: e.alert ? "#ff6b6b" : "#d1d5db", fontWeight: e.alert ? 800 : 500 }}>{e.text}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
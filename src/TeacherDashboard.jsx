@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createSessionCode, hostClassroom, resolveClassroomServer, summarizeClass } from "./classroom.js";
+import { randomSeed } from "./random.js";
+import { DEFAULT_SCENARIO } from "./scenario.js";
+import { errorMessage, useI18n } from "./i18n.js";
+import { formatTime } from "./utils.js";
+
+const FONT = "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif";
+const card = { background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 14 };
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+const sectionTitle = { color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 12 };
+
+function StatTile({ label, value, sub }) {
+  return (
+    <div style={{ flex: "1 1 150px", background: "rgba(0,0,0,0.35)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 14, padding: 14 }}>
+      <div style={{ color: "#6b7280", fontSize: 12 }}>{label}</div>
+      <div style={{ fontWeight: 1000, fontSize: 26, marginTop: 4 }}>{value}</div>
+      {sub && <div style={{ color: "#9ca3af", fontSize: 12, marginTop: 4 }}>{sub}</div>}
+    </div>
+  );
+}
+
+function Histogram({ title, labels, counts }) {
+  const max = Math.max(1, ...counts);
+  return (
+    <div style={{ flex: "1 1 220px" }}>
+      <div style={{ fontWeight: 900, fontSize: 13, marginBottom: 10 }}>{title}</div>
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 6, height: 110 }}>
+        {counts.map((c, i) => (
+          <div key={i} style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-end", height: "100%" }}>
+            <div style={{ fontSize: 11, color: "#9ca3af", marginBottom: 4 }}>{c}</div>
+            <div style={{ width: "100%", height: `${(c / max) * 80}%`, minHeight: c ? 4 : 1, background: "linear-gradient(180deg,#64ffda,#48dbfb)", borderRadius: "4px 4px 0 0" }} />
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        {labels.map((l) => <div key={l} style={{ flex: 1, fontSize: 10, color: "#6b7280", textAlign: "center" }}>{l}</div>)}
+      </div>
+    </div>
+  );
+}
+
+export default function TeacherDashboard({ scenarioId, onExit }) {
+  const { t } = useI18n();
+  const [code] = useState(() => createSessionCode());
+  const [seed] = useState(() => randomSeed());
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const serverUrl = useMemo(() => resolveClassroomServer(), []);
+
+  useEffect(() => {
+    const host = hostClassroom(code, {
+      serverUrl,
+      onResults: (list) => { setResults(list); setError(null); },
+      onError: (e) => setError(e),
+    });
+    return () => host.close();
+  }, [code, serverUrl]);
+
+  const joinUrl = useMemo(() => {
+    const params = new URLSearchParams({ class: code, seed });
+    if (serverUrl) params.set("server", serverUrl);
+    if (scenarioId && scenarioId !== DEFAULT_SCENARIO) params.set("scenario", scenarioId);
+    return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+  }, [code, seed, serverUrl, scenarioId]);
+
+  const summary = useMemo(() => summarizeClass(results), [results]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(joinUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      prompt(t("teacher.copyPrompt"), joinUrl);
+    }
+  };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, overflowY: "auto", background: "linear-gradient(180deg,#0a0a0a 0%, #111827 45%, #0a0a0a 100%)", padding: "30px 18px 56px", fontFamily: FONT, color: "#fff" }}>
+      <div style={{ maxWidth: 860, margin: "0 auto" }}>
+        <button onClick={onExit} style={{ background: "transparent", border: "1px solid rgba(255,255,255,0.2)", color: "#fff", padding: "10px 20px", borderRadius: 12, cursor: "pointer", marginBottom: 20, fontWeight: 700 }}>{t("common.backToGame")}</button>
+        <div style={{ fontSize: 30, fontWeight: 1000, letterSpacing: -1, marginBottom: 6 }}>{t("teacher.title")}</div>
+        <div style={{ color: "#9ca3af", fontSize: 14, lineHeight: 1.6, marginBottom: 18 }}>{t("teacher.intro")}</div>
+
+        <div style={{ ...card, display: "flex", gap: 18, flexWrap: "wrap", alignItems: "center" }}>
+          <div>
+            <div style={{ color: "#6b7280", fontSize: 12 }}>{t("teacher.classCode")}</div>
+            <div style={{ fontSize: 44, fontWeight: 1000, letterSpacing: 6, color: "#feca57" }}>{code}</div>
+            <div style={{ color: "#6b7280", fontSize: 12 }}>{t.rich("teacher.sharedSeed", { seed }, { b: (x) => <span style={{ color: "#cbd5e1", fontWeight: 900 }}>{x}</span> })}</div>
+          </div>
+          <div style={{ flex: 1, minWidth: 240 }}>
+            <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 6 }}>{t("teacher.studentLink")}</div>
+            <div style={{ background: "rgba(0,0,0,0.35)", borderRadius: 12, padding: "10px 12px", fontSize: 12, color: "#cbd5e1", wordBreak: "break-all" }}>{joinUrl}</div>
+            <button onClick={copyLink} style={{ marginTop: 8, padding: "8px 14px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#64ffda,#48dbfb)", color: "#000", fontWeight: 900, cursor: "pointer" }}>{copied ? t("teacher.copied") : t("teacher.copyLink")}</button>
+          </div>
+        </div>
+
+        <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 14 }}>
+          {serverUrl ? t.rich("teacher.server", { url: serverUrl }, { b: (x) => <span style={{ color: "#cbd5e1" }}>{x}</span> }) : t("teacher.local")}
+          {error && <div style={{ color: "#ff6b6b", marginTop: 6 }}>⚠️ {errorMessage(t, error, "classroom.errors") || String(error)}</div>}
+        </div>
+
+        {summary.count === 0 ? (
+          <div style={{ ...card, textAlign: "center", color: "#9ca3af" }}>{t("teacher.waiting")}</div>
+        ) : (
+          <>
+            <div style={card}>
+              <div style={sectionTitle}>{t("teacher.averages", { count: summary.count })}</div>
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                <StatTile label={t("teacher.estimatedVsReal")} value={`${formatTime(Math.round(summary.estimatedTime.mean))} → ${formatTime(Math.round(summary.timeSpent.mean))}`} sub={t("teacher.realMedian", { time: formatTime(Math.round(summary.timeSpent.median)) })} />
+                <StatTile label={t("teacher.overrun")} value={`${summary.overrunPct.over}/${summary.count}`} sub={t("teacher.overrunMean", { pct: Math.round(summary.overrunPct.mean) })} />
+                <StatTile label={t("teacher.emptyClicks")} value={t.number(summary.emptyNotificationClicks.mean, ONE_DECIMAL)} sub={t("teacher.fellFor", { count: summary.emptyNotificationClicks.any })} />
+                <StatTile label={t("teacher.suspiciousAccepted")} value={t.number(summary.suspiciousAccepted.mean, ONE_DECIMAL)} sub={t("teacher.students", { count: summary.suspiciousAccepted.any })} />
+                <StatTile label={t("teacher.sharedClickbait")} value={t.number(summary.sharedClickbait.mean, ONE_DECIMAL)} sub={t("teacher.students", { count: summary.sharedClickbait.any })} />
+                <StatTile label={t("teacher.score")} value={`${Math.round(summary.score.mean)}%`} sub={t("teacher.scoreMax", { n: summary.score.max })} />
+              </div>
+            </div>
+
+            <div style={card}>
+              <div style={sectionTitle}>{t("teacher.distributions")}</div>
+              <div style={{ display: "flex", gap: 24, flexWrap: "wrap" }}>
+                {/* The first overrun bucket is a word ("in tempo"), the others are plain ranges */}
+                <Histogram title={t("teacher.overrunHistogram")} {...summary.distributions.overrunPct} labels={[t("teacher.onTime")].concat(summary.distributions.overrunPct.labels.slice(1))} />
+                <Histogram title={t("teacher.score")} {...summary.distributions.score} />
+                <Histogram title={t("teacher.emptyClicks")} {...summary.distributions.emptyNotificationClicks} />
+              </div>
+            </div>
+
+            <div style={card}>
+              <div style={sectionTitle}>{t("teacher.studentsTitle")}</div>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                  <thead>
+                    <tr style={{ color: "#6b7280", textAlign: "left" }}>
+                      {["account", "time", "emptyNotifications", "suspicious", "clickbait", "score"].map((key) => <th key={key} style={{ padding: 8 }}>{t(`teacher.columns.${key}`)}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map((r) => (
+                      <tr key={r.id || r.handle} style={{ borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+                        <td style={{ padding: 8, fontWeight: 900 }}>@{r.handle}</td>
+                        <td style={{ padding: 8, color: r.timeSpent > r.estimatedTime ? "#ff6b6b" : "#64ffda" }}>{formatTime(r.estimatedTime)} → {formatTime(r.timeSpent)}</td>
+                        <td style={{ padding: 8 }}>{r.emptyNotificationClicks}</td>
+                        <td style={{ padding: 8 }}>{r.suspiciousAccepted}</td>
+                        <td style={{ padding: 8 }}>{r.sharedClickbait}</td>
+                        <td style={{ padding: 8, fontWeight: 900 }}>{r.score}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
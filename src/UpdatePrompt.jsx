@@ -0,0 +1,28 @@
+import React from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { useI18n } from "./i18n.js";
+
+const bar = { position: "fixed", left: 12, right: 12, bottom: 12, zIndex: 10000, maxWidth: 480, margin: "0 auto", display: "flex", alignItems: "center", gap: 10, padding: "12px 14px", borderRadius: 16, background: "rgba(17,24,39,0.96)", border: "1px solid rgba(100,255,218,0.25)", boxShadow: "0 10px 30px rgba(0,0,0,0.5)", color: "#fff", fontFamily: "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif", fontSize: 13 };
+const button = { padding: "8px 12px", borderRadius: 12, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#fff", fontWeight: 900, cursor: "pointer", whiteSpace: "nowrap" };
+
+// Registers the service worker (src/sw.js). A new build is never applied mid-session:
+// it waits until the user taps "update", which reloads the page.
+export default function UpdatePrompt() {
+  const { t } = useI18n();
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+  const close = () => { setOfflineReady(false); setNeedRefresh(false); };
+
+  return (
+    <div role="status" style={bar}>
+      <div style={{ flex: 1, lineHeight: 1.4 }}>{needRefresh ? t("pwa.updateAvailable") : t("pwa.offlineReady")}</div>
+      {needRefresh && <button onClick={() => updateServiceWorker(true)} style={{ ...button, background: "#64ffda", color: "#000", border: "none" }}>{t("pwa.update")}</button>}
+      <button onClick={close} style={button}>{needRefresh ? t("pwa.later") : t("pwa.ok")}</button>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * Achievements (the badges of the reveal screen and the certificate): one
+ * declarative rule per achievement, evaluated on the final state of a run and
+ * its event log, so a new one is an entry in ACHIEVEMENTS plus its texts in
+ * the locale files (reveal.badges.<id>.title / desc / why).
+ *
+ * Rarity says how hard the achievement is to get in a normal run, not how
+ * often players got it.
+ */
+
+export const RARITIES = ["common", "rare", "epic"];
+
+// Shared by the reveal screen and the certificate
+export const RARITY_COLORS = { common: "#64ffda", rare: "#48dbfb", epic: "#feca57" };
+
+const count = (s, type, test = () => true) => s.eventLog.filter((e) => e.type === type && test(e)).length;
+
+// In the order the reveal screen and the certificate show them
+export const ACHIEVEMENTS = [
+  { id: "exitedOnTime", icon: "🏆", rarity: "rare", earned: (s) => s.exitedOnTime },
+  { id: "ignoredEmptyNotifs", icon: "🛡️", rarity: "common", earned: (s) => s.ignoredEmptyNotifs },
+  { id: "refusedSuspicious", icon: "🔒", rarity: "common", earned: (s) => s.refusedSuspicious },
+  // Exposure matters: no ad in the feed, nothing to resist
+  { id: "noAdClicks", icon: "💸", rarity: "common", earned: (s) => s.adsClicked === 0 && s.activePosts.some((p) => p.isAd) },
+  { id: "noClickbaitShared", icon: "🧐", rarity: "common", earned: (s) => s.sharedClickbait === 0 && s.activePosts.some((p) => p.type === "clickbait" || p.fake) },
+  // The first reason to stay (exit modal or streak prompt) did not work
+  {
+    id: "leftFirstTry", icon: "🚪", rarity: "epic",
+    earned: (s) => count(s, "exit_modal_shown") + count(s, "streak_prompt_shown") > 0 && count(s, "exit_modal_dismissed") + count(s, "streak_prompt_dismissed") === 0,
+  },
+  { id: "skippedUrgentStory", icon: "⏳", rarity: "rare", earned: (s) => count(s, "urgent_story_shown") > 0 && count(s, "story_opened", (e) => e.urgent) === 0 },
+  // Reporting, blocking and restricting a harmless account earns nothing (engine.js safetyAction)
+  { id: "reportedScam", icon: "🚩", rarity: "rare", earned: (s) => count(s, "user_reported", (e) => e.harmful && e.via === "dm") > 0 },
+  { id: "blockedDangerous", icon: "⛔", rarity: "rare", earned: (s) => count(s, "user_blocked", (e) => e.harmful) > 0 },
+];
+
+export function selectAchievements(s) {
+  return ACHIEVEMENTS.filter((a) => Boolean(a.earned(s)));
+}
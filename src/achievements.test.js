@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { ACHIEVEMENTS, RARITIES, selectAchievements } from "./achievements.js";
+import { dayKey } from "./streak.js";
+import { EVENING, t, startRun } from "./test/run.js";
+
+const ids = (s) => selectAchievements(s).map((a) => a.id);
+
+describe("achievements", () => {
+  it("have an icon, a rarity and their texts in the locale", () => {
+    ACHIEVEMENTS.forEach((a) => {
+      expect(a.icon).toBeTruthy();
+      expect(RARITIES).toContain(a.rarity);
+      ["title", "desc", "why"].forEach((key) => expect(t(`reveal.badges.${a.id}.${key}`)).not.toBe(`reveal.badges.${a.id}.${key}`));
+    });
+  });
+
+  it("award noAdClicks only when an ad was in the feed and none was clicked", () => {
+    const run = startRun();
+    const ad = run.until((s) => s.activePosts.some((p) => p.isAd)).activePosts.find((p) => p.isAd);
+    expect(ids(run.state())).toContain("noAdClicks");
+    run.dispatch({ type: "postAction", postId: ad.id, action: "ad" });
+    expect(ids(run.state())).not.toContain("noAdClicks");
+  });
+
+  it("take noClickbaitShared away when a clickbait post is shared", () => {
+    const run = startRun();
+    const isBait = (p) => p.type === "clickbait" || p.fake;
+    for (let n = 0; !run.state().activePosts.some(isBait); n += 1) {
+      run.dispatch({ type: "scroll", scrollTop: (n + 1) * 800, nearEnd: true });
+      run.until((s) => !s.isLoadingMore);
+    }
+    const bait = run.state().activePosts.find(isBait);
+    expect(ids(run.state())).toContain("noClickbaitShared");
+    run.dispatch({ type: "postAction", postId: bait.id, action: "share" });
+    expect(ids(run.state())).not.toContain("noClickbaitShared");
+  });
+
+  it("award leftFirstTry when the first reason to stay did not work", () => {
+    const atRisk = { start: EVENING, streak: { count: 2, lastDay: dayKey(EVENING - 24 * 60 * 60 * 1000) } };
+    const first = startRun(atRisk);
+    first.advance(5000);
+    first.dispatch({ type: "requestExit" });
+    expect(first.state().showStreakPrompt).toBe(true);
+    first.dispatch({ type: "end" });
+    expect(ids(first.state())).toContain("leftFirstTry");
+
+    const second = startRun(atRisk);
+    second.advance(5000);
+    second.dispatch({ type: "requestExit" });
+    second.dispatch({ type: "streakStay" });
+    second.dispatch({ type: "requestExit" });
+    expect(second.state().showExitModal).toBe(true);
+    second.dispatch({ type: "end" });
+    expect(ids(second.state())).not.toContain("leftFirstTry");
+  });
+
+  it("award skippedUrgentStory unless the urgent story is opened", () => {
+    const skipped = startRun();
+    skipped.until((s) => s.urgentStory);
+    skipped.dispatch({ type: "end" });
+    expect(ids(skipped.state())).toContain("skippedUrgentStory");
+
+    const opened = startRun();
+    opened.until((s) => s.urgentStory);
+    opened.dispatch({ type: "openUrgentStory" });
+    opened.dispatch({ type: "end" });
+    expect(ids(opened.state())).not.toContain("skippedUrgentStory");
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Classroom mode: students send their final stats to the teacher's dashboard.
+ *
+ * Two transports, same interface:
+ * - BroadcastChannel (default): tabs of the same browser, e.g. a shared classroom PC.
+ * - HTTP: the small LAN server in server/classroom-server.mjs, picked when a
+ *   server URL is given with `?server=` or VITE_CLASSROOM_SERVER.
+ *
+ * Only the handle and the aggregate stats below ever leave the student's browser.
+ */
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const POLL_MS = 3000;
+
+// `code` (unsupported, notFound, server) picks the translated text, see classroom.errors in the locales
+export class ClassroomError extends Error {
+  constructor(message, code, params) {
+    super(message);
+    this.name = "ClassroomError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+function serverError(status) {
+  return status === 404
+    ? new ClassroomError("Codice classe non trovato", "notFound")
+    : new ClassroomError(`Errore server (${status})`, "server", { status });
+}
+
+export const RESULT_FIELDS = [
+  "handle", "seed", "estimatedTime", "timeSpent", "emptyNotificationClicks",
+  "suspiciousAccepted", "sharedClickbait", "score",
+];
+
+export function createSessionCode(length = 5) {
+  let out = "";
+  for (let i = 0; i < length; i += 1) {
+    out += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+export function normalizeSessionCode(value) {
+  return String(value || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 8);
+}
+
+function readParam(name) {
+  try {
+    return new URLSearchParams(window.location.search).get(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function classCodeFromUrl() {
+  return normalizeSessionCode(readParam("class"));
+}
+
+export function isTeacherUrl() {
+  return readParam("teacher") !== null;
+}
+
+export function resolveClassroomServer() {
+  const fromUrl = readParam("server");
+  const fromEnv = import.meta.env && import.meta.env.VITE_CLASSROOM_SERVER;
+  const url = (fromUrl || fromEnv || "").trim();
+  return url ? url.replace(/\/+$/, "") : null;
+}
+
+// Whitelist the payload so nothing but the handle and the numbers is sent
+export function sanitizeResult(result) {
+  const out = { id: String(result.id || "").slice(0, 64), submittedAt: Number(result.submittedAt) || Date.now() };
+  RESULT_FIELDS.forEach((key) => {
+    const v = result[key];
+    if (key === "handle" || key === "seed") out[key] = String(v || "").slice(0, 40);
+    else out[key] = Number.isFinite(Number(v)) ? Number(v) : 0;
+  });
+  return out;
+}
+
+function channelName(code) {
+  return `scrolltrap-class-${code}`;
+}
+
+function createBroadcastTransport(code) {
+  if (typeof BroadcastChannel === "undefined") {
+    throw new ClassroomError("BroadcastChannel non supportato da questo browser", "unsupported");
+  }
+  const channel = new BroadcastChannel(channelName(code));
+  const listeners = [];
+  channel.onmessage = (e) => listeners.forEach((fn) => fn(e.data));
+  return {
+    kind: "broadcast",
+    post: (msg) => { channel.postMessage(msg); return Promise.resolve(); },
+    listen: (fn) => { listeners.push(fn); },
+    close: () => channel.close(),
+  };
+}
+
+// Student side: send the result, and re-send it if a dashboard opened late asks for it
+export function joinClassroom(code, { serverUrl = resolveClassroomServer() } = {}) {
+  let lastResult = null;
+
+  if (serverUrl) {
+    return {
+      kind: "http",
+      async submit(result) {
+        lastResult = sanitizeResult(result);
+        const res = await fetch(`${serverUrl}/api/sessions/${code}/results`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(lastResult),
+        });
+        if (!res.ok) throw serverError(res.status);
+      },
+      close() {},
+    };
+  }
+
+  const transport = createBroadcastTransport(code);
+  transport.listen((msg) => {
+    if (msg && msg.type === "sync" && lastResult) transport.post({ type: "result", result: lastResult });
+  });
+  return {
+    kind: transport.kind,
+    submit(result) {
+      lastResult = sanitizeResult(result);
+      return transport.post({ type: "result", result: lastResult });
+    },
+    close: () => transport.close(),
+  };
+}
+
+// Teacher side: onResults receives the full, de-duplicated list every time it changes
+export function hostClassroom(code, { serverUrl = resolveClassroomServer(), onResults, onError } = {}) {
+  const byId = new Map();
+  const emit = () => onResults && onResults(Array.from(byId.values()).sort((a, b) => a.submittedAt - b.submittedAt));
+  const add = (result) => {
+    const clean = sanitizeResult(result);
+    byId.set(clean.id || `${clean.handle}_${clean.submittedAt}`, clean);
+  };
+
+  if (serverUrl) {
+    let alive = true;
+    let timerId = null;
+    const poll = async () => {
+      try {
+        const res = await fetch(`${serverUrl}/api/sessions/${code}`);
+        if (!res.ok) throw new ClassroomError(`Errore server (${res.status})`, "server", { status: res.status });
+        const data = await res.json();
+        (data.results || []).forEach(add);
+        emit();
+      } catch (e) {
+        if (onError) onError(e);
+      }
+      if (alive) timerId = setTimeout(poll, POLL_MS);
+    };
+    const ready = fetch(`${serverUrl}/api/sessions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ code }),
+    }).then(poll, (e) => { if (onError) onError(e); });
+    return {
+      kind: "http",
+      ready,
+      close() { alive = false; if (timerId) clearTimeout(timerId); },
+    };
+  }
+
+  const transport = createBroadcastTransport(code);
+  transport.listen((msg) => {
+    if (msg && msg.type === "result" && msg.result) {
+      add(msg.result);
+      emit();
+    }
+  });
+  transport.post({ type: "sync" });
+  return { kind: transport.kind, ready: Promise.resolve(), close: () => transport.close() };
+}
+
+// ==================== AGGREGATES ====================
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// buckets: array of upper bounds (inclusive); the last bucket catches the rest
+function histogram(values, buckets) {
+  const counts = buckets.map(() => 0).concat([0]);
+  values.forEach((v) => {
+    const i = buckets.findIndex((b) => v <= b);
+    counts[i === -1 ? buckets.length : i] += 1;
+  });
+  return counts;
+}
+
+export function summarizeClass(results) {
+  const overrun = results
+    .filter((r) => r.estimatedTime > 0)
+    .map((r) => Math.round(((r.timeSpent - r.estimatedTime) / r.estimatedTime) * 100));
+  const col = (key) => results.map((r) => r[key] || 0);
+  const stat = (values) => ({ mean: mean(values), median: median(values), max: values.length ? Math.max(...values) : 0 });
+
+  return {
+    count: results.length,
+    timeSpent: stat(col("timeSpent")),
+    estimatedTime: stat(col("estimatedTime")),
+    overrunPct: { ...stat(overrun), over: overrun.filter((v) => v > 0).length },
+    emptyNotificationClicks: { ...stat(col("emptyNotificationClicks")), any: col("emptyNotificationClicks").filter((v) => v > 0).length },
+    suspiciousAccepted: { ...stat(col("suspiciousAccepted")), any: col("suspiciousAccepted").filter((v) => v > 0).length },
+    sharedClickbait: { ...stat(col("sharedClickbait")), any: col("sharedClickbait").filter((v) => v > 0).length },
+    score: stat(col("score")),
+    distributions: {
+      overrunPct: { labels: ["in tempo", "+1–50%", "+51–100%", "+101–200%", ">200%"], counts: histogram(overrun, [0, 50, 100, 200]) },
+      score: { labels: ["0–20", "21–40", "41–60", "61–80", "81–100"], counts: histogram(col("score"), [20, 40, 60, 80]) },
+      emptyNotificationClicks: { labels: ["0", "1", "2", "3+"], counts: histogram(col("emptyNotificationClicks"), [0, 1, 2]) },
+    },
+  };
+}
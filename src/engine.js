@@ -0,0 +1,1258 @@
+/**
+ * The simulation without its UI: everything that happens during a run, as plain
+ * state plus timers, with no React and no DOM.
+ *
+ *   const engine = createEngine({ scenario, seed, handle, estimatedTime, t, intensity, switches, mode, streak });
+ *   engine.subscribe((state) => render(state));
+ *   engine.start();
+ *   setInterval(() => engine.tick(), 100);   // timers only advance on tick()
+ *   engine.dispatch({ type: "like", postId: 3 });
+ *
+ * getState() returns an immutable snapshot: a new object after every change, so
+ * it can feed useSyncExternalStore (useEngine.js) or a test directly. Timers are
+ * jobs on the engine's own clock (`now`, Date.now by default) and a job runs at
+ * its due time even when tick() is late, so a test with a fake clock can fast
+ * forward a whole session in one call.
+ *
+ * All randomness comes from the seeded streams of random.js: the same seed with
+ * the same actions at the same times gives the same run. How often each
+ * technique fires is set by the intensity profile (intensity.js); single
+ * techniques can be switched off from the facilitator panel (facilitator.js).
+ *
+ * mode "humane" plays the same feed designed the other way round, to compare
+ * with a normal ("trap") run: every technique of facilitator.js is off, the
+ * feed ends after HUMANE_FEED_LENGTH posts, notifications wait in the inbox
+ * and come as one digest every HUMANE_DIGEST_MS, ads are clearly labelled.
+ * It does not count for the streak either: only the player's own runs do.
+ *
+ * `streak` is the record saved on the device (streak.js): today counts after
+ * STREAK_DAY_MS of play, and trying to leave before that, with a streak to
+ * lose and its deadline less than STREAK_WARNING_MS away, shows the
+ * loss-aversion prompt first (part of the exit friction).
+ *
+ * Chats, profiles and friend requests can be reported, blocked or restricted
+ * (the safetyAction action): each use is explained in the app, and acting
+ * against a dangerous account lowers the score (scoring.js).
+ *
+ * With a `grooming` script in the scenario, the chat that follows an accepted
+ * suspicious request and every `teenSafety` DM play it out stage by stage
+ * (grooming.js), reacting to what the player writes back; each stage reached,
+ * given in to or defused goes to the event log for the reveal screen.
+ * Chats also offer the scenario's `quickReplies`: each one chosen is kept
+ * (dmChoices) and scored as a safe or a risky reply.
+ *
+ * Scam links (a DM message with `link`, the ads' "Learn more", a story's
+ * link sticker) open the scenario's fake landing pages (phishing.js); each
+ * visit keeps which fields were filled in (phishingVisits), never their values.
+ *
+ * Stories play slide by slide: a tap on either side moves between slides,
+ * holding pauses, and the stickers (stories.js) can be used once each. Every
+ * one of these gestures is counted (storyStats) and most teach the interest
+ * model something about the slide.
+ *
+ * The 🎬 tab plays reels full screen, one after the other (reels.js): each
+ * clip loops until the player swipes on, and with infinite scroll on the next
+ * one starts by itself after AUTOPLAY_AFTER_LOOPS loops. The view reports
+ * each loop (reelLooped) as its player sees it. How long each clip was
+ * watched, how many times it looped and how quickly it was swiped away go to
+ * the interest model and to reelViews.
+ */
+import { createRunStreams } from "./random.js";
+import { clamp } from "./utils.js";
+import { photoUrl } from "./media.js";
+import { scoreBreakdown } from "./scoring.js";
+import { resolveIntensity } from "./intensity.js";
+import { SWITCHES, allSwitchesOn } from "./facilitator.js";
+import { NO_STREAK, STREAK_DAY_MS, STREAK_WARNING_MS, extendStreak, streakAt } from "./streak.js";
+import { REPLY_INTENTS, classifyReply, defuseThread, replyTo, startThread } from "./grooming.js";
+import { phishingUrl } from "./phishing.js";
+import { SLIDE_TICKS, STORY_SIGNALS, stickerOf } from "./stories.js";
+import { AUTOPLAY_AFTER_LOOPS, REELS_BATCH, reelSignal } from "./reels.js";
+import { applySignal, dwellSignal, explorationRate, initialWeights, pickCategory, pickReason, postInterest } from "./interestModel.js";
+
+export const TICK_MS = 100; // how often the views should call tick(); also the story progress step
+export const MOOD_SAMPLE_MS = 2000;
+export const MOOD_HISTORY_MAX = 900; // 30 minutes of samples, kept whole for the export
+const EVENT_LOG_MAX = 2000;
+const MAX_REEL_HISTORY = 8; // recent reels not picked again
+const FIRST_POST_ID = 1000; // ids below are the scenario's initial feed
+const SAFETY_EVENTS = { report: "user_reported", block: "user_blocked", restrict: "user_restricted" };
+const GROOMING_EVENTS = { reached: "grooming_stage_reached", complied: "grooming_stage_complied", defused: "grooming_defused" };
+export const HUMANE_FEED_LENGTH = 24;
+export const HUMANE_DIGEST_MS = 60000;
+
+// Scenario texts may carry {n} (drawn from `count`) and {user} (a random account)
+export function fillText(entry, rng, users) {
+  const { text, count } = typeof entry === "string" ? { text: entry } : entry;
+  let out = text;
+  if (count) out = out.split("{n}").join(String(rng.int(count[0], count[1])));
+  if (users && out.includes("{user}")) out = out.split("{user}").join(rng.pick(users));
+  return out;
+}
+
+// ==================== SELECTORS ====================
+// Something covers the feed: ambient popups (notifications, typing, friend requests) wait
+export function isBlocked(s) {
+  return s.showDM || s.showDMInbox || s.showStory || s.showFriendRequest || s.showComments || s.showProfile || s.showNotificationsInbox || Boolean(s.safetyFeedback) || Boolean(s.phishingPage);
+}
+
+// The counters scoring.js works on
+export function scoreStats(s) {
+  return {
+    notificationClicks: s.notificationClicks,
+    emptyNotificationClicks: s.emptyNotificationClicks,
+    timeSpent: s.timeSpent,
+    scrollDistance: s.scrollDistance,
+    suspiciousAccepted: s.acceptedFriendRequests.filter((r) => r.suspicious).length,
+    sharedClickbait: s.sharedClickbait,
+    adsClicked: s.adsClicked,
+    profileVisits: s.profileVisits,
+    storiesPollClicks: s.storiesPollClicks,
+    harmfulReported: new Set(s.safetyActions.filter((a) => a.harmful).map((a) => a.user)).size,
+    unsafeReplies: s.dmChoices.filter((c) => !c.safe).length,
+    safeReplies: s.dmChoices.filter((c) => c.safe).length,
+  };
+}
+
+export function selectScore(s) {
+  return scoreBreakdown(scoreStats(s));
+}
+
+export function selectTopInterest(s) {
+  const entries = Object.entries(s.userInterests);
+  entries.sort((a, b) => b[1] - a[1]);
+  return entries[0][0];
+}
+
+// How the feed ends: null (it never does), "more" (a page at a time, see facilitator.js)
+// or "end" (the humane feed, once it has shown everything)
+export function selectFeedEnd(s) {
+  if (s.mode === "humane") return s.activePosts.length >= HUMANE_FEED_LENGTH ? "end" : null;
+  return s.switches.infiniteScroll ? null : "more";
+}
+
+// Whether the streak prompt held the player back: null when it never showed,
+// otherwise { stayed, delay } with the seconds played after it. stayed is null
+// when the prompt went away without an answer (closed, or today counted while it was open)
+export function selectStreakPrompt(s) {
+  const shown = s.eventLog.find((e) => e.type === "streak_prompt_shown");
+  if (!shown) return null;
+  const stayed = s.eventLog.some((e) => e.type === "streak_prompt_dismissed");
+  if (stayed) return { stayed, delay: Math.max(0, s.timeSpent - Math.floor(shown.t / 1000)) };
+  const unanswered = s.eventLog.some((e) => e.type === "streak_prompt_closed" || (e.type === "streak_extended" && e.t >= shown.t));
+  return { stayed: unanswered ? null : false, delay: 0 };
+}
+
+// What has been done so far against `user`: "report", "block", "restrict"
+export function selectSafetyActions(s, user) {
+  return s.safetyActions.filter((a) => a.user === user).map((a) => a.action);
+}
+
+// The grooming chats the player actually met: opened, answered or ended
+export function selectGrooming(s) {
+  const opened = new Set(s.eventLog.filter((e) => e.type === "dm_opened").map((e) => e.user));
+  return s.groomingThreads.filter((th) => th.outcome || th.reached.length > 1 || opened.has(th.user));
+}
+
+// The quick replies for the open chat: those of `quickReplies` (the scenario's) whose `when` names it, minus
+// the ones already sent there. A chat is "chat", "scam" or, while its grooming script runs, the stage it is at
+export function selectQuickReplies(s, quickReplies = []) {
+  const dm = s.showDM && s.dmInbox.find((d) => d.id === s.currentDMId);
+  if (!dm) return [];
+  const thread = s.groomingThreads.find((th) => th.dmId === dm.id);
+  if (thread && thread.outcome) return [];
+  const where = thread ? thread.stage : dm.scam ? "scam" : "chat";
+  const sent = s.dmChoices.filter((c) => c.dmId === dm.id).map((c) => c.id);
+  return quickReplies.filter((q) => q.when.includes(where) && !sent.includes(q.id));
+}
+
+export function findPost(s, postId) {
+  return s.activePosts.find((p) => p.id === postId) || null;
+}
+
+// ==================== ENGINE ====================
+export function createEngine({ scenario, seed, handle, estimatedTime = null, t, intensity = resolveIntensity(), switches = allSwitchesOn(), mode = "trap", streak = NO_STREAK, now = Date.now, onSound = () => {} }) {
+  const { contentPacks, reels: reelPacks, usernames, typingUsers } = scenario;
+  const { params } = intensity;
+  const grooming = scenario.grooming || null; // older packs only have `escalation`: a greeting and one question
+  const quickReplies = scenario.quickReplies || [];
+  const phishing = scenario.phishing || { pages: [] };
+  const humane = mode === "humane";
+  const on = (id) => !humane && switches[id] !== false;
+  const rng = createRunStreams(seed);
+  const listeners = new Set();
+  let state = null;
+  let changed = false;
+  let jobs = [];
+  let jobSeq = 0;
+  let clock = null; // due time of the job being run, so what it schedules stays on the timeline
+  let usedReelIds = [];
+  let pendingNotif = null; // popup shown but not clicked yet
+  let digest = []; // humane mode: notifications waiting for the next digest
+  let streakPrompted = false; // the streak prompt shows once per run
+  let notifHideJob = null;
+  let storyJob = null;
+  let slideTicks = 0; // of the story slide on screen
+  let holdStart = null; // when the open story was held down
+  let closeFriendsSeen = new Set(); // "story:slide" of the close friends slides shown
+  let urgentJob = null;
+  let reelJob = null;
+  let reelWatched = 0; // ms of the clip on screen in the Reels tab, loops included
+  let reelLoops = 0;
+  let reelCounted = null; // the clip of the Reels tab last counted in reelsWatched: reopening the tab on it is no new play
+  let liveLikeSeq = 0;
+
+  // ---------- plumbing ----------
+  const time = () => (clock !== null ? clock : now());
+
+  const set = (patch) => {
+    state = { ...state, ...(typeof patch === "function" ? patch(state) : patch) };
+    changed = true;
+  };
+
+  const emit = () => {
+    if (!changed) return;
+    changed = false;
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const after = (ms, run) => {
+    const job = { id: ++jobSeq, at: time() + ms, run };
+    jobs.push(job);
+    return job.id;
+  };
+
+  const every = (ms, run) => {
+    const job = { id: ++jobSeq, at: time() + ms };
+    job.run = () => { job.at += ms; jobs.push(job); run(); };
+    jobs.push(job);
+    return job.id;
+  };
+
+  const cancel = (id) => { jobs = jobs.filter((j) => j.id !== id); };
+
+  const moodBy = (delta) => set((s) => ({ mood: clamp(s.mood + delta, 0, 100) }));
+
+  // Timestamped log of every stimulus shown and every reaction, replayed on the reveal screen
+  const logEvent = (type, data = {}) => set((s) => (s.eventLog.length >= EVENT_LOG_MAX ? {} : {
+    eventLog: s.eventLog.concat([{ t: time() - s.startedAt, type, mood: s.mood, ...data }]),
+  }));
+
+  // ---------- data ----------
+  // Everything the feed shows comes from the scenario pack (public/scenarios, see scenario.js)
+  const friendRequests = scenario.friendRequests.map((r) => ({ ...r, avatar: photoUrl(r.avatar, 220) }));
+  const linkUrl = (id) => phishingUrl(phishing.pages.find((p) => p.id === id));
+  const baseDMs = scenario.dms.map((dm) => ({
+    ...dm, avatar: photoUrl(dm.avatar, 220),
+    messages: dm.messages.map((m) => (m.link ? { ...m, url: linkUrl(m.link) } : m)),
+  }));
+  // {handle} is the player's account; {n} is drawn when the notification fires
+  const notificationTypes = scenario.notifications.map((n) => ({ ...n, text: n.text.split("{handle}").join(handle) }));
+
+  const buildInitialStories = () => scenario.stories.map((st) => ({
+    id: st.id, user: st.user,
+    avatar: photoUrl(st.avatar, 200),
+    seen: false,
+    slides: st.slides.map((sl) => ({
+      image: photoUrl(sl.img || rng.stories.pick(scenario.images[sl.interest]), 900),
+      text: sl.text,
+      interest: sl.interest || null,
+      closeFriends: Boolean(sl.closeFriends),
+      poll: sl.poll && { ...sl.poll, shareA: rng.stories.int(15, 85) }, // the made-up share of votes for "a"
+      question: sl.question,
+      countdown: sl.countdown,
+      link: sl.link,
+    })),
+  }));
+
+  // The first lines of the escalation chat: the script's rapport stage, or the legacy greeting + question
+  const escalationOpening = () => {
+    if (grooming) return grooming.stages.rapport.says;
+    const { greeting, asks } = scenario.escalation;
+    return [greeting, rng.social.pick(asks)];
+  };
+
+  const buildEscalationDM = (req) => {
+    const lines = escalationOpening();
+    return {
+      id: `dm_escal_${time()}_${rng.social.id()}`,
+      user: req.user, avatar: req.avatar,
+      preview: grooming ? lines[lines.length - 1] : lines.join(" "),
+      scam: true, teenSafety: true,
+      messages: lines.map((text) => ({ from: "them", text, time: t("time.now") })),
+    };
+  };
+
+  // Build post with coherent content (photo + caption match)
+  const buildPost = ({ id, user, cat, caption, isAd = false, imageUrl, imageOverlay, postType, isFake, fomoText }) => {
+    const r = rng.feed;
+    const interest = scenario.interests[cat] || scenario.interests[scenario.interestKeys[0]];
+    const contentPack = r.pick(contentPacks[interest.pack]);
+    const overlay = r.pick(interest.overlays || [""]);
+    const avatarId = r.pick(scenario.avatars);
+    return {
+      id,
+      user,
+      avatar: photoUrl(avatarId, 180),
+      verified: isAd || r.next() > 0.84,
+      content: caption || contentPack.caption,
+      image: {
+        type: cat,
+        url: imageUrl || photoUrl(contentPack.img, 900),
+        overlay: imageOverlay !== undefined ? imageOverlay : (isAd ? t("game.post.sponsoredTag") : overlay),
+      },
+      likes: r.int(120, 8120),
+      comments: r.int(8, 288),
+      time: r.pick(["now", "2m", "12m", "1h", "yesterday"]), // a time.* key
+      isAd,
+      type: postType !== undefined ? postType : (isAd ? "ad" : "normal"),
+      fake: isFake !== undefined ? isFake : false,
+      fomoText: fomoText !== undefined ? fomoText : null,
+      commentsList: [
+        { user: r.pick(usernames), text: r.pick(scenario.comments.post), avatar: 11, likes: r.int(0, 80) },
+        { user: r.pick(usernames), text: r.pick(scenario.comments.post), avatar: 22, likes: r.int(0, 80) },
+      ],
+    };
+  };
+
+  // Build Reel post with coherent video + caption (avoids recent repeats)
+  const buildReel = ({ id, user }, r = rng.feed) => {
+    const available = reelPacks.filter((rp) => !usedReelIds.includes(rp.id));
+    const reelPack = r.pick(available.length > 0 ? available : reelPacks);
+    usedReelIds = usedReelIds.concat([reelPack.id]).slice(-MAX_REEL_HISTORY);
+    const avatarId = r.pick(scenario.avatars);
+    return {
+      id,
+      user,
+      avatar: photoUrl(avatarId, 180),
+      verified: r.next() > 0.7,
+      content: reelPack.caption,
+      isReel: true,
+      youtubeId: reelPack.id,
+      likes: r.int(1000, 26000),
+      comments: r.int(50, 850),
+      shares: r.int(20, 520),
+      time: r.pick(["now", "5m", "1h", "3h"]), // a time.* key
+      isAd: false,
+      type: "reel",
+      commentsList: [
+        { user: r.pick(usernames), text: r.pick(scenario.comments.reel), avatar: 11, likes: r.int(0, 80) },
+        { user: r.pick(usernames), text: r.pick(scenario.comments.reel), avatar: 22, likes: r.int(0, 80) },
+      ],
+    };
+  };
+
+  // The starting feed is the same for everyone: the model knows nothing yet
+  const buildInitialPosts = () => scenario.initialFeed.map((p, i) => {
+    if (p.reel) return { ...buildReel({ id: i + 1, user: p.user }), reason: { kind: "initial", category: scenario.reelInterest } };
+    const caption = p.caption || (p.ad ? rng.feed.pick(scenario.ads.captions) : undefined);
+    const post = buildPost({ id: i + 1, user: p.ad ? t("game.post.sponsoredTag") : p.user, cat: p.interest, caption, isAd: Boolean(p.ad) });
+    return { ...post, reason: { kind: "initial", category: p.interest } };
+  });
+
+  // Next 4 posts, each category picked by the interest model (see interestModel.js)
+  const buildBatch = (weights, epsilon) => {
+    const r = rng.feed;
+    const batch = [];
+    let id = state.nextPostId;
+    for (let i = 0; i < 4; i += 1) {
+      const { category: cat, explored } = pickCategory(weights, r, epsilon);
+      const reason = pickReason(weights, epsilon, cat, explored);
+      const isAd = (state.activePosts.length + i) % params.adEvery === 0 && i > 0;
+      const isReel = !isAd && r.chance(params.reelChance);
+      const postId = id;
+      id += 1;
+      if (isReel) {
+        const reel = buildReel({ id: postId, user: r.pick(usernames) });
+        batch.push({ ...reel, reason: { ...pickReason(weights, epsilon, scenario.reelInterest, false), kind: "reel" } });
+        continue;
+      }
+      const isFomo = !isAd && r.chance(params.fomoChance) && on("fomoBanners");
+      const isClickbait = !isAd && scenario.clickbait.interests.includes(cat) && r.chance(params.clickbaitChance);
+      let caption;
+      if (isAd) caption = r.pick(scenario.ads.captions);
+      else if (isClickbait && scenario.clickbait.captions) caption = r.pick(scenario.clickbait.captions);
+      const post = buildPost({
+        id: postId,
+        user: isAd ? t("game.post.sponsoredTag") : r.pick(usernames),
+        cat,
+        caption,
+        isAd,
+        postType: isAd ? "ad" : isClickbait ? "clickbait" : isFomo ? "fomo" : "normal",
+        isFake: isClickbait,
+        fomoText: isFomo ? fillText(r.pick(scenario.fomoMessages), r) : null,
+      });
+      batch.push({ ...post, reason: { ...reason, kind: isAd ? "ad" : reason.kind, explored, fomo: isFomo, clickbait: isClickbait } });
+    }
+    return { batch, nextPostId: id };
+  };
+
+  // Profile counters are drawn once when the profile opens, not on every render
+  const withProfileStats = (profile) => ({
+    ...profile,
+    stats: { posts: rng.ui.int(30, 230), followers: rng.ui.int(5, 55) * 100, following: rng.ui.int(200, 1000) },
+  });
+
+  // ---------- simulation steps ----------
+  // Every learning signal goes through here (see interestModel.js)
+  const learn = (cat, signal, seconds) => {
+    if (!cat) return;
+    set((s) => ({ userInterests: applySignal(s.userInterests, cat, signal, seconds), learnedSignals: s.learnedSignals + 1 }));
+  };
+  const interestOf = (post) => postInterest(post, scenario.reelInterest);
+
+  const loadMore = () => {
+    const epsilon = explorationRate(state.learnedSignals);
+    const weights = { ...state.userInterests };
+    set((s) => ({
+      isLoadingMore: true,
+      feedDrift: s.feedDrift.concat([{ t: Math.round((time() - s.startedAt) / 1000), weights, epsilon }]),
+    }));
+    after(900, () => {
+      const { batch, nextPostId } = buildBatch(weights, epsilon);
+      set((s) => ({ activePosts: s.activePosts.concat(batch), nextPostId, isLoadingMore: false }));
+    });
+  };
+
+  const openDM = (id) => {
+    onSound("pop");
+    const dm = state.dmInbox.find((d) => d.id === id);
+    if (!dm) return;
+    logEvent("dm_opened", { user: dm.user, scam: Boolean(dm.scam) });
+    set({ currentDMId: id, showDM: true, showDMInbox: false, showNotificationsInbox: false });
+  };
+
+  const appendMessage = (dmId, message, preview) => set((s) => ({
+    dmInbox: s.dmInbox.map((dm) => (dm.id === dmId ? { ...dm, ...(preview ? { preview } : {}), messages: dm.messages.concat([message]) } : dm)),
+  }));
+
+  const groomingThread = (dmId) => state.groomingThreads.find((th) => th.dmId === dmId) || null;
+
+  const startGrooming = (dmId, user) => {
+    if (!grooming || groomingThread(dmId)) return;
+    set((s) => ({ groomingThreads: s.groomingThreads.concat([startThread(dmId, user)]) }));
+  };
+
+  // Saves the thread as replyTo() or defuseThread() left it and logs what happened
+  const updateGrooming = (thread, events) => {
+    set((s) => ({ groomingThreads: s.groomingThreads.map((th) => (th.dmId === thread.dmId ? thread : th)) }));
+    events.forEach(({ type, stage, how }) => logEvent(GROOMING_EVENTS[type], { user: thread.user, stage, ...(how ? { how } : {}) }));
+  };
+
+  const openPhishing = (id, via, user) => {
+    if (!phishing.pages.some((p) => p.id === id)) return;
+    onSound("pop");
+    logEvent("phishing_opened", { page: id, via, user });
+    set({ phishingPage: { id, via, user, submitted: false } });
+  };
+
+  // The visit as it ended: `fields` are the ones the player filled in, out of the page's own
+  const recordPhishing = (fields, submitted) => {
+    const { id, via, user } = state.phishingPage;
+    const page = phishing.pages.find((p) => p.id === id);
+    const filled = page.fields.filter((f) => fields.includes(f));
+    logEvent(submitted ? "phishing_submitted" : "phishing_closed", { page: id, fields: filled });
+    set((s) => ({ phishingVisits: s.phishingVisits.concat([{ page: id, via, user, filled, submitted }]) }));
+  };
+
+  const pendingFriendRequests = () => friendRequests.filter((r) => !state.acceptedFriendRequests.some((a) => a.user === r.user) && !state.blockedUsers.includes(r.user));
+
+  // Who a report, block or restrict is about: the open chat, profile or friend request,
+  // and whether it really is a dangerous account (scam or grooming chat, fake news account, suspicious request)
+  const safetyTarget = (via) => {
+    if (via === "dm") {
+      const dm = state.showDM && state.dmInbox.find((d) => d.id === state.currentDMId);
+      return dm ? { user: dm.user, harmful: Boolean(dm.scam) } : null;
+    }
+    if (via === "profile") {
+      const profile = state.showProfile && state.currentProfile;
+      return profile && !profile.isMe ? { user: profile.user, harmful: Boolean(profile.fake) } : null;
+    }
+    if (via === "friendRequest") {
+      const req = state.showFriendRequest && state.currentFriendRequest;
+      return req ? { user: req.user, harmful: Boolean(req.suspicious) } : null;
+    }
+    return null;
+  };
+
+  const showFriendRequest = (req) => {
+    set({ currentFriendRequest: req, showFriendRequest: true });
+    logEvent("friend_request_shown", { user: req.user, suspicious: req.suspicious });
+  };
+
+  const currentStory = () => state.storyList.find((st) => st.id === state.currentStoryId);
+  const countStory = (key) => set((s) => ({ storyStats: { ...s.storyStats, [key]: s.storyStats[key] + 1 } }));
+
+  // seen: played to the end (or tapped past its last slide), rather than closed
+  const endStory = (seen) => {
+    if (storyJob) cancel(storyJob);
+    storyJob = null;
+    holdStart = null;
+    const id = state.currentStoryId;
+    set((s) => ({
+      showStory: false,
+      storyProgress: 0,
+      storySlide: 0,
+      storyPaused: false,
+      storiesWatched: s.storiesWatched + 1,
+      ...(seen ? { storyList: s.storyList.map((st) => (st.id === id ? { ...st, seen: true } : st)) } : {}),
+    }));
+    if (seen) scheduleUrgentStory();
+  };
+
+  // Slide `i` of the open story, from its start; past the last slide the story is over
+  const goToSlide = (i) => {
+    const story = currentStory();
+    if (i >= story.slides.length) { endStory(true); return; }
+    const index = Math.max(0, i);
+    slideTicks = 0;
+    set({ storySlide: index, storyProgress: (index * 100) / story.slides.length });
+    const key = `${story.id}:${index}`;
+    if (story.slides[index].closeFriends && !closeFriendsSeen.has(key)) {
+      closeFriendsSeen.add(key);
+      countStory("closeFriends");
+    }
+  };
+
+  const openStory = (story, urgent = false) => {
+    logEvent("story_opened", { user: story.user, ...(urgent ? { urgent } : {}) });
+    set({ currentStoryId: story.id, showStory: true, storyPaused: false });
+    onSound("pop");
+    if (storyJob) cancel(storyJob);
+    holdStart = null;
+    goToSlide(0);
+    storyJob = every(TICK_MS, () => {
+      // Held down, or covered by the page its link sticker opened
+      if (state.storyPaused || state.phishingPage) return;
+      slideTicks += 1;
+      if (slideTicks < SLIDE_TICKS) { set({ storyProgress: ((state.storySlide + slideTicks / SLIDE_TICKS) * 100) / story.slides.length }); return; }
+      goToSlide(state.storySlide + 1);
+    });
+  };
+
+  // ---------- Reels tab ----------
+  // More clips for the tab, from their own stream so that the feed stays the same
+  const addReels = () => {
+    const batch = Array.from({ length: REELS_BATCH }, (_, i) => buildReel({ id: `reel_${state.reelsFeed.length + i}`, user: rng.reels.pick(usernames) }, rng.reels));
+    set((s) => ({ reelsFeed: s.reelsFeed.concat(batch) }));
+  };
+
+  const playReel = (index) => {
+    reelWatched = 0;
+    reelLoops = 0;
+    if (index === reelCounted) return;
+    reelCounted = index;
+    set((s) => ({ reelIndex: index, reelsWatched: s.reelsWatched + 1, dopamineSpikes: s.dopamineSpikes + 1 }));
+    if (index >= state.reelsFeed.length - 2 && on("infiniteScroll")) addReels();
+  };
+
+  // how: "swipe" | "auto" | "close" (see reels.js)
+  const leaveReel = (how) => {
+    const reel = state.reelsFeed[state.reelIndex];
+    const view = { youtubeId: reel.youtubeId, seconds: Math.round(reelWatched / 100) / 10, loops: reelLoops, how };
+    set((s) => ({ reelViews: s.reelViews.concat([view]) }));
+    learn(scenario.reelInterest, reelSignal(view), view.seconds);
+    logEvent("reel_viewed", { user: reel.user, ...view });
+  };
+
+  const closeReels = () => {
+    leaveReel("close");
+    cancel(reelJob);
+    reelJob = null;
+    set({ showReels: false });
+  };
+
+  // An unseen story "about to expire", some time after the story bar last changed
+  const scheduleUrgentStory = () => {
+    if (urgentJob) cancel(urgentJob);
+    if (!on("urgentStory")) return;
+    urgentJob = after(rng.stories.int(...params.urgentStoryDelay), () => {
+      urgentJob = null;
+      const unseen = state.storyList.filter((s) => !s.seen);
+      if (!unseen.length) return;
+      const story = rng.stories.pick(unseen);
+      set({ urgentStory: { ...story, expiresIn: rng.stories.int(1, 6) } }); // 1-5 minutes
+      logEvent("urgent_story_shown", { user: story.user });
+      after(12000, () => set({ urgentStory: null }));
+    });
+  };
+
+  const showNotification = () => {
+    const r = rng.notifications;
+    const available = notificationTypes.filter((n) => !(n.rare && state.rareEventShown) && (n.hasContent || on("emptyNotifications")));
+    if (!available.length) return;
+    const notif = r.pick(available);
+    if (notif.rare) set({ rareEventShown: true });
+    const text = fillText(notif, r);
+    const entry = {
+      id: `n_${time()}_${r.id()}`,
+      ts: time(), text, hasContent: notif.hasContent,
+      mood: notif.mood, action: notif.action, rare: notif.rare,
+    };
+    if (humane) {
+      digest.push(entry);
+      set((s) => ({ notificationsLog: [entry].concat(s.notificationsLog).slice(0, 40) }));
+      return;
+    }
+    if (pendingNotif) logEvent("notification_ignored", { text: pendingNotif.text, hasContent: pendingNotif.hasContent });
+    pendingNotif = entry;
+    set((s) => ({ activeNotification: entry, showNotificationPopup: true, notificationsLog: [entry].concat(s.notificationsLog).slice(0, 40) }));
+    onSound("pop");
+    logEvent("notification_shown", { text, hasContent: notif.hasContent });
+    if (notifHideJob) cancel(notifHideJob);
+    notifHideJob = after(4200, () => {
+      notifHideJob = null;
+      set({ showNotificationPopup: false });
+      if (pendingNotif && pendingNotif.id === entry.id) {
+        pendingNotif = null;
+        logEvent("notification_ignored", { text, hasContent: notif.hasContent });
+      }
+    });
+  };
+
+  // Humane mode: one quiet popup for everything that arrived since the last one
+  const showDigest = () => {
+    const entry = { id: `digest_${time()}`, ts: time(), text: t("game.digest", { count: digest.length }), hasContent: true, digest: true };
+    logEvent("notification_digest_shown", { count: digest.length });
+    digest = [];
+    set({ activeNotification: entry, showNotificationPopup: true });
+    if (notifHideJob) cancel(notifHideJob);
+    notifHideJob = after(4200, () => {
+      notifHideJob = null;
+      set({ showNotificationPopup: false });
+    });
+  };
+
+  // Enough play today: the streak goes up by one and is safe until tomorrow night. An open prompt has
+  // nothing left to ask and closes, answered neither way
+  const secureStreak = () => {
+    const record = extendStreak(state.streakRecord, time());
+    set({ streak: record.count, streakSecured: true, streakDeadline: streakAt(record, time()).deadline, streakRecord: record, showStreakPrompt: false });
+    logEvent("streak_extended", { streak: record.count });
+    onSound("pop");
+  };
+
+  const feedContinues = () => on("infiniteScroll") || (humane && state.activePosts.length < HUMANE_FEED_LENGTH);
+
+  const startTimers = () => {
+    if (!state.streakSecured && !humane) after(STREAK_DAY_MS, secureStreak);
+    every(MOOD_SAMPLE_MS, () => set((s) => {
+      const history = s.moodHistory.concat([s.mood]);
+      return {
+        moodHistory: history.length > MOOD_HISTORY_MAX ? history.slice(history.length - MOOD_HISTORY_MAX) : history,
+        mood: clamp(s.mood - 1, 15, 100),
+      };
+    }));
+
+    if (on("variableRewards")) every(rng.ambient.int(...params.likesDelay), () => {
+      if (!rng.ambient.chance(params.likesChance)) return;
+      const plus = rng.ambient.int(1, 5);
+      set((s) => ({ likesReceived: s.likesReceived + plus, dopamineSpikes: s.dopamineSpikes + 1 }));
+      moodBy(3);
+      onSound("pop");
+      logEvent("likes_received", { count: plus });
+    });
+
+    if (on("typingIndicator")) every(params.typingInterval, () => {
+      if (!(rng.ambient.chance(params.typingChance) && !isBlocked(state))) return;
+      const user = rng.ambient.pick(typingUsers);
+      set((s) => ({ currentTyping: user, typingShownCount: s.typingShownCount + 1 }));
+      logEvent("typing_shown", { user });
+      after(2200 + rng.ambient.int(0, 1600), () => set({ currentTyping: null }));
+    });
+
+    const scheduleNotification = () => after(rng.notifications.int(...params.notificationDelay), () => {
+      if (!isBlocked(state) && rng.notifications.chance(params.notificationChance)) showNotification();
+      scheduleNotification();
+    });
+    scheduleNotification();
+
+    if (humane) every(HUMANE_DIGEST_MS, () => {
+      if (digest.length > 0 && !isBlocked(state)) showDigest();
+    });
+
+    const scheduleFriendRequest = () => after(rng.social.int(...params.friendRequestDelay), () => {
+      const pending = pendingFriendRequests();
+      if (!isBlocked(state) && pending.length > 0) showFriendRequest(rng.social.pick(pending));
+      scheduleFriendRequest();
+    });
+    scheduleFriendRequest();
+
+    // === RETENTION TECHNIQUES ===
+    // Live viewers counter: fluctuates to create urgency
+    if (on("liveViewers")) every(3000 + rng.ambient.int(0, 2000), () => {
+      const change = rng.ambient.int(-10, 20);
+      set((s) => ({ liveViewers: clamp(s.liveViewers + change, 20, 500) }));
+    });
+
+    // Likes appearing on the posts while you scroll
+    every(4000 + rng.ambient.int(0, 3000), () => {
+      if (!(state.activePosts.length > 0 && rng.ambient.next() > 0.5)) return;
+      const post = rng.ambient.pick(state.activePosts);
+      const anim = { id: ++liveLikeSeq, postId: post.id, user: rng.ambient.pick(usernames) };
+      set((s) => ({
+        liveLikeAnimations: s.liveLikeAnimations.concat([anim]),
+        activePosts: s.activePosts.map((p) => (p.id === post.id ? { ...p, likes: p.likes + 1 } : p)),
+      }));
+      after(2000, () => set((s) => ({ liveLikeAnimations: s.liveLikeAnimations.filter((a) => a.id !== anim.id) })));
+    });
+
+    // "3 friends are watching": social FOMO
+    if (on("friendsWatching")) every(15000 + rng.ambient.int(0, 10000), () => {
+      if (rng.ambient.next() <= 0.6) return;
+      const watching = [];
+      const count = rng.ambient.int(1, 4);
+      for (let i = 0; i < count; i++) watching.push(rng.ambient.pick(scenario.watchers));
+      set({ friendsWatching: [...new Set(watching)] });
+      after(8000, () => set({ friendsWatching: [] }));
+    });
+
+    scheduleUrgentStory();
+
+    // "Recommended because...": the real reason of the latest picked post
+    every(20000 + rng.ambient.int(0, 15000), () => {
+      if (rng.ambient.next() <= 0.7) return;
+      const picked = state.activePosts.filter((p) => p.reason && (p.reason.kind === "interest" || p.reason.kind === "explore"));
+      if (!picked.length) return;
+      set({ algoReasonPostId: picked[picked.length - 1].id });
+      after(5000, () => set({ algoReasonPostId: null }));
+    });
+  };
+
+  // ---------- actions ----------
+  const actions = {
+    // { scrollTop, nearEnd }: the feed moved; nearEnd when the bottom is in sight
+    scroll({ scrollTop, nearEnd }) {
+      set((s) => ({ scrollDistance: s.scrollDistance + Math.abs(scrollTop - s.lastScrollTop), lastScrollTop: scrollTop }));
+      if (nearEnd && !state.isLoadingMore && feedContinues()) loadMore();
+    },
+
+    // Without infinite scroll the feed ends ("you're all caught up") until the player asks for more
+    loadPage() {
+      if (state.isLoadingMore || selectFeedEnd(state) !== "more") return;
+      logEvent("page_requested");
+      loadMore();
+    },
+
+    // { postId, seconds, scrolledPast }: a post left the screen (see useDwellTracker)
+    postLeft({ postId, seconds, scrolledPast }) {
+      const signal = dwellSignal(seconds, scrolledPast);
+      if (signal) learn(interestOf(findPost(state, postId)), signal, seconds);
+    },
+
+    like({ postId }) {
+      const post = findPost(state, postId);
+      if (!post) return;
+      if (state.likedPosts.includes(postId)) {
+        set((s) => ({ likedPosts: s.likedPosts.filter((id) => id !== postId) }));
+        return;
+      }
+      onSound("pop");
+      logEvent("post_liked", { postId, user: post.user, cat: post?.image?.type || post.type });
+      set((s) => ({ likedPosts: s.likedPosts.concat([postId]), heartPostId: postId, dopamineSpikes: s.dopamineSpikes + 1 }));
+      moodBy(3);
+      after(700, () => set((s) => (s.heartPostId === postId ? { heartPostId: null } : {})));
+      learn(interestOf(post), "like");
+    },
+
+    // { postId, action: "comment" | "profile" | "share" | "save" | "ad" }
+    postAction({ postId, action }) {
+      const post = findPost(state, postId);
+      if (!post) return;
+      if (action === "comment") {
+        set({ commentsPostId: postId, showComments: true });
+      } else if (action === "profile") {
+        set((s) => ({ currentProfile: withProfileStats(post), showProfile: true, profileVisits: s.profileVisits + 1 }));
+        learn(interestOf(post), "profile");
+        logEvent("profile_visited", { user: post.user });
+      } else if (action === "share") {
+        const clickbait = post.type === "clickbait" || post.fake;
+        if (clickbait) set((s) => ({ sharedClickbait: s.sharedClickbait + 1 }));
+        logEvent("post_shared", { postId, clickbait });
+      } else if (action === "save") {
+        // Unsaving is not a signal: the feed only remembers what you kept
+        const saved = state.savedPosts.includes(postId);
+        if (!saved) learn(interestOf(post), "save");
+        set((s) => ({ savedPosts: saved ? s.savedPosts.filter((id) => id !== postId) : s.savedPosts.concat([postId]) }));
+      } else if (action === "ad") {
+        set((s) => ({ adsClicked: s.adsClicked + 1 }));
+        logEvent("ad_clicked", { postId });
+        if (phishing.ad) openPhishing(phishing.ad, "ad", post.user);
+      }
+    },
+
+    // The 🎬 tab of the bottom nav: it picks up from the clip it was left on
+    openReels() {
+      if (state.showReels) return;
+      if (!state.reelsFeed.length) addReels();
+      set({ showReels: true });
+      logEvent("reels_opened");
+      onSound("pop");
+      playReel(state.reelIndex);
+      // Watch time; a chat or a page on top is not watching
+      reelJob = every(TICK_MS, () => {
+        if (!isBlocked(state)) reelWatched += TICK_MS;
+      });
+    },
+    // { index }: the player of clip `index` started it over (reported late for a clip already left: ignored)
+    reelLooped({ index }) {
+      if (!state.showReels || index !== state.reelIndex) return;
+      reelLoops += 1;
+      learn(scenario.reelInterest, "reel");
+      if (reelLoops < AUTOPLAY_AFTER_LOOPS || !on("infiniteScroll") || index >= state.reelsFeed.length - 1) return;
+      leaveReel("auto");
+      playReel(index + 1);
+    },
+    closeReels() {
+      if (state.showReels) closeReels();
+    },
+    // { index }: the clip snapped into view, after a swipe up or down
+    swipeReel({ index }) {
+      if (!state.showReels || index === state.reelIndex || index < 0 || index >= state.reelsFeed.length) return;
+      leaveReel("swipe");
+      playReel(index);
+    },
+
+    reelPlayed({ postId }) {
+      const post = findPost(state, postId);
+      if (!post) return;
+      learn(scenario.reelInterest, "reel");
+      set((s) => ({ dopamineSpikes: s.dopamineSpikes + 1, reelsWatched: s.reelsWatched + 1 }));
+      logEvent("reel_played", { postId, youtubeId: post.youtubeId });
+    },
+
+    // { text }: comment on the post whose comments are open
+    addComment({ text }) {
+      const body = (text || "").trim();
+      const post = findPost(state, state.commentsPostId);
+      if (!body || !post) return;
+      const comment = { user: handle || t("game.me"), text: body, avatar: 0, isMe: true };
+      set((s) => ({
+        activePosts: s.activePosts.map((p) => (p.id === post.id ? { ...p, commentsList: [...(p.commentsList || []), comment], comments: (p.comments || 0) + 1 } : p)),
+      }));
+      moodBy(3);
+      learn(interestOf(post), "comment");
+      onSound("pop");
+    },
+    closeComments() { set({ showComments: false, commentsPostId: null }); },
+
+    openMyProfile() {
+      set({
+        showProfile: true,
+        currentProfile: withProfileStats({ user: "@" + handle, avatar: state.myAvatar, verified: false, image: { type: "friends" }, time: "now", isMe: true }),
+      });
+    },
+    closeProfile() { set({ showProfile: false, currentProfile: null }); },
+
+    // { postId }: "•••" -> why am I seeing this?
+    inspectPost({ postId }) { set({ inspectedPostId: postId, algoReasonPostId: null }); },
+    closeInspector() { set({ inspectedPostId: null }); },
+
+    openNotificationsInbox() { onSound("pop"); set({ showNotificationsInbox: true, showDMInbox: false }); },
+    closeNotificationsInbox() { set({ showNotificationsInbox: false }); },
+
+    // { id }: from the popup or the inbox
+    notificationClick({ id }) {
+      if (state.activeNotification && state.activeNotification.id === id && state.activeNotification.digest) {
+        set({ showNotificationPopup: false, showNotificationsInbox: true, showDMInbox: false });
+        return;
+      }
+      const notif = state.notificationsLog.find((n) => n.id === id);
+      if (!notif) return;
+      const fromPopup = Boolean(pendingNotif && pendingNotif.id === id);
+      if (fromPopup) pendingNotif = null;
+      logEvent("notification_clicked", { text: notif.text, hasContent: notif.hasContent, via: fromPopup ? "popup" : "inbox" });
+      set((s) => ({ notificationClicks: s.notificationClicks + 1, showNotificationPopup: false }));
+      if (!notif.hasContent) {
+        set((s) => ({ emptyNotificationClicks: s.emptyNotificationClicks + 1, ignoredEmptyNotifs: false }));
+        moodBy(-8);
+      } else {
+        set((s) => ({ dopamineSpikes: s.dopamineSpikes + 1 }));
+        moodBy(notif.mood || 0);
+        onSound("pop");
+      }
+      if (notif.action === "friendRequest") {
+        const pending = pendingFriendRequests();
+        if (!pending.length) return;
+        // Suspicious requests first
+        set({ showNotificationsInbox: false });
+        showFriendRequest(pending.find((r) => r.suspicious) || pending[0]);
+      } else if (notif.action === "dm") {
+        set({ showDMInbox: true, showNotificationsInbox: false });
+      }
+    },
+
+    // { accept }
+    friendRequest({ accept }) {
+      const req = state.currentFriendRequest;
+      set({ showFriendRequest: false, currentFriendRequest: null });
+      if (!req) return;
+      logEvent(accept ? "friend_request_accepted" : "friend_request_refused", { user: req.user, suspicious: req.suspicious });
+      if (!accept || state.acceptedFriendRequests.some((r) => r.user === req.user)) return;
+      set((s) => ({ acceptedFriendRequests: s.acceptedFriendRequests.concat([req]) }));
+      if (!req.suspicious) { moodBy(6); return; }
+      set({ refusedSuspicious: false });
+      // The new "friend" writes straight away, in the chat you already had with them if any
+      const existing = state.dmInbox.find((dm) => dm.user === req.user);
+      let dmId;
+      if (existing) {
+        const lines = grooming ? escalationOpening() : [rng.social.pick(scenario.escalation.asks)];
+        lines.forEach((text) => appendMessage(existing.id, { from: "them", text, time: t("time.now") }, text));
+        dmId = existing.id;
+      } else {
+        const escal = buildEscalationDM(req);
+        set((s) => ({ dmInbox: [escal].concat(s.dmInbox) }));
+        dmId = escal.id;
+      }
+      startGrooming(dmId, req.user);
+      // A restricted account's messages wait in the inbox instead of popping up
+      if (!state.restrictedUsers.includes(req.user)) after(2200, () => openDM(dmId));
+    },
+
+    // { action: "report" | "block" | "restrict", via: "dm" | "profile" | "friendRequest" }
+    // Blocking removes the chat and any future request; on a friend request every action also ignores it
+    safetyAction({ action, via }) {
+      const target = safetyTarget(via);
+      if (!SAFETY_EVENTS[action] || !target || selectSafetyActions(state, target.user).includes(action)) return;
+      const { user, harmful } = target;
+      logEvent(SAFETY_EVENTS[action], { user, via, harmful });
+      set((s) => ({ safetyActions: s.safetyActions.concat([{ action, user, via, harmful }]) }));
+      if (action === "block") {
+        set((s) => ({ blockedUsers: s.blockedUsers.concat([user]), dmInbox: s.dmInbox.filter((dm) => dm.user !== user) }));
+        if (via === "dm") set({ showDM: false, currentDMId: null, showDMInbox: true });
+        if (via === "profile") set({ showProfile: false, currentProfile: null });
+      } else if (action === "restrict") {
+        set((s) => ({ restrictedUsers: s.restrictedUsers.concat([user]) }));
+      }
+      // Reporting or blocking ends a grooming chat; restricting only hides it
+      if (action !== "restrict") {
+        state.groomingThreads.filter((th) => th.user === user && !th.outcome).forEach((th) => {
+          updateGrooming(defuseThread(th, action), [{ type: "defused", stage: th.stage, how: action }]);
+        });
+      }
+      if (via === "friendRequest") actions.friendRequest({ accept: false });
+      set({ safetyFeedback: { action, user, harmful } });
+    },
+    closeSafetyFeedback() { set({ safetyFeedback: null }); },
+
+    // { page }: a link in the open chat
+    openDMLink({ page }) {
+      const dm = state.showDM && state.dmInbox.find((d) => d.id === state.currentDMId);
+      if (dm && dm.messages.some((m) => m.link === page)) openPhishing(page, "dm", dm.user);
+    },
+    // { fields }: the names of the fields filled in (PHISHING_FIELDS); the page then says what just happened
+    submitPhishing({ fields = [] }) {
+      if (!state.phishingPage || state.phishingPage.submitted) return;
+      recordPhishing(fields, true);
+      set((s) => ({ phishingPage: { ...s.phishingPage, submitted: true } }));
+    },
+    // { fields }: leaving without sending still records what was filled in
+    closePhishing({ fields = [] }) {
+      if (!state.phishingPage) return;
+      if (!state.phishingPage.submitted) recordPhishing(fields, false);
+      set({ phishingPage: null });
+    },
+
+    openDMInbox() { onSound("pop"); set({ showDMInbox: true, showNotificationsInbox: false }); },
+    closeDMInbox() { set({ showDMInbox: false }); },
+    openDM({ id }) { openDM(id); },
+    closeDM() { set({ showDM: false, currentDMId: null, showDMInbox: true }); },
+
+    // { text, intent? } or { choice }: reply in the open chat, typed or picked among the quick replies (by id);
+    // the other side answers after a while. In a grooming chat the script reacts to the reply (intent: one of
+    // REPLY_INTENTS, read from the text if missing) and says nothing more once it has ended
+    sendDM({ text, intent, choice }) {
+      const quick = choice !== undefined ? quickReplies.find((q) => q.id === choice) || null : null;
+      const body = ((quick ? quick.text : text) || "").trim();
+      const dm = state.dmInbox.find((d) => d.id === state.currentDMId);
+      if (!body || !dm || (choice !== undefined && !quick)) return;
+      appendMessage(dm.id, { from: "me", text: body, time: t("time.now") });
+      set((s) => ({ dmReplies: s.dmReplies + 1 }));
+      if (quick) {
+        const { id, safe, why } = quick;
+        set((s) => ({ dmChoices: s.dmChoices.concat([{ id, dmId: dm.id, user: dm.user, text: body, safe, why }]) }));
+        logEvent("dm_reply_sent", { user: dm.user, choice: id, safe });
+      } else {
+        logEvent("dm_reply_sent", { user: dm.user });
+      }
+      if (!quick || !quick.safe) moodBy(5); // keeping the chat going is the rush; a safe way out is not
+      onSound("pop");
+      const delay = 1500 + rng.social.int(0, 2000);
+      const thread = groomingThread(dm.id);
+      if (!thread) {
+        after(delay, () => appendMessage(dm.id, { from: "them", text: rng.social.pick(scenario.autoReplies), time: t("time.now") }));
+        return;
+      }
+      const wanted = quick ? quick.intent : intent;
+      const read = REPLY_INTENTS.includes(wanted) ? wanted : classifyReply(grooming, thread.stage, body);
+      const next = replyTo(grooming, thread, read, rng.social);
+      updateGrooming(next.thread, next.events);
+      next.say.forEach((text, i) => after(delay + i * 1200, () => appendMessage(dm.id, { from: "them", text, time: t("time.now") })));
+    },
+
+    // { id }
+    openStory({ id }) {
+      const story = state.storyList.find((s) => s.id === id);
+      if (story) openStory(story);
+    },
+    openUrgentStory() {
+      const story = state.urgentStory && state.storyList.find((s) => s.id === state.urgentStory.id);
+      set({ urgentStory: null });
+      if (story) openStory(story, true);
+    },
+    closeStory() {
+      if (state.showStory) endStory(false);
+    },
+    // A tap on the right or the left side of the open story
+    storyNext() {
+      if (!state.showStory) return;
+      countStory("forward");
+      learn(currentStory().slides[state.storySlide].interest, STORY_SIGNALS.forward);
+      goToSlide(state.storySlide + 1);
+    },
+    storyPrev() {
+      if (!state.showStory) return;
+      countStory("back");
+      goToSlide(state.storySlide - 1);
+    },
+    // { paused, typing }: holding the story down stops it, and so does typing in a question sticker,
+    // which does not count as a hold. A hold let go teaches the model like dwelling on a post
+    storyHold({ paused, typing = false }) {
+      if (!state.showStory || paused === state.storyPaused) return;
+      set({ storyPaused: paused });
+      if (typing) return;
+      if (paused) { holdStart = time(); return; }
+      if (holdStart === null) return;
+      countStory("holds");
+      learn(currentStory().slides[state.storySlide].interest, "dwell", (time() - holdStart) / 1000);
+      holdStart = null;
+    },
+    // { choice }: "a" or "b" for a poll. Uses the sticker on the slide on screen, once;
+    // what is typed in a question sticker stays in the view
+    storySticker({ choice }) {
+      const story = state.showStory && currentStory();
+      const index = state.storySlide;
+      const slide = story && story.slides[index];
+      const sticker = slide && stickerOf(slide);
+      if (!sticker || slide.used || (sticker === "poll" && choice !== "a" && choice !== "b")) return;
+      const used = sticker === "poll" ? choice : true;
+      set((s) => ({
+        storyList: s.storyList.map((st) => (st.id === story.id ? { ...st, slides: st.slides.map((sl, i) => (i === index ? { ...sl, used } : sl)) } : st)),
+      }));
+      if (sticker === "poll") set((s) => ({ storiesPollClicks: s.storiesPollClicks + 1 }));
+      else countStory(sticker);
+      logEvent("story_sticker_used", { user: story.user, sticker, ...(sticker === "poll" ? { choice } : {}) });
+      learn(slide.interest, STORY_SIGNALS[sticker]);
+      moodBy(2);
+      onSound("pop");
+      if (sticker === "link" && slide.link.page) openPhishing(slide.link.page, "story", story.user);
+    },
+
+    // Exit button: first a reason to stay (unless exit friction is switched off),
+    // and before that the streak, if today does not count yet and the streak is about to be lost
+    requestExit() {
+      if (!on("exitFriction")) { actions.end(); return; }
+      const atRisk = state.streak > 0 && !state.streakSecured && state.streakDeadline - time() <= STREAK_WARNING_MS;
+      if (atRisk && !streakPrompted) {
+        streakPrompted = true;
+        set({ showStreakPrompt: true });
+        logEvent("streak_prompt_shown", { streak: state.streak, remaining: STREAK_DAY_MS - (time() - state.startedAt) });
+        return;
+      }
+      const bait = rng.ui.pick(scenario.exitBait);
+      set({ exitModalContent: { icon: bait.icon, text: fillText(bait, rng.ui, usernames), unread: rng.ui.int(2, 7) }, showExitModal: true });
+      logEvent("exit_modal_shown", { text: bait.text });
+    },
+    stay() {
+      logEvent("exit_modal_dismissed");
+      set({ showExitModal: false, exitModalContent: null });
+    },
+    streakStay() {
+      logEvent("streak_prompt_dismissed");
+      set({ showStreakPrompt: false });
+    },
+    // Escape: the prompt goes away, but the player neither chose to stay nor left
+    streakClose() {
+      logEvent("streak_prompt_closed");
+      set({ showStreakPrompt: false });
+    },
+    end() {
+      if (state.showReels) closeReels();
+      const timeSpent = Math.floor((time() - state.startedAt) / 1000);
+      set({ timeSpent, showExitModal: false, exitModalContent: null, showStreakPrompt: false, exitedOnTime: Boolean(estimatedTime && timeSpent <= estimatedTime) });
+      logEvent("session_end");
+      set({ phase: "reveal" });
+      jobs = [];
+    },
+  };
+
+  // ---------- public surface ----------
+  function start() {
+    const startedAt = now();
+    usedReelIds = [];
+    pendingNotif = null;
+    digest = [];
+    streakPrompted = false;
+    closeFriendsSeen = new Set();
+    reelJob = null;
+    reelCounted = null;
+    jobs = [];
+    const today = streakAt(streak, startedAt);
+    state = {
+      phase: "playing",
+      seed: rng.seed,
+      handle,
+      estimatedTime,
+      intensity,
+      switches: Object.fromEntries(SWITCHES.map((id) => [id, on(id)])),
+      mode,
+      startedAt,
+      timeSpent: 0,
+      eventLog: [{ t: 0, type: "session_start", mood: 50 }],
+
+      userInterests: initialWeights(scenario),
+      learnedSignals: 0, // signals learned so far (drives exploration)
+      feedDrift: [{ t: 0, weights: initialWeights(scenario), epsilon: explorationRate(0) }], // the model at each feed refill
+      mood: 50,
+      moodHistory: [50],
+      dopamineSpikes: 0,
+
+      activePosts: [],
+      isLoadingMore: false,
+      nextPostId: FIRST_POST_ID,
+      lastScrollTop: 0,
+      likedPosts: [],
+      savedPosts: [],
+      likesReceived: 0,
+      heartPostId: null,
+
+      notificationClicks: 0,
+      emptyNotificationClicks: 0,
+      scrollDistance: 0,
+      adsClicked: 0,
+      dmReplies: 0,
+      dmChoices: [], // { id, dmId, user, text, safe, why }: the quick replies sent, in order
+      profileVisits: 0,
+      storiesWatched: 0,
+      reelsWatched: 0,
+      sharedClickbait: 0,
+      storiesPollClicks: 0,
+      typingShownCount: 0,
+
+      exitedOnTime: false,
+      ignoredEmptyNotifs: true,
+      refusedSuspicious: true,
+      rareEventShown: false,
+      streak: today.count,
+      streakSecured: today.securedToday,
+      streakDeadline: today.deadline,
+      streakRecord: streak,
+
+      showNotificationPopup: false,
+      activeNotification: null,
+      notificationsLog: [],
+      showNotificationsInbox: false,
+      currentTyping: null,
+
+      dmInbox: baseDMs,
+      showDMInbox: false,
+      showDM: false,
+      currentDMId: null,
+
+      showFriendRequest: false,
+      currentFriendRequest: null,
+      acceptedFriendRequests: [],
+
+      safetyActions: [], // { action, user, via, harmful }, in order
+      blockedUsers: [],
+      restrictedUsers: [],
+      safetyFeedback: null, // { action, user, harmful }: the explanation shown after an action
+      phishingPage: null, // { id, via: "dm" | "ad" | "story", user, submitted }: the fake landing page on screen
+      phishingVisits: [], // { page, via, user, filled, submitted }, in order
+      groomingThreads: grooming ? baseDMs.filter((dm) => dm.teenSafety).map((dm) => startThread(dm.id, dm.user)) : [], // see grooming.js
+
+      storyList: [],
+      showStory: false,
+      currentStoryId: null,
+      storyProgress: 0, // of the whole story, 0-100
+      storySlide: 0,
+      storyPaused: false,
+      storyStats: { question: 0, countdown: 0, link: 0, closeFriends: 0, forward: 0, back: 0, holds: 0 }, // poll votes: storiesPollClicks
+
+      showReels: false, // the Reels tab is on screen instead of the feed
+      reelsFeed: [], // its clips: reel posts
+      reelIndex: 0, // the clip playing
+      reelViews: [], // { youtubeId, seconds, loops, how }: each clip left, see reels.js
+
+      showComments: false,
+      commentsPostId: null,
+      showProfile: false,
+      currentProfile: null,
+      inspectedPostId: null,
+
+      // === RETENTION TECHNIQUES ===
+      showExitModal: false,
+      exitModalContent: null,
+      showStreakPrompt: false,
+      liveViewers: 120,
+      liveLikeAnimations: [],
+      algoReasonPostId: null, // "Recommended because...": the post it is about
+      urgentStory: null,
+      friendsWatching: [],
+      myAvatar: null,
+    };
+    // Same draw order on every start, so a seed always gives the same feed
+    set({ activePosts: buildInitialPosts() });
+    set({ myAvatar: photoUrl(rng.ui.pick(scenario.avatars), 180) });
+    set({ storyList: buildInitialStories() });
+    const viewers = rng.ambient.int(50, 250);
+    set({ liveViewers: on("liveViewers") ? viewers : null });
+    startTimers();
+    emit();
+  }
+
+  // Runs every job due by `at`, in order, then notifies once
+  function tick(at = now()) {
+    if (!state || state.phase !== "playing") return;
+    for (;;) {
+      let next = null;
+      jobs.forEach((j) => { if (j.at <= at && (!next || j.at < next.at)) next = j; });
+      if (!next) break;
+      jobs = jobs.filter((j) => j !== next);
+      clock = next.at;
+      next.run();
+      clock = null;
+      if (state.phase !== "playing") break;
+    }
+    if (state.phase === "playing") {
+      const timeSpent = Math.floor((at - state.startedAt) / 1000);
+      if (timeSpent !== state.timeSpent) set({ timeSpent });
+    }
+    emit();
+  }
+
+  function dispatch(action) {
+    const handler = actions[action.type];
+    if (!handler) throw new Error(`Unknown engine action: ${action.type}`);
+    if (!state || state.phase !== "playing") return;
+    handler(action);
+    emit();
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    start,
+    tick,
+    dispatch,
+    subscribe,
+    getState: () => state,
+    // Stops every timer; the last state stays readable
+    stop: () => { jobs = []; },
+    // Another photo of the same kind, for images that fail to load (null category: an avatar)
+    alternatePhoto: (category, width) => photoUrl(rng.ui.pick((category && scenario.images[category]) || scenario.avatars), width),
+  };
+}
@@ -0,0 +1,989 @@
+import { describe, expect, it } from "vitest";
+import { HUMANE_DIGEST_MS, HUMANE_FEED_LENGTH, TICK_MS, isBlocked, selectFeedEnd, selectGrooming, selectQuickReplies, selectSafetyActions, selectScore, selectStreakPrompt } from "./engine.js";
+import { resolveIntensity } from "./intensity.js";
+import { switchesFromParam } from "./facilitator.js";
+import { STREAK_DAY_MS, dayKey } from "./streak.js";
+import { selectAchievements } from "./achievements.js";
+import { AUTOPLAY_AFTER_LOOPS } from "./reels.js";
+import { EVENING, scenario, startRun } from "./test/run.js";
+
+const badgeIds = (s) => selectAchievements(s).map((a) => a.id);
+
+// Waits for a friend request popup, refusing the ones that do not match
+function waitForRequest(run, suspicious) {
+  for (;;) {
+    const s = run.until((st) => st.showFriendRequest);
+    if (s.currentFriendRequest.suspicious === suspicious) return s.currentFriendRequest;
+    run.dispatch({ type: "friendRequest", accept: false });
+  }
+}
+
+// Waits for a notification popup of the wanted kind and returns it
+function waitForNotification(run, hasContent) {
+  for (;;) {
+    const s = run.until((st) => st.showNotificationPopup || st.showFriendRequest);
+    if (s.showFriendRequest) { run.dispatch({ type: "friendRequest", accept: false }); continue; }
+    if (s.activeNotification.hasContent === hasContent && !s.activeNotification.action) return s.activeNotification;
+    run.advance(5000); // let it hide
+  }
+}
+
+describe("badges", () => {
+  it("awards all three to a run that touched nothing and left in time", () => {
+    const run = startRun({ estimatedTime: 60 });
+    run.advance(20000);
+    run.dispatch({ type: "end" });
+    const s = run.state();
+    expect(s.phase).toBe("reveal");
+    expect(s.exitedOnTime).toBe(true);
+    expect(badgeIds(s)).toEqual(expect.arrayContaining(["exitedOnTime", "ignoredEmptyNotifs", "refusedSuspicious"]));
+  });
+
+  it("awards exitedOnTime up to the estimated second, not after", () => {
+    const onTime = startRun({ estimatedTime: 30 });
+    onTime.advance(30000);
+    onTime.dispatch({ type: "end" });
+    expect(onTime.state().exitedOnTime).toBe(true);
+
+    const late = startRun({ estimatedTime: 30 });
+    late.advance(31000);
+    late.dispatch({ type: "end" });
+    expect(late.state().timeSpent).toBe(31);
+    expect(late.state().exitedOnTime).toBe(false);
+    expect(badgeIds(late.state())).not.toContain("exitedOnTime");
+  });
+
+  it("never awards exitedOnTime without an estimate", () => {
+    const run = startRun();
+    run.advance(1000);
+    run.dispatch({ type: "end" });
+    expect(run.state().exitedOnTime).toBe(false);
+  });
+
+  it("takes ignoredEmptyNotifs away on the first empty notification clicked", () => {
+    const run = startRun();
+    const notif = waitForNotification(run, false);
+    const mood = run.state().mood;
+    run.dispatch({ type: "notificationClick", id: notif.id });
+    const s = run.state();
+    expect(s.ignoredEmptyNotifs).toBe(false);
+    expect(s.emptyNotificationClicks).toBe(1);
+    expect(s.mood).toBe(Math.max(0, mood - 8));
+    expect(badgeIds(s)).not.toContain("ignoredEmptyNotifs");
+  });
+
+  it("keeps ignoredEmptyNotifs when only real notifications are clicked", () => {
+    const run = startRun();
+    const notif = waitForNotification(run, true);
+    run.dispatch({ type: "notificationClick", id: notif.id });
+    expect(run.state().notificationClicks).toBe(1);
+    expect(run.state().ignoredEmptyNotifs).toBe(true);
+  });
+
+  it("keeps refusedSuspicious when suspicious requests are ignored", () => {
+    const run = startRun();
+    waitForRequest(run, true);
+    run.dispatch({ type: "friendRequest", accept: false });
+    run.dispatch({ type: "end" });
+    expect(badgeIds(run.state())).toContain("refusedSuspicious");
+  });
+
+  it("keeps refusedSuspicious when a genuine request is accepted", () => {
+    const run = startRun();
+    waitForRequest(run, false);
+    run.dispatch({ type: "friendRequest", accept: true });
+    expect(run.state().refusedSuspicious).toBe(true);
+    expect(run.state().acceptedFriendRequests).toHaveLength(1);
+  });
+});
+
+describe("friend request -> escalation DM", () => {
+  it("opens a new grooming chat 2.2 s after a suspicious request is accepted", () => {
+    const run = startRun();
+    const req = waitForRequest(run, true);
+    expect(scenario.dms.some((dm) => dm.user === req.user)).toBe(false);
+    const inbox = run.state().dmInbox.length;
+
+    run.dispatch({ type: "friendRequest", accept: true });
+    let s = run.state();
+    expect(s.showFriendRequest).toBe(false);
+    expect(s.refusedSuspicious).toBe(false);
+    expect(selectScore(s).components.find((c) => c.id === "suspiciousAccepted").points).toBe(14);
+
+    const dm = s.dmInbox[0];
+    expect(s.dmInbox).toHaveLength(inbox + 1);
+    expect(dm.id).toMatch(/^dm_escal_/);
+    expect(dm.user).toBe(req.user);
+    expect(dm).toMatchObject({ scam: true, teenSafety: true });
+    expect(dm.messages.map((m) => m.text)).toEqual(scenario.grooming.stages.rapport.says);
+    expect(dm.messages.every((m) => m.from === "them")).toBe(true);
+    expect(s.showDM).toBe(false);
+
+    s = run.advance(2200 - TICK_MS);
+    expect(s.showDM).toBe(false);
+    s = run.advance(TICK_MS);
+    expect(s.showDM).toBe(true);
+    expect(s.currentDMId).toBe(dm.id);
+    expect(s.eventLog.some((e) => e.type === "friend_request_accepted" && e.suspicious)).toBe(true);
+  });
+
+  it("writes in the existing chat when there already is one with that account", () => {
+    const req = scenario.friendRequests.find((r) => r.suspicious);
+    const chat = { ...scenario.dms[0], id: "dm_known", user: req.user };
+    scenario.dms.push(chat);
+    try {
+      const run = startRun();
+      for (;;) {
+        const got = waitForRequest(run, true);
+        if (got.user === req.user) break;
+        run.dispatch({ type: "friendRequest", accept: false });
+      }
+      const inbox = run.state().dmInbox.length;
+      run.dispatch({ type: "friendRequest", accept: true });
+      const s = run.advance(2200);
+      const known = s.dmInbox.find((dm) => dm.id === "dm_known");
+      expect(s.dmInbox).toHaveLength(inbox);
+      const { says } = scenario.grooming.stages.rapport;
+      expect(known.messages).toHaveLength(chat.messages.length + says.length);
+      expect(known.preview).toBe(says[says.length - 1]);
+      expect(s.currentDMId).toBe("dm_known");
+    } finally {
+      scenario.dms.pop();
+    }
+  });
+
+  it("answers a genuine request with a mood boost and no DM", () => {
+    const run = startRun();
+    waitForRequest(run, false);
+    const { mood, dmInbox } = run.state();
+    run.dispatch({ type: "friendRequest", accept: true });
+    expect(run.state().mood).toBe(Math.min(100, mood + 6));
+    const s = run.advance(3000);
+    expect(s.dmInbox).toHaveLength(dmInbox.length);
+    expect(s.showDM).toBe(false);
+  });
+
+  it("does not ask again for an account already accepted", () => {
+    const run = startRun();
+    const req = waitForRequest(run, true);
+    run.dispatch({ type: "friendRequest", accept: true });
+    run.advance(2200);
+    run.dispatch({ type: "closeDM" });
+    run.dispatch({ type: "closeDMInbox" });
+    const more = run.until((st) => st.showFriendRequest);
+    expect(more.currentFriendRequest.user).not.toBe(req.user);
+  });
+});
+
+describe("report, restrict, block", () => {
+  const bonus = (s) => selectScore(s).components.find((c) => c.id === "harmfulReported").points;
+
+  it("explains a report of the scam chat and counts it against the score", () => {
+    const run = startRun();
+    const scam = scenario.dms.find((dm) => dm.scam && !dm.rare);
+    run.dispatch({ type: "openDM", id: scam.id });
+    run.dispatch({ type: "safetyAction", action: "report", via: "dm" });
+    const s = run.state();
+    expect(s.safetyFeedback).toEqual({ action: "report", user: scam.user, harmful: true });
+    expect(s.showDM).toBe(true);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "user_reported", user: scam.user, via: "dm", harmful: true });
+    expect(bonus(s)).toBe(-6);
+    expect(badgeIds(s)).toContain("reportedScam");
+
+    run.dispatch({ type: "closeSafetyFeedback" });
+    run.dispatch({ type: "safetyAction", action: "report", via: "dm" });
+    expect(run.state().safetyFeedback).toBeNull();
+    expect(selectSafetyActions(run.state(), scam.user)).toEqual(["report"]);
+  });
+
+  it("counts nothing for a harmless account", () => {
+    const run = startRun();
+    const friend = scenario.dms.find((dm) => !dm.scam);
+    run.dispatch({ type: "openDM", id: friend.id });
+    run.dispatch({ type: "safetyAction", action: "report", via: "dm" });
+    const s = run.state();
+    expect(s.safetyFeedback.harmful).toBe(false);
+    expect(bonus(s)).toBe(0);
+    expect(badgeIds(s)).not.toContain("reportedScam");
+  });
+
+  it("ignores a suspicious request once blocked and never shows it again", () => {
+    const run = startRun();
+    const req = waitForRequest(run, true);
+    run.dispatch({ type: "safetyAction", action: "block", via: "friendRequest" });
+    let s = run.state();
+    expect(s.showFriendRequest).toBe(false);
+    expect(s.acceptedFriendRequests).toHaveLength(0);
+    expect(s.blockedUsers).toEqual([req.user]);
+    expect(s.eventLog.slice(-2).map((e) => e.type)).toEqual(["user_blocked", "friend_request_refused"]);
+    expect(badgeIds(s)).toContain("blockedDangerous");
+
+    run.dispatch({ type: "closeSafetyFeedback" });
+    for (let n = 0; n < 6; n += 1) {
+      s = run.until((st) => st.showFriendRequest);
+      expect(s.currentFriendRequest.user).not.toBe(req.user);
+      run.dispatch({ type: "friendRequest", accept: false });
+    }
+  });
+
+  it("removes a blocked chat from the inbox and keeps a restricted one without its preview", () => {
+    const run = startRun();
+    const [first, second] = scenario.dms;
+    run.dispatch({ type: "openDM", id: first.id });
+    run.dispatch({ type: "safetyAction", action: "restrict", via: "dm" });
+    expect(run.state().restrictedUsers).toEqual([first.user]);
+    run.dispatch({ type: "closeSafetyFeedback" });
+    run.dispatch({ type: "closeDM" });
+
+    run.dispatch({ type: "openDM", id: second.id });
+    run.dispatch({ type: "safetyAction", action: "block", via: "dm" });
+    const s = run.state();
+    expect(s.showDM).toBe(false);
+    expect(s.showDMInbox).toBe(true);
+    expect(s.dmInbox.map((dm) => dm.user)).toContain(first.user);
+    expect(s.dmInbox.map((dm) => dm.user)).not.toContain(second.user);
+  });
+
+  it("offers no action on the player's own profile", () => {
+    const run = startRun();
+    run.dispatch({ type: "openMyProfile" });
+    run.dispatch({ type: "safetyAction", action: "block", via: "profile" });
+    expect(run.state().safetyActions).toEqual([]);
+    expect(run.state().showProfile).toBe(true);
+  });
+});
+
+describe("grooming chats", () => {
+  const groomer = scenario.dms.find((dm) => dm.teenSafety);
+  const { stages } = scenario.grooming;
+  const events = (s) => s.eventLog.filter((e) => e.type.startsWith("grooming_")).map((e) => [e.type, e.stage]);
+
+  // Opens the teenSafety chat of the scenario and replies with each text, waiting for the answer
+  function chat(run, ...replies) {
+    run.dispatch({ type: "openDM", id: groomer.id });
+    replies.forEach((text) => {
+      run.dispatch({ type: "sendDM", text });
+      run.advance(8000);
+    });
+    return run.state();
+  }
+  const lastLines = (s, n) => s.dmInbox.find((dm) => dm.id === groomer.id).messages.slice(-n).map((m) => m.text);
+
+  it("moves one stage per reply and records what the player gave in to", () => {
+    const run = startRun();
+    let s = chat(run, "ciao!");
+    expect(lastLines(s, stages.isolation.says.length)).toEqual(stages.isolation.says);
+    s = chat(run, "boh", "Ho 13 anni");
+    expect(lastLines(s, stages.movePlatform.says.length)).toEqual(stages.movePlatform.says);
+    s = chat(run, "Va bene", "eccola");
+    expect(scenario.grooming.completed).toContain(lastLines(s, 1)[0]);
+    expect(events(s)).toEqual([
+      ["grooming_stage_complied", "rapport"], ["grooming_stage_reached", "isolation"],
+      ["grooming_stage_reached", "personalInfo"],
+      ["grooming_stage_complied", "personalInfo"], ["grooming_stage_reached", "movePlatform"],
+      ["grooming_stage_complied", "movePlatform"], ["grooming_stage_reached", "imageRequest"],
+      ["grooming_stage_complied", "imageRequest"],
+    ]);
+    expect(selectGrooming(s)).toEqual([expect.objectContaining({ user: groomer.user, outcome: "completed", complied: ["rapport", "personalInfo", "movePlatform", "imageRequest"] })]);
+
+    const before = lastLines(s, 1);
+    s = chat(run, "ciao?");
+    expect(lastLines(s, 1)).not.toEqual(before);
+    expect(lastLines(s, 1)).toEqual(["ciao?"]);
+  });
+
+  it("pushes back on the first refusal and gives up on the second", () => {
+    const run = startRun();
+    let s = chat(run, "No, non ti conosco");
+    expect(scenario.grooming.pressure).toContain(lastLines(s, 1)[0]);
+    expect(selectGrooming(s)[0]).toMatchObject({ stage: "rapport", refusals: 1, outcome: null });
+    s = chat(run, "Basta, lasciami stare");
+    expect(scenario.grooming.giveUp).toContain(lastLines(s, 1)[0]);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "grooming_defused", user: groomer.user, stage: "rapport", how: "refused" });
+  });
+
+  it("gives up at once when the player mentions an adult, whatever the stage", () => {
+    const run = startRun();
+    const s = chat(run, "ok", "Lo dico a mia mamma");
+    expect(selectGrooming(s)[0]).toMatchObject({ stage: "isolation", outcome: "defused", defusedBy: "tellAdult" });
+  });
+
+  it("ends the script when the account is reported, but not when it is restricted", () => {
+    const restricted = startRun();
+    chat(restricted);
+    restricted.dispatch({ type: "safetyAction", action: "restrict", via: "dm" });
+    expect(selectGrooming(restricted.state())[0].outcome).toBeNull();
+
+    const reported = startRun();
+    chat(reported, "ciao");
+    reported.dispatch({ type: "safetyAction", action: "report", via: "dm" });
+    const s = reported.state();
+    expect(selectGrooming(s)[0]).toMatchObject({ outcome: "defused", defusedBy: "report" });
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "grooming_defused", stage: "isolation", how: "report" });
+  });
+
+  it("takes the intent of a quick reply over the words", () => {
+    const run = startRun();
+    run.dispatch({ type: "openDM", id: groomer.id });
+    run.dispatch({ type: "sendDM", text: "ok", intent: "tellAdult" });
+    expect(selectGrooming(run.state())[0].defusedBy).toBe("tellAdult");
+  });
+
+  it("leaves the chats the player never opened out of the reveal", () => {
+    expect(selectGrooming(startRun().state())).toEqual([]);
+  });
+});
+
+describe("quick replies", () => {
+  const offered = (s) => selectQuickReplies(s, scenario.quickReplies).map((q) => q.id);
+  const component = (s, id) => selectScore(s).components.find((c) => c.id === id).points;
+
+  it("offers the replies meant for the kind of chat", () => {
+    const run = startRun();
+    const friend = scenario.dms.find((dm) => !dm.scam);
+    const scam = scenario.dms.find((dm) => dm.scam && !dm.teenSafety);
+    const groomer = scenario.dms.find((dm) => dm.teenSafety);
+    expect(offered(run.state())).toEqual([]);
+    run.dispatch({ type: "openDM", id: friend.id });
+    expect(offered(run.state())).toEqual(["chat_later", "chat_screen"]);
+    run.dispatch({ type: "openDM", id: scam.id });
+    expect(offered(run.state())).toEqual(["scam_how", "scam_fake", "block"]);
+    run.dispatch({ type: "openDM", id: groomer.id });
+    expect(offered(run.state())).toEqual(["rapport_thanks", "rapport_who", "block"]);
+  });
+
+  it("sends the chosen reply, keeps it with its explanation and scores it", () => {
+    const run = startRun();
+    const scam = scenario.dms.find((dm) => dm.scam && !dm.teenSafety);
+    run.dispatch({ type: "openDM", id: scam.id });
+    const { mood } = run.state();
+    run.dispatch({ type: "sendDM", choice: "scam_fake" });
+    let s = run.state();
+    const fake = scenario.quickReplies.find((q) => q.id === "scam_fake");
+    expect(s.dmInbox.find((dm) => dm.id === scam.id).messages.slice(-1)[0]).toMatchObject({ from: "me", text: fake.text });
+    expect(s.dmChoices).toEqual([{ id: "scam_fake", dmId: scam.id, user: scam.user, text: fake.text, safe: true, why: fake.why }]);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "dm_reply_sent", user: scam.user, choice: "scam_fake", safe: true });
+    expect(s.mood).toBe(mood);
+    expect(component(s, "safeReplies")).toBe(-3);
+    expect(offered(s)).not.toContain("scam_fake");
+
+    run.dispatch({ type: "sendDM", choice: "scam_how" });
+    s = run.state();
+    expect(s.mood).toBe(Math.min(100, mood + 5));
+    expect(component(s, "unsafeReplies")).toBe(6);
+    expect(s.dmReplies).toBe(2);
+  });
+
+  it("plays the reply's intent in a grooming chat and moves to the next stage's replies", () => {
+    const run = startRun();
+    const groomer = scenario.dms.find((dm) => dm.teenSafety);
+    run.dispatch({ type: "openDM", id: groomer.id });
+    run.dispatch({ type: "sendDM", choice: "rapport_thanks" });
+    expect(selectGrooming(run.state())[0].complied).toEqual(["rapport"]);
+    expect(offered(run.state())).toEqual(["isolation_secret", "isolation_tell", "block"]);
+    run.dispatch({ type: "sendDM", choice: "isolation_tell" });
+    expect(selectGrooming(run.state())[0].defusedBy).toBe("tellAdult");
+    expect(offered(run.state())).toEqual([]);
+  });
+
+  it("ignores a choice the scenario does not have", () => {
+    const run = startRun();
+    run.dispatch({ type: "openDM", id: scenario.dms[0].id });
+    run.dispatch({ type: "sendDM", choice: "nope", text: "ciao" });
+    expect(run.state().dmReplies).toBe(0);
+  });
+});
+
+describe("phishing links", () => {
+  const linked = scenario.dms.find((dm) => dm.messages.some((m) => m.link));
+  const link = linked.messages.find((m) => m.link).link;
+
+  it("shows the link's address on the message and opens its page from the chat", () => {
+    const run = startRun();
+    const message = run.state().dmInbox.find((dm) => dm.id === linked.id).messages.find((m) => m.link);
+    const page = scenario.phishing.pages.find((p) => p.id === link);
+    expect(message.url).toBe(`https://${page.domain}${page.path}`);
+
+    run.dispatch({ type: "openDMLink", page: link });
+    expect(run.state().phishingPage).toBeNull();
+    run.dispatch({ type: "openDM", id: linked.id });
+    run.dispatch({ type: "openDMLink", page: link });
+    const s = run.state();
+    expect(s.phishingPage).toEqual({ id: link, via: "dm", user: linked.user, submitted: false });
+    expect(isBlocked(s)).toBe(true);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "phishing_opened", page: link, via: "dm", user: linked.user });
+  });
+
+  it("opens the scenario's landing page from an ad", () => {
+    const run = startRun();
+    const ad = run.until((s) => s.activePosts.some((p) => p.isAd)).activePosts.find((p) => p.isAd);
+    run.dispatch({ type: "postAction", postId: ad.id, action: "ad" });
+    expect(run.state().phishingPage).toMatchObject({ id: scenario.phishing.ad, via: "ad" });
+  });
+
+  it("keeps only the names of the page's fields that were filled in", () => {
+    const run = startRun();
+    run.dispatch({ type: "openDM", id: linked.id });
+    run.dispatch({ type: "openDMLink", page: link });
+    const fields = scenario.phishing.pages.find((p) => p.id === link).fields;
+    run.dispatch({ type: "submitPhishing", fields: [fields[0], "nope"] });
+    let s = run.state();
+    expect(s.phishingPage.submitted).toBe(true);
+    expect(s.phishingVisits).toEqual([{ page: link, via: "dm", user: linked.user, filled: [fields[0]], submitted: true }]);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "phishing_submitted", page: link, fields: [fields[0]] });
+
+    run.dispatch({ type: "closePhishing", fields });
+    s = run.state();
+    expect(s.phishingPage).toBeNull();
+    expect(s.phishingVisits).toHaveLength(1);
+  });
+
+  it("records a page left without sending", () => {
+    const run = startRun();
+    run.dispatch({ type: "openDM", id: linked.id });
+    run.dispatch({ type: "openDMLink", page: link });
+    run.dispatch({ type: "closePhishing", fields: [] });
+    const s = run.state();
+    expect(s.phishingVisits).toEqual([{ page: link, via: "dm", user: linked.user, filled: [], submitted: false }]);
+    expect(s.eventLog[s.eventLog.length - 1]).toMatchObject({ type: "phishing_closed", fields: [] });
+  });
+});
+
+describe("story progress", () => {
+  const story = (id) => scenario.stories.find((st) => st.id === id);
+
+  it("plays a one-slide story in 3 s, then closes it and marks it seen", () => {
+    expect(story("st2").slides).toHaveLength(1);
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st2" });
+    let s = run.advance(1500);
+    expect(s.showStory).toBe(true);
+    expect(s.storyProgress).toBeCloseTo(50, 5);
+
+    s = run.until((st) => !st.showStory, 30 * TICK_MS + 2 * TICK_MS);
+    expect(s.storiesWatched).toBe(1);
+    expect(s.storyProgress).toBe(0);
+    expect(s.storyList.find((st) => st.id === "st2").seen).toBe(true);
+    expect(s.storyList.filter((st) => st.seen)).toHaveLength(1);
+  });
+
+  it("gives each slide the same time", () => {
+    expect(story("st1").slides).toHaveLength(2);
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st1" });
+    let s = run.advance(3000);
+    expect(s.showStory).toBe(true);
+    expect(s.storyProgress).toBeCloseTo(50, 5);
+    s = run.advance(3100);
+    expect(s.showStory).toBe(false);
+    expect(s.storyList.find((st) => st.id === "st1").seen).toBe(true);
+  });
+
+  it("counts a story closed early as watched but not as seen", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st2" });
+    run.advance(1000);
+    run.dispatch({ type: "closeStory" });
+    const s = run.advance(5000);
+    expect(s.showStory).toBe(false);
+    expect(s.storiesWatched).toBe(1);
+    expect(s.storyProgress).toBeLessThan(100);
+    expect(s.storyList.find((st) => st.id === "st2").seen).toBe(false);
+  });
+
+  it("restarts from zero when another story is opened", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st2" });
+    run.advance(2000);
+    run.dispatch({ type: "openStory", id: "st3" });
+    let s = run.state();
+    expect(s.currentStoryId).toBe("st3");
+    expect(s.storyProgress).toBe(0);
+    s = run.advance(1500);
+    expect(s.storyProgress).toBeCloseTo(50, 5);
+  });
+});
+
+describe("story gestures", () => {
+  const slideOf = (s) => s.storyList.find((st) => st.id === s.currentStoryId).slides[s.storySlide];
+
+  it("moves between slides with taps, and a tap past the last one ends the story as seen", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st1" });
+    run.advance(1000);
+    run.dispatch({ type: "storyNext" });
+    let s = run.state();
+    expect(s.storySlide).toBe(1);
+    expect(s.storyProgress).toBe(50);
+    expect(s.storyStats.closeFriends).toBe(1);
+    run.dispatch({ type: "storyPrev" });
+    run.dispatch({ type: "storyPrev" });
+    expect(run.state().storySlide).toBe(0);
+    run.dispatch({ type: "storyNext" });
+    run.dispatch({ type: "storyNext" });
+    s = run.state();
+    expect(s.showStory).toBe(false);
+    expect(s.storyList.find((st) => st.id === "st1").seen).toBe(true);
+    expect(s.storyStats).toMatchObject({ forward: 3, back: 2, closeFriends: 1 });
+  });
+
+  it("stands still while held, and learns from the hold once it is let go", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st2" });
+    run.advance(1000);
+    run.dispatch({ type: "storyHold", paused: true });
+    const { storyProgress, learnedSignals } = run.advance(5000);
+    expect(run.state().showStory).toBe(true);
+    run.dispatch({ type: "storyHold", paused: false });
+    let s = run.state();
+    expect(s.storyProgress).toBe(storyProgress);
+    expect(s.storyStats.holds).toBe(1);
+    expect(s.learnedSignals).toBe(learnedSignals + 1);
+
+    run.dispatch({ type: "storyHold", paused: true, typing: true });
+    run.dispatch({ type: "storyHold", paused: false, typing: true });
+    expect(run.state().storyStats.holds).toBe(1);
+  });
+
+  it("takes one vote per poll and shows made-up results", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st2" });
+    run.dispatch({ type: "storySticker", choice: "b" });
+    run.dispatch({ type: "storySticker", choice: "a" });
+    const s = run.state();
+    const { poll, used } = slideOf(s);
+    expect(used).toBe("b");
+    expect(poll.shareA).toBeGreaterThanOrEqual(15);
+    expect(poll.shareA).toBeLessThanOrEqual(85);
+    expect(s.storiesPollClicks).toBe(1);
+    expect(s.eventLog.filter((e) => e.type === "story_sticker_used")).toEqual([expect.objectContaining({ user: "nico.mp4", sticker: "poll", choice: "b" })]);
+  });
+
+  it("counts question answers and reminders, without keeping what was typed", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st1" });
+    run.dispatch({ type: "storyNext" });
+    expect(slideOf(run.state()).question).toBeTruthy();
+    run.dispatch({ type: "storySticker" });
+    run.dispatch({ type: "openStory", id: "st4" });
+    run.dispatch({ type: "storyNext" });
+    run.dispatch({ type: "storySticker" });
+    run.dispatch({ type: "storySticker" });
+    const s = run.state();
+    expect(s.storyStats).toMatchObject({ question: 1, countdown: 1 });
+    expect(s.eventLog.filter((e) => e.type === "story_sticker_used").map((e) => e.sticker)).toEqual(["question", "countdown"]);
+  });
+
+  it("opens a link sticker's fake page and waits for it to close", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st4" });
+    run.dispatch({ type: "storyNext" });
+    run.dispatch({ type: "storyNext" });
+    const { link } = slideOf(run.state());
+    run.dispatch({ type: "storySticker" });
+    let s = run.state();
+    expect(s.phishingPage).toMatchObject({ id: link.page, via: "story", user: "fra_04" });
+    expect(s.storyStats.link).toBe(1);
+    const { storyProgress } = s;
+    s = run.advance(5000);
+    expect(s.showStory).toBe(true);
+    expect(s.storyProgress).toBe(storyProgress);
+    run.dispatch({ type: "closePhishing", fields: [] });
+    expect(run.until((st) => !st.showStory, 4000).storyList.find((st) => st.id === "st4").seen).toBe(true);
+  });
+});
+
+describe("feed", () => {
+  it("inserts an ad at every 7th position of the loaded batches, never as a batch's first post", () => {
+    const run = startRun();
+    const batches = [];
+    for (let n = 0; n < 12; n += 1) {
+      const before = run.state().activePosts.length;
+      run.dispatch({ type: "scroll", scrollTop: (n + 1) * 800, nearEnd: true });
+      const s = run.until((st) => !st.isLoadingMore);
+      batches.push({ start: before, posts: s.activePosts.slice(before) });
+    }
+    batches.forEach(({ start, posts }) => {
+      expect(posts).toHaveLength(4);
+      posts.forEach((post, i) => {
+        const expected = (start + i) % 7 === 0 && i > 0;
+        expect(post.isAd).toBe(expected);
+        if (expected) expect(post).toMatchObject({ type: "ad", reason: { kind: "ad" } });
+      });
+    });
+    expect(batches.flatMap((b) => b.posts).filter((p) => p.isAd).length).toBeGreaterThan(0);
+  });
+
+  it("gives the same run for the same seed", () => {
+    const play = () => {
+      const run = startRun({ seed: "SAMESEED" });
+      run.advance(60000);
+      run.dispatch({ type: "scroll", scrollTop: 900, nearEnd: true });
+      run.advance(1000);
+      const { startedAt, ...rest } = run.state();
+      return rest;
+    };
+    expect(play()).toEqual(play());
+  });
+});
+
+describe("intensity", () => {
+  // Loads `count` batches and returns them with the feed position of their first post
+  const loadBatches = (run, count) => {
+    const batches = [];
+    for (let n = 0; n < count; n += 1) {
+      const before = run.state().activePosts.length;
+      run.dispatch({ type: "scroll", scrollTop: (n + 1) * 800, nearEnd: true });
+      const s = run.until((st) => !st.isLoadingMore);
+      batches.push({ start: before, posts: s.activePosts.slice(before) });
+    }
+    return batches;
+  };
+
+  // Three minutes without touching the feed, refusing every friend request
+  const countEvents = (profile) => {
+    const run = startRun({ seed: "INTENSITY", intensity: resolveIntensity(profile) });
+    for (let i = 0; i < 180; i += 1) {
+      if (run.state().showFriendRequest) run.dispatch({ type: "friendRequest", accept: false });
+      run.advance(1000);
+    }
+    const counts = {};
+    run.state().eventLog.forEach((e) => { counts[e.type] = (counts[e.type] || 0) + 1; });
+    return counts;
+  };
+
+  it("places the ads at the cadence of the profile", () => {
+    ["gentle", "aggressive"].forEach((profile) => {
+      const { params } = resolveIntensity(profile);
+      const posts = loadBatches(startRun({ intensity: resolveIntensity(profile) }), 12)
+        .flatMap(({ start, posts: batch }) => batch.map((post, i) => ({ post, expected: (start + i) % params.adEvery === 0 && i > 0 })));
+      posts.forEach(({ post, expected }) => expect(post.isAd).toBe(expected));
+      expect(posts.filter((p) => p.post.isAd).length).toBeGreaterThan(0);
+    });
+  });
+
+  it("fires notifications, requests, likes and typing more often at a higher intensity", () => {
+    const gentle = countEvents("gentle");
+    const aggressive = countEvents("aggressive");
+    ["notification_shown", "friend_request_shown", "likes_received", "typing_shown"].forEach((type) => {
+      expect(aggressive[type] || 0).toBeGreaterThan(gentle[type] || 0);
+    });
+  });
+
+  it("shows more reels and FOMO banners at a higher intensity", () => {
+    const share = (profile) => {
+      const posts = loadBatches(startRun({ seed: "INTENSITY", intensity: resolveIntensity(profile) }), 20).flatMap((b) => b.posts);
+      return { reels: posts.filter((p) => p.isReel).length, fomo: posts.filter((p) => p.fomoText).length };
+    };
+    const gentle = share("gentle");
+    const aggressive = share("aggressive");
+    expect(aggressive.reels).toBeGreaterThan(gentle.reels);
+    expect(aggressive.fomo).toBeGreaterThan(gentle.fomo);
+  });
+
+  it("keeps the profile and the level of each technique in the state", () => {
+    const s = startRun({ intensity: resolveIntensity("custom", { notifications: "aggressive", ads: "gentle" }) }).state();
+    expect(s.intensity.profile).toBe("custom");
+    expect(s.intensity.levels).toMatchObject({ notifications: "aggressive", ads: "gentle", reels: "realistic" });
+    expect(startRun().state().intensity.profile).toBe("realistic");
+  });
+});
+
+describe("facilitator switches", () => {
+  it("stops the feed at the end without infinite scroll and loads a page only on request", () => {
+    const run = startRun({ switches: switchesFromParam("infiniteScroll") });
+    const posts = run.state().activePosts.length;
+    run.dispatch({ type: "scroll", scrollTop: 5000, nearEnd: true });
+    run.advance(2000);
+    expect(run.state().activePosts).toHaveLength(posts);
+    run.dispatch({ type: "loadPage" });
+    const s = run.until((st) => !st.isLoadingMore);
+    expect(s.activePosts).toHaveLength(posts + 4);
+    expect(s.eventLog.filter((e) => e.type === "page_requested")).toHaveLength(1);
+  });
+
+  it("never fires the techniques that are switched off", () => {
+    const run = startRun({ seed: "INTENSITY", switches: switchesFromParam("emptyNotifications,typingIndicator,liveViewers,friendsWatching,urgentStory,variableRewards") });
+    let watched = false;
+    for (let i = 0; i < 180; i += 1) {
+      if (run.state().showFriendRequest) run.dispatch({ type: "friendRequest", accept: false });
+      run.advance(1000);
+      watched = watched || run.state().friendsWatching.length > 0;
+    }
+    const s = run.state();
+    const types = s.eventLog.map((e) => e.type);
+    ["typing_shown", "likes_received", "urgent_story_shown"].forEach((type) => expect(types).not.toContain(type));
+    const shown = s.eventLog.filter((e) => e.type === "notification_shown");
+    expect(shown.length).toBeGreaterThan(0);
+    shown.forEach((e) => expect(e.hasContent).toBe(true));
+    expect(s.liveViewers).toBeNull();
+    expect(watched).toBe(false);
+  });
+
+  it("leaves the FOMO banners out of the feed", () => {
+    const run = startRun({ switches: switchesFromParam("fomoBanners") });
+    for (let n = 0; n < 10; n += 1) {
+      run.dispatch({ type: "scroll", scrollTop: (n + 1) * 800, nearEnd: true });
+      run.until((st) => !st.isLoadingMore);
+    }
+    expect(run.state().activePosts.filter((p) => p.fomoText || p.type === "fomo")).toEqual([]);
+  });
+
+  it("exits at once without exit friction", () => {
+    const run = startRun({ switches: switchesFromParam("exitFriction") });
+    run.advance(5000);
+    run.dispatch({ type: "requestExit" });
+    const s = run.state();
+    expect(s.phase).toBe("reveal");
+    expect(s.eventLog.map((e) => e.type)).not.toContain("exit_modal_shown");
+  });
+
+  it("keeps every switch in the state, all on by default", () => {
+    expect(startRun({ switches: switchesFromParam("liveViewers") }).state().switches).toMatchObject({ liveViewers: false, infiniteScroll: true });
+    expect(Object.values(startRun().state().switches).every(Boolean)).toBe(true);
+  });
+});
+
+describe("humane mode", () => {
+  it("ends the feed after HUMANE_FEED_LENGTH posts", () => {
+    const run = startRun({ mode: "humane" });
+    for (let n = 0; n < 10; n += 1) {
+      run.dispatch({ type: "scroll", scrollTop: (n + 1) * 800, nearEnd: true });
+      run.until((st) => !st.isLoadingMore);
+    }
+    const s = run.state();
+    expect(s.activePosts.length).toBeGreaterThanOrEqual(HUMANE_FEED_LENGTH);
+    expect(s.activePosts.length).toBeLessThan(HUMANE_FEED_LENGTH + 4);
+    expect(selectFeedEnd(s)).toBe("end");
+    run.dispatch({ type: "loadPage" });
+    expect(run.advance(2000).activePosts).toHaveLength(s.activePosts.length);
+  });
+
+  it("batches real notifications into a digest and never fakes typing or likes", () => {
+    const run = startRun({ seed: "INTENSITY", mode: "humane" });
+    for (let i = 0; i < 180; i += 1) {
+      if (run.state().showFriendRequest) run.dispatch({ type: "friendRequest", accept: false });
+      run.advance(1000);
+    }
+    const s = run.state();
+    const types = s.eventLog.map((e) => e.type);
+    ["notification_shown", "typing_shown", "likes_received", "urgent_story_shown"].forEach((type) => expect(types).not.toContain(type));
+    const digests = s.eventLog.filter((e) => e.type === "notification_digest_shown");
+    expect(digests.length).toBeGreaterThan(0);
+    digests.forEach((e) => {
+      expect(e.t % HUMANE_DIGEST_MS).toBe(0);
+      expect(e.count).toBeGreaterThan(0);
+    });
+    expect(s.notificationsLog.length).toBeGreaterThan(0);
+    s.notificationsLog.forEach((n) => expect(n.hasContent).toBe(true));
+  });
+
+  it("opens the notifications inbox from the digest", () => {
+    const run = startRun({ mode: "humane" });
+    const s = run.until((st) => {
+      if (st.showFriendRequest) run.dispatch({ type: "friendRequest", accept: false });
+      return st.showNotificationPopup && st.activeNotification.digest;
+    });
+    run.dispatch({ type: "notificationClick", id: s.activeNotification.id });
+    expect(run.state()).toMatchObject({ showNotificationPopup: false, showNotificationsInbox: true });
+  });
+
+  it("exits at once and reports every technique as off", () => {
+    const run = startRun({ mode: "humane" });
+    run.advance(5000);
+    run.dispatch({ type: "requestExit" });
+    const s = run.state();
+    expect(s.phase).toBe("reveal");
+    expect(s.mode).toBe("humane");
+    expect(Object.values(s.switches).some(Boolean)).toBe(false);
+  });
+});
+
+describe("streak", () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const yesterday = { count: 3, lastDay: dayKey(EVENING - DAY_MS) };
+
+  it("counts today after STREAK_DAY_MS of play", () => {
+    const run = startRun({ start: EVENING, streak: yesterday });
+    expect(run.state()).toMatchObject({ streak: 3, streakSecured: false });
+    const s = run.advance(STREAK_DAY_MS);
+    expect(s).toMatchObject({ streak: 4, streakSecured: true, streakRecord: { count: 4, lastDay: dayKey(EVENING) } });
+    expect(s.eventLog.filter((e) => e.type === "streak_extended")).toEqual([expect.objectContaining({ t: STREAK_DAY_MS, streak: 4 })]);
+  });
+
+  it("asks to save the streak before leaving and measures how long it held the player", () => {
+    const run = startRun({ start: EVENING, streak: yesterday });
+    run.advance(30000);
+    run.dispatch({ type: "requestExit" });
+    expect(run.state()).toMatchObject({ showStreakPrompt: true, showExitModal: false });
+    expect(run.state().eventLog.find((e) => e.type === "streak_prompt_shown")).toMatchObject({ streak: 3, remaining: STREAK_DAY_MS - 30000 });
+    run.dispatch({ type: "streakStay" });
+    run.advance(45000);
+    run.dispatch({ type: "requestExit" });
+    expect(run.state()).toMatchObject({ showStreakPrompt: false, showExitModal: true });
+    run.dispatch({ type: "end" });
+    expect(selectStreakPrompt(run.state())).toEqual({ stayed: true, delay: 45 });
+  });
+
+  it("records a player who leaves from the prompt", () => {
+    const run = startRun({ start: EVENING, streak: yesterday });
+    run.advance(10000);
+    run.dispatch({ type: "requestExit" });
+    run.dispatch({ type: "end" });
+    expect(selectStreakPrompt(run.state())).toEqual({ stayed: false, delay: 0 });
+  });
+
+  it("closes an unanswered prompt when today counts, without taking it for a stay", () => {
+    const run = startRun({ start: EVENING, streak: yesterday });
+    run.advance(STREAK_DAY_MS - 5000);
+    run.dispatch({ type: "requestExit" });
+    expect(run.advance(5000)).toMatchObject({ showStreakPrompt: false, streak: 4 });
+    expect(run.state().eventLog.some((e) => e.type === "streak_prompt_dismissed")).toBe(false);
+    run.advance(20000);
+    run.dispatch({ type: "end" });
+    expect(selectStreakPrompt(run.state())).toEqual({ stayed: null, delay: 0 });
+  });
+
+  it("leaves the exit alone once today counts, or without exit friction", () => {
+    const secured = startRun({ start: EVENING, streak: { count: 2, lastDay: dayKey(EVENING) } });
+    expect(secured.state()).toMatchObject({ streak: 2, streakSecured: true });
+    secured.dispatch({ type: "requestExit" });
+    expect(secured.state()).toMatchObject({ showStreakPrompt: false, showExitModal: true });
+
+    const frictionless = startRun({ start: EVENING, streak: yesterday, switches: switchesFromParam("exitFriction") });
+    frictionless.dispatch({ type: "requestExit" });
+    expect(frictionless.state().phase).toBe("reveal");
+    expect(selectStreakPrompt(frictionless.state())).toBeNull();
+  });
+
+  it("leaves the streak alone in the humane comparison run", () => {
+    const s = startRun({ start: EVENING, streak: yesterday, mode: "humane" }).advance(STREAK_DAY_MS + 5000);
+    expect(s).toMatchObject({ streak: 3, streakSecured: false, streakRecord: yesterday });
+    expect(s.eventLog.some((e) => e.type === "streak_extended")).toBe(false);
+  });
+
+  it("lets the player go with no streak to lose or its deadline still far", () => {
+    const fresh = startRun({ start: EVENING });
+    fresh.dispatch({ type: "requestExit" });
+    expect(fresh.state()).toMatchObject({ streak: 0, showStreakPrompt: false, showExitModal: true });
+
+    const morning = new Date(2025, 0, 13, 9, 0, 0).getTime();
+    const early = startRun({ start: morning, streak: { count: 3, lastDay: dayKey(morning - DAY_MS) } });
+    early.dispatch({ type: "requestExit" });
+    expect(early.state()).toMatchObject({ streak: 3, showStreakPrompt: false, showExitModal: true });
+  });
+
+  it("starts from zero after a missed day", () => {
+    expect(startRun({ start: EVENING, streak: { count: 9, lastDay: dayKey(EVENING - 2 * DAY_MS) } }).state().streak).toBe(0);
+  });
+});
+
+describe("reels tab", () => {
+  const reelWeight = (s) => s.userInterests[scenario.reelInterest];
+  // Lets the clock run until `test` holds, turning down the friend requests that stop the clips meanwhile
+  const watchUntil = (run, test) => {
+    for (;;) {
+      const s = run.until((st) => test(st) || st.showFriendRequest);
+      if (test(s)) return s;
+      run.dispatch({ type: "friendRequest", accept: false });
+    }
+  };
+
+  it("keeps a view of each clip left, with its watch time and how it was left", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    let s = run.state();
+    expect(s.showReels).toBe(true);
+    expect(s.reelsFeed.length).toBeGreaterThan(2);
+    run.advance(3000);
+    run.dispatch({ type: "swipeReel", index: 1 });
+    run.advance(1200);
+    run.dispatch({ type: "closeReels" });
+    s = run.state();
+    expect(s.showReels).toBe(false);
+    expect(s.reelViews).toEqual([
+      { youtubeId: s.reelsFeed[0].youtubeId, seconds: 3, loops: 0, how: "swipe" },
+      { youtubeId: s.reelsFeed[1].youtubeId, seconds: 1.2, loops: 0, how: "close" },
+    ]);
+    expect(s.reelsWatched).toBe(2);
+    expect(s.eventLog.filter((e) => e.type === "reel_viewed").map((e) => e.how)).toEqual(["swipe", "close"]);
+
+    run.dispatch({ type: "openReels" });
+    expect(run.state().reelIndex).toBe(1);
+  });
+
+  it("counts a clip once when the tab is closed and opened again on it", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    run.advance(1000);
+    const counted = { reelsWatched: run.state().reelsWatched, dopamineSpikes: run.state().dopamineSpikes };
+    expect(counted.reelsWatched).toBe(1);
+    run.dispatch({ type: "closeReels" });
+    run.dispatch({ type: "openReels" });
+    expect(run.state()).toMatchObject({ reelIndex: 0, ...counted });
+    run.advance(2000);
+    run.dispatch({ type: "closeReels" });
+    expect(run.state().reelViews.map((v) => v.seconds)).toEqual([1, 2]);
+
+    run.dispatch({ type: "openReels" });
+    run.dispatch({ type: "swipeReel", index: 1 });
+    expect(run.state().reelsWatched).toBe(2);
+  });
+
+  it("learns from the watch time, and takes a quick swipe away as a skip", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    const before = reelWeight(run.state());
+    run.advance(500);
+    run.dispatch({ type: "swipeReel", index: 1 });
+    const afterSkip = reelWeight(run.state());
+    expect(afterSkip).toBeLessThan(before);
+    run.advance(4000);
+    run.dispatch({ type: "swipeReel", index: 2 });
+    expect(reelWeight(run.state())).toBeGreaterThan(afterSkip);
+  });
+
+  it("counts the loops its player reports, then starts the next clip by itself", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    const before = run.state().learnedSignals;
+    run.advance(4000);
+    run.dispatch({ type: "reelLooped", index: 0 });
+    expect(run.state().reelIndex).toBe(0);
+    expect(run.state().learnedSignals).toBe(before + 1);
+    run.advance(4000);
+    run.dispatch({ type: "reelLooped", index: 0 });
+    const s = run.state();
+    expect(s.reelIndex).toBe(1);
+    expect(s.reelViews).toEqual([{ youtubeId: s.reelsFeed[0].youtubeId, seconds: 8, loops: AUTOPLAY_AFTER_LOOPS, how: "auto" }]);
+  });
+
+  it("never makes up a loop, and ignores one reported late for a clip already left", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    watchUntil(run, (st) => st.timeSpent >= 90);
+    expect(run.state().reelIndex).toBe(0);
+    run.dispatch({ type: "swipeReel", index: 1 });
+    run.dispatch({ type: "reelLooped", index: 0 });
+    run.dispatch({ type: "closeReels" });
+    expect(run.state().reelViews.map((v) => v.loops)).toEqual([0, 0]);
+  });
+
+  it("only loops without infinite scroll, and in the humane feed", () => {
+    [startRun({ switches: switchesFromParam("infiniteScroll") }), startRun({ mode: "humane" })].forEach((run) => {
+      run.dispatch({ type: "openReels" });
+      for (let i = 0; i <= AUTOPLAY_AFTER_LOOPS; i += 1) run.dispatch({ type: "reelLooped", index: 0 });
+      expect(run.state().reelIndex).toBe(0);
+      run.dispatch({ type: "closeReels" });
+      expect(run.state().reelViews).toMatchObject([{ loops: AUTOPLAY_AFTER_LOOPS + 1, how: "close" }]);
+    });
+  });
+
+  it("records the clip on screen when the session ends in the Reels tab", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    run.advance(2000);
+    run.dispatch({ type: "end" });
+    expect(run.state().reelViews).toMatchObject([{ seconds: 2, how: "close" }]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Machine-readable export of a finished session (JSON document + flat CSV row).
+ *
+ * The format is documented in docs/results-schema.md. Bump
+ * RESULTS_SCHEMA_VERSION whenever a field is renamed, removed or changes
+ * meaning; adding a field is backwards compatible and keeps the version.
+ */
+
+export const RESULTS_SCHEMA = "scrolltrap.results";
+export const RESULTS_SCHEMA_VERSION = 2;
+
+export function buildResultsExport({
+  handle, seed, intensity, switches, mode, scenario, locale, startedAt, estimatedTime, timeSpent, exitedOnTime,
+  breakdown, triggers, moodHistory, moodSampleSeconds, userInterests, learnedSignals, feedDrift,
+  acceptedFriendRequests, badges, events,
+}) {
+  const totalWeight = Object.values(userInterests).reduce((a, b) => a + b, 0) || 1;
+  const shares = {};
+  Object.keys(userInterests).forEach((k) => { shares[k] = Math.round((userInterests[k] / totalWeight) * 1000) / 1000; });
+  const top = Object.entries(userInterests).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    schema: RESULTS_SCHEMA,
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      handle,
+      seed,
+      intensity: { profile: intensity.profile, levels: { ...intensity.levels } },
+      switches: { ...switches },
+      mode,
+      scenario,
+      locale,
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      estimatedTime,
+      timeSpent,
+      exitedOnTime,
+    },
+    score: {
+      total: breakdown.total,
+      raw: breakdown.raw,
+      components: breakdown.components.map((c) => ({ id: c.id, units: c.units, perUnit: c.perUnit, cap: c.cap, points: c.points })),
+    },
+    triggers: triggers.map((t) => ({ id: t.id, title: t.title, stats: t.data })),
+    mood: {
+      sampleSeconds: moodSampleSeconds,
+      history: moodHistory,
+    },
+    interests: {
+      weights: { ...userInterests },
+      shares,
+      top: top ? top[0] : null,
+      signals: learnedSignals || 0,
+      drift: (feedDrift || []).map((d) => ({ t: d.t, topShare: d.pct })),
+    },
+    acceptedRequests: acceptedFriendRequests.map((r) => ({ user: r.user, suspicious: Boolean(r.suspicious), mutualFriends: r.mutualFriends })),
+    badges: badges.map((b) => b.id),
+    events,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One flat row: nested objects become snake_case columns, lists are joined with ";"
+export function resultsToColumns(result) {
+  const cols = [
+    ["schema_version", result.schemaVersion],
+    ["exported_at", result.exportedAt],
+    ["handle", result.session.handle],
+    ["seed", result.session.seed],
+    ["mode", result.session.mode],
+    ["intensity", result.session.intensity.profile],
+    ["started_at", result.session.startedAt],
+    ["estimated_time_s", result.session.estimatedTime],
+    ["time_spent_s", result.session.timeSpent],
+    ["exited_on_time", result.session.exitedOnTime ? 1 : 0],
+    ["score_total", result.score.total],
+  ];
+  Object.keys(result.session.intensity.levels).forEach((k) => cols.push([`intensity_${k}`, result.session.intensity.levels[k]]));
+  Object.keys(result.session.switches).forEach((k) => cols.push([`switch_${k}`, result.session.switches[k] ? 1 : 0]));
+  result.score.components.forEach((c) => cols.push([`score_${c.id}`, c.points]));
+  result.triggers.forEach((t) => {
+    Object.keys(t.stats).forEach((k) => cols.push([`trigger_${t.id}_${k}`, typeof t.stats[k] === "boolean" ? (t.stats[k] ? 1 : 0) : t.stats[k]]));
+  });
+  const mood = result.mood.history;
+  cols.push(["mood_start", mood[0]]);
+  cols.push(["mood_end", mood[mood.length - 1]]);
+  cols.push(["mood_min", mood.length ? Math.min(...mood) : ""]);
+  cols.push(["mood_history", mood.join(";")]);
+  Object.keys(result.interests.weights).forEach((k) => cols.push([`interest_${k}`, result.interests.weights[k]]));
+  cols.push(["interest_top", result.interests.top]);
+  cols.push(["accepted_requests", result.acceptedRequests.map((r) => r.user).join(";")]);
+  cols.push(["accepted_suspicious", result.acceptedRequests.filter((r) => r.suspicious).length]);
+  cols.push(["badges", result.badges.join(";")]);
+  cols.push(["event_count", result.events.length]);
+  return cols;
+}
+
+export function resultsToCsv(result) {
+  const cols = resultsToColumns(result);
+  return `${cols.map(([name]) => csvCell(name)).join(",")}\n${cols.map(([, v]) => csvCell(v)).join(",")}\n`;
+}
+
+export function exportFileName(result, ext) {
+  const stamp = (result.exportedAt || "").slice(0, 19).replace(/[:T]/g, "-");
+  return `ScrollTrap_${result.session.handle}_${result.session.seed}_${stamp}.${ext}`;
+}
+
+export function downloadFile(name, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const link = document.createElement("a");
+  link.download = name;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
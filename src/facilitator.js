@@ -0,0 +1,61 @@
+/**
+ * Facilitator panel: single techniques switched off to show what each one does,
+ * e.g. one run with infinite scroll and one with a feed that ends with "you're
+ * all caught up".
+ *
+ * `?facilitator` shows the panel on the intro screen. The setup travels in the
+ * URL as the list of techniques switched off, `?off=typingIndicator,liveViewers`,
+ * so the students' devices can open the same configuration from a link.
+ */
+
+// In the order the panel and the reveal screen list them
+export const SWITCHES = [
+  "infiniteScroll",
+  "emptyNotifications",
+  "typingIndicator",
+  "liveViewers",
+  "friendsWatching",
+  "urgentStory",
+  "exitFriction",
+  "fomoBanners",
+  "variableRewards",
+];
+
+export function allSwitchesOn() {
+  const switches = {};
+  SWITCHES.forEach((id) => { switches[id] = true; });
+  return switches;
+}
+
+export function switchedOff(switches) {
+  return SWITCHES.filter((id) => switches[id] === false);
+}
+
+export function switchesFromParam(value) {
+  const off = String(value || "").split(",").map((id) => id.trim());
+  const switches = allSwitchesOn();
+  SWITCHES.forEach((id) => { if (off.includes(id)) switches[id] = false; });
+  return switches;
+}
+
+export function switchesToParam(switches) {
+  return switchedOff(switches).join(",");
+}
+
+function readParam(search, name) {
+  try {
+    return new URLSearchParams(search).get(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+const currentSearch = () => (typeof window !== "undefined" ? window.location.search : "");
+
+export function switchesFromUrl(search = currentSearch()) {
+  return switchesFromParam(readParam(search, "off"));
+}
+
+export function isFacilitatorUrl(search = currentSearch()) {
+  return readParam(search, "facilitator") !== null;
+}
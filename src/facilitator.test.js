@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { SWITCHES, allSwitchesOn, isFacilitatorUrl, switchedOff, switchesFromParam, switchesFromUrl, switchesToParam } from "./facilitator.js";
+
+describe("facilitator switches", () => {
+  it("turns the ?off= list into switches and back", () => {
+    const switches = switchesFromParam("typingIndicator,infiniteScroll");
+    expect(switches).toMatchObject({ infiniteScroll: false, typingIndicator: false, liveViewers: true });
+    expect(switchedOff(switches)).toEqual(["infiniteScroll", "typingIndicator"]);
+    expect(switchesToParam(switches)).toBe("infiniteScroll,typingIndicator");
+  });
+
+  it("ignores unknown techniques and leaves everything on without the parameter", () => {
+    expect(switchesFromParam("nope, liveViewers")).toEqual({ ...allSwitchesOn(), liveViewers: false });
+    expect(switchesFromUrl("?seed=ABC")).toEqual(allSwitchesOn());
+    expect(Object.keys(allSwitchesOn())).toEqual(SWITCHES);
+  });
+
+  it("shows the panel only with ?facilitator", () => {
+    expect(isFacilitatorUrl("?facilitator")).toBe(true);
+    expect(isFacilitatorUrl("?teacher")).toBe(false);
+  });
+});
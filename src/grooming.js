@@ -0,0 +1,78 @@
+/**
+ * Grooming chats as scripted state machines. The account whose suspicious
+ * friend request was accepted, and every `teenSafety` DM of the scenario, walk
+ * the player through the stages of online grooming, one stage per reply, with
+ * the lines written in the scenario pack (`grooming`, see
+ * docs/scenario-format.md):
+ *
+ *   rapport → isolation → personalInfo → movePlatform → imageRequest
+ *
+ * Each reply is read for keywords: mentioning an adult defuses the chat at
+ * once; a refusal is met with pressure, and a second one defuses it; the
+ * stage's own keywords mean the player gave in; anything else and the script
+ * simply moves on, as a real groomer would. Reporting or blocking the account
+ * defuses it too (engine.js safetyAction).
+ *
+ * This module only decides: engine.js sends the lines and logs the events.
+ */
+export const GROOMING_STAGES = ["rapport", "isolation", "personalInfo", "movePlatform", "imageRequest"];
+export const REFUSALS_TO_DEFUSE = 2;
+export const REPLY_INTENTS = ["tellAdult", "refuse", "comply", "neutral"];
+
+// Lowercase words without accents and punctuation, padded so that " word " only matches whole words
+const words = (text) => ` ${text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+const mentions = (said, keywords = []) => keywords.some((k) => said.includes(words(k)));
+
+// What the reply means for the script at `stage`: one of REPLY_INTENTS
+export function classifyReply(script, stage, text) {
+  const said = words(text);
+  if (mentions(said, script.tellAdult)) return "tellAdult";
+  if (mentions(said, script.refuse)) return "refuse";
+  const step = script.stages[stage];
+  if (mentions(said, step.comply) || (step.numbers && /\d/.test(text))) return "comply";
+  return "neutral";
+}
+
+// A chat that has just opened with the first stage
+export function startThread(dmId, user) {
+  return { dmId, user, stage: GROOMING_STAGES[0], reached: [GROOMING_STAGES[0]], complied: [], refusals: 0, outcome: null, defusedBy: null };
+}
+
+// outcome: null while the script runs, "defused" (defusedBy says how) or "completed" (the player gave in to the last stage)
+export function defuseThread(thread, how) {
+  if (thread.outcome) return thread;
+  return { ...thread, outcome: "defused", defusedBy: how };
+}
+
+/**
+ * The player replied with `intent` (classifyReply, or the quick reply they
+ * picked): returns the next thread, the lines the other side answers with and
+ * the events to log, each { type: "reached" | "complied" | "defused", stage }.
+ */
+export function replyTo(script, thread, intent, rng) {
+  if (thread.outcome) return { thread, say: [], events: [] };
+  const { stage } = thread;
+  const defused = (how) => ({ thread: defuseThread(thread, how), say: [rng.pick(script.giveUp)], events: [{ type: "defused", stage, how }] });
+
+  if (intent === "tellAdult") return defused("tellAdult");
+  if (intent === "refuse") {
+    const refusals = thread.refusals + 1;
+    if (refusals >= REFUSALS_TO_DEFUSE) return defused("refused");
+    return { thread: { ...thread, refusals }, say: [rng.pick(script.pressure)], events: [] };
+  }
+
+  const gaveIn = intent === "comply";
+  const complied = gaveIn ? thread.complied.concat([stage]) : thread.complied;
+  const events = gaveIn ? [{ type: "complied", stage }] : [];
+  const next = GROOMING_STAGES[GROOMING_STAGES.indexOf(stage) + 1];
+  if (!next) {
+    // The last request: giving in ends the script, anything else gets more pressure
+    if (gaveIn) return { thread: { ...thread, complied, outcome: "completed" }, say: [rng.pick(script.completed)], events };
+    return { thread, say: [rng.pick(script.pressure)], events };
+  }
+  return {
+    thread: { ...thread, stage: next, reached: thread.reached.concat([next]), complied },
+    say: script.stages[next].says,
+    events: events.concat([{ type: "reached", stage: next }]),
+  };
+}
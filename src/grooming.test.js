@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { GROOMING_STAGES, classifyReply, defuseThread, replyTo, startThread } from "./grooming.js";
+import { createRng } from "./random.js";
+import { scenario } from "./test/run.js";
+
+const script = scenario.grooming;
+
+describe("classifyReply", () => {
+  it("matches whole words, ignoring case, accents and punctuation", () => {
+    expect(classifyReply(script, "rapport", "SÌ!!")).toBe("comply");
+    expect(classifyReply(script, "rapport", "Nooo")).toBe("neutral");
+    expect(classifyReply(script, "rapport", "no.")).toBe("refuse");
+  });
+
+  it("puts telling an adult before refusing, and refusing before giving in", () => {
+    expect(classifyReply(script, "isolation", "ok, ma no: lo dico ai miei")).toBe("tellAdult");
+    expect(classifyReply(script, "isolation", "ok no")).toBe("refuse");
+  });
+
+  it("reads any digit as an answer only where the stage asks for numbers", () => {
+    expect(classifyReply(script, "personalInfo", "13")).toBe("comply");
+    expect(classifyReply(script, "isolation", "13")).toBe("neutral");
+  });
+});
+
+describe("replyTo", () => {
+  const rng = createRng(1);
+
+  it("walks every stage in order, whatever the player says", () => {
+    let thread = startThread("dm", "x");
+    GROOMING_STAGES.slice(1).forEach((stage) => {
+      const next = replyTo(script, thread, "neutral", rng);
+      expect(next.thread.stage).toBe(stage);
+      expect(next.say).toEqual(script.stages[stage].says);
+      expect(next.events).toEqual([{ type: "reached", stage }]);
+      thread = next.thread;
+    });
+    expect(thread.reached).toEqual(GROOMING_STAGES);
+    expect(thread.complied).toEqual([]);
+
+    const last = replyTo(script, thread, "neutral", rng);
+    expect(last.thread).toBe(thread);
+    expect(script.pressure).toContain(last.say[0]);
+  });
+
+  it("needs a second refusal to defuse the chat, and then stays quiet", () => {
+    const once = replyTo(script, startThread("dm", "x"), "refuse", rng);
+    expect(once.thread).toMatchObject({ refusals: 1, outcome: null });
+    const twice = replyTo(script, once.thread, "refuse", rng);
+    expect(twice.thread).toMatchObject({ outcome: "defused", defusedBy: "refused" });
+    expect(twice.events).toEqual([{ type: "defused", stage: "rapport", how: "refused" }]);
+    expect(replyTo(script, twice.thread, "comply", rng)).toEqual({ thread: twice.thread, say: [], events: [] });
+  });
+
+  it("never changes how an ended chat ended", () => {
+    const done = defuseThread(startThread("dm", "x"), "tellAdult");
+    expect(defuseThread(done, "block")).toBe(done);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Past runs on this device, so a student who plays again a week later can see
+ * whether they got better at leaving on time.
+ *
+ * Only a summary of each finished run (date, expected and real time, score,
+ * badges, mood curve) and only in localStorage, like the other settings: it
+ * never leaves the browser, and the intro and reveal screens can delete it.
+ * Humane runs (engine.js) are comparisons, not progress, and are not kept.
+ */
+import { selectScore } from "./engine.js";
+import { selectAchievements } from "./achievements.js";
+
+const STORAGE_KEY = "scrolltrap.history";
+
+export const HISTORY_MAX = 50; // oldest runs are dropped first
+const MOOD_POINTS = 40; // the mood curve is kept at this resolution
+
+function downsample(values, points) {
+  if (values.length <= points) return values.slice();
+  return Array.from({ length: points }, (_, i) => values[Math.round((i * (values.length - 1)) / (points - 1))]);
+}
+
+// What is kept of a finished run; startedAt doubles as its id
+export function summarizeRun(s) {
+  return {
+    id: s.startedAt,
+    date: new Date(s.startedAt).toISOString(),
+    seed: s.seed,
+    intensity: s.intensity.profile,
+    estimatedTime: s.estimatedTime,
+    timeSpent: s.timeSpent,
+    score: selectScore(s).total,
+    badges: selectAchievements(s).map((a) => a.id),
+    mood: downsample(s.moodHistory, MOOD_POINTS),
+  };
+}
+
+function isRun(run) {
+  return Boolean(run) && Number.isFinite(run.id) && typeof run.date === "string" && Number.isFinite(run.timeSpent) && Number.isFinite(run.score) && Array.isArray(run.badges) && Array.isArray(run.mood);
+}
+
+// Oldest first
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved.filter(isRun).sort((a, b) => a.id - b.id);
+  } catch (e) {}
+  return [];
+}
+
+// Adds (or replaces) one run and returns the new history
+export function saveRun(summary) {
+  const history = loadHistory().filter((run) => run.id !== summary.id).concat([summary]).slice(-HISTORY_MAX);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (e) {}
+  return history;
+}
+
+export function clearHistory() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {}
+}
@@ -0,0 +1,42 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { HISTORY_MAX, clearHistory, loadHistory, saveRun, summarizeRun } from "./history.js";
+import { START, startRun } from "./test/run.js";
+
+function finishedRun(estimatedTime, ms) {
+  const run = startRun({ estimatedTime });
+  run.advance(ms);
+  run.dispatch({ type: "end" });
+  return run.state();
+}
+
+describe("run history", () => {
+  afterEach(() => window.localStorage.clear());
+
+  it("keeps the summary of a finished run", () => {
+    const summary = summarizeRun(finishedRun(60, 90000));
+    expect(summary).toMatchObject({ id: START, date: new Date(START).toISOString(), seed: "TESTRUN", intensity: "realistic", estimatedTime: 60, timeSpent: 90 });
+    expect(summary.score).toBeGreaterThanOrEqual(0);
+    expect(summary.badges).not.toContain("exitedOnTime");
+    expect(summary.mood.length).toBeGreaterThan(1);
+    expect(summary.mood.length).toBeLessThanOrEqual(40);
+  });
+
+  it("saves each run once, oldest first, up to HISTORY_MAX", () => {
+    const summary = summarizeRun(finishedRun(60, 5000));
+    saveRun(summary);
+    expect(saveRun(summary)).toHaveLength(1);
+    for (let i = 1; i <= HISTORY_MAX; i += 1) saveRun({ ...summary, id: START + i * 1000 });
+    const history = loadHistory();
+    expect(history).toHaveLength(HISTORY_MAX);
+    expect(history[0].id).toBe(START + 1000);
+    expect(history[HISTORY_MAX - 1].id).toBe(START + HISTORY_MAX * 1000);
+  });
+
+  it("deletes everything and ignores unreadable entries", () => {
+    saveRun(summarizeRun(finishedRun(60, 5000)));
+    clearHistory();
+    expect(loadHistory()).toEqual([]);
+    window.localStorage.setItem("scrolltrap.history", JSON.stringify([{ id: "x" }, null]));
+    expect(loadHistory()).toEqual([]);
+  });
+});
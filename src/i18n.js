@@ -0,0 +1,122 @@
+/**
+ * Interface translations. Every string the app shows lives in
+ * src/locales/<locale>.json; scenario content (captions, usernames, DMs…)
+ * is translated separately in the scenario packs (see scenario.js).
+ *
+ * Italian is the reference locale: a key missing from another locale falls
+ * back to the Italian text, and a key missing everywhere shows up as-is.
+ */
+import React, { createContext, useContext } from "react";
+import it from "./locales/it.json";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import fr from "./locales/fr.json";
+import de from "./locales/de.json";
+
+export const DEFAULT_LOCALE = "it";
+const STORAGE_KEY = "scrolltrap.lang";
+
+const MESSAGES = { it, en, es, fr, de };
+
+// Offered in the picker, each in its own language
+export const LOCALES = [
+  { id: "it", name: "Italiano" },
+  { id: "en", name: "English" },
+  { id: "es", name: "Español" },
+  { id: "fr", name: "Français" },
+  { id: "de", name: "Deutsch" },
+];
+
+function supported(tag) {
+  const base = String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(MESSAGES, base) ? base : null;
+}
+
+// `?lang=en`, then the last language picked on this device, then the browser languages
+export function detectLocale() {
+  try {
+    const fromUrl = supported(new URLSearchParams(window.location.search).get("lang"));
+    if (fromUrl) return fromUrl;
+  } catch (e) {}
+  try {
+    const saved = supported(window.localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+  } catch (e) {}
+  const browser = (typeof navigator !== "undefined" && (navigator.languages || [navigator.language])) || [];
+  for (const tag of browser) {
+    const locale = supported(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (e) {}
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages);
+}
+
+function interpolate(text, vars) {
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+}
+
+// <br> becomes a line break, <tag>…</tag> is handed to tags[tag] (plain text if missing)
+function formatRich(text, tags = {}) {
+  const out = [];
+  const re = /<br\s*\/?>|<(\w+)>([\s\S]*?)<\/\1>/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) out.push(text.slice(last, m.index));
+    const key = out.length;
+    if (!m[1]) out.push(React.createElement("br", { key }));
+    else out.push(React.createElement(React.Fragment, { key }, tags[m[1]] ? tags[m[1]](m[2]) : m[2]));
+    last = re.lastIndex;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+/**
+ * t("reveal.overrun", { pct: 40 }) -> "Sei rimasto circa 40% in più del previsto"
+ *
+ * With a numeric `count` variable the plural form `<key>_one`, `<key>_few`…
+ * (Intl.PluralRules categories) is preferred when the locale defines it.
+ */
+export function createTranslator(locale) {
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const plurals = new Intl.PluralRules(locale);
+  const resolve = (key, vars) => {
+    const keys = vars && typeof vars.count === "number" ? [`${key}_${plurals.select(vars.count)}`, key] : [key];
+    for (const source of [messages, MESSAGES[DEFAULT_LOCALE]]) {
+      for (const k of keys) {
+        const value = lookup(source, k);
+        if (typeof value === "string") return value;
+      }
+    }
+    return key;
+  };
+  const t = (key, vars) => interpolate(resolve(key, vars), vars);
+  t.rich = (key, vars, tags) => formatRich(t(key, vars), tags);
+  t.locale = locale;
+  t.number = (n, options) => Number(n).toLocaleString(locale, options);
+  t.date = (d, options) => new Date(d).toLocaleDateString(locale, options);
+  return t;
+}
+
+export const I18nContext = createContext({ t: createTranslator(DEFAULT_LOCALE), locale: DEFAULT_LOCALE, setLocale: () => {} });
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+// Errors raised with a `code` (ScenarioError, ClassroomError) are shown as `<scope>.<code>`
+export function errorMessage(t, error, scope) {
+  if (error && error.code) return t(`${scope}.${error.code}`, error.params);
+  return error ? error.message : "";
+}
@@ -0,0 +1,90 @@
+/**
+ * Intensity profiles: how hard the app pushes during a run.
+ *
+ * Every manipulation technique of engine.js takes its timings and
+ * probabilities from here instead of constants. A profile puts all of them at
+ * the same level ("gentle" for younger students, "aggressive" for adults);
+ * "custom" picks a level per technique, e.g. aggressive notifications with
+ * gentle ads. `?intensity=gentle` preselects a profile on the intro screen.
+ */
+
+export const LEVELS = ["gentle", "realistic", "aggressive"];
+export const PROFILES = [...LEVELS, "custom"];
+export const DEFAULT_INTENSITY = "realistic";
+
+// Parameters of each technique at each level. Delays are [min, max) in ms,
+// chances are probabilities, adEvery is a position in the feed.
+export const TECHNIQUES = {
+  notifications: {
+    gentle: { notificationDelay: [12000, 20000], notificationChance: 0.35 },
+    realistic: { notificationDelay: [6000, 10500], notificationChance: 0.55 },
+    aggressive: { notificationDelay: [3500, 6000], notificationChance: 0.8 },
+  },
+  friendRequests: {
+    gentle: { friendRequestDelay: [35000, 50000] },
+    realistic: { friendRequestDelay: [14000, 21000] },
+    aggressive: { friendRequestDelay: [8000, 12000] },
+  },
+  typing: {
+    gentle: { typingInterval: 20000, typingChance: 0.2 },
+    realistic: { typingInterval: 11000, typingChance: 0.35 },
+    aggressive: { typingInterval: 6000, typingChance: 0.6 },
+  },
+  likes: {
+    gentle: { likesDelay: [9000, 13000], likesChance: 0.3 },
+    realistic: { likesDelay: [5200, 7700], likesChance: 0.45 },
+    aggressive: { likesDelay: [3000, 4500], likesChance: 0.65 },
+  },
+  urgentStories: {
+    gentle: { urgentStoryDelay: [50000, 80000] },
+    realistic: { urgentStoryDelay: [25000, 40000] },
+    aggressive: { urgentStoryDelay: [12000, 20000] },
+  },
+  fomo: {
+    gentle: { fomoChance: 0.15 },
+    realistic: { fomoChance: 0.35 },
+    aggressive: { fomoChance: 0.6 },
+  },
+  reels: {
+    gentle: { reelChance: 0.15 },
+    realistic: { reelChance: 0.3 },
+    aggressive: { reelChance: 0.5 },
+  },
+  clickbait: {
+    gentle: { clickbaitChance: 0.1 },
+    realistic: { clickbaitChance: 0.25 },
+    aggressive: { clickbaitChance: 0.5 },
+  },
+  // Not a multiple of the batch size (4), or every ad would fall on a batch's first post
+  ads: {
+    gentle: { adEvery: 11 },
+    realistic: { adEvery: 7 },
+    aggressive: { adEvery: 5 },
+  },
+};
+
+/**
+ * The level of every technique and the merged parameters for the engine.
+ * `custom` maps technique ids to levels and is only read for the "custom"
+ * profile; techniques it leaves out stay realistic.
+ */
+export function resolveIntensity(profile = DEFAULT_INTENSITY, custom = {}) {
+  const id = PROFILES.includes(profile) ? profile : DEFAULT_INTENSITY;
+  const levels = {};
+  const params = {};
+  Object.keys(TECHNIQUES).forEach((technique) => {
+    const level = id !== "custom" ? id : LEVELS.includes(custom[technique]) ? custom[technique] : DEFAULT_INTENSITY;
+    levels[technique] = level;
+    Object.assign(params, TECHNIQUES[technique][level]);
+  });
+  return { profile: id, levels, params };
+}
+
+export function intensityFromUrl(search = typeof window !== "undefined" ? window.location.search : "") {
+  try {
+    const value = new URLSearchParams(search).get("intensity");
+    return LEVELS.includes(value) ? value : DEFAULT_INTENSITY;
+  } catch (e) {
+    return DEFAULT_INTENSITY;
+  }
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_INTENSITY, LEVELS, TECHNIQUES, intensityFromUrl, resolveIntensity } from "./intensity.js";
+
+describe("resolveIntensity", () => {
+  it("puts every technique at the level of a preset profile", () => {
+    LEVELS.forEach((profile) => {
+      const { levels } = resolveIntensity(profile);
+      expect(Object.keys(levels)).toEqual(Object.keys(TECHNIQUES));
+      Object.values(levels).forEach((level) => expect(level).toBe(profile));
+    });
+  });
+
+  it("takes a level per technique for the custom profile, realistic where none is given", () => {
+    const { levels, params } = resolveIntensity("custom", { typing: "gentle", ads: "aggressive", reels: "extreme" });
+    expect(levels).toMatchObject({ typing: "gentle", ads: "aggressive", reels: "realistic", notifications: "realistic" });
+    expect(params).toMatchObject({ ...TECHNIQUES.typing.gentle, ...TECHNIQUES.ads.aggressive, ...TECHNIQUES.reels.realistic });
+  });
+
+  it("ignores the custom levels of a preset and falls back to the default on an unknown profile", () => {
+    expect(resolveIntensity("gentle", { ads: "aggressive" }).levels.ads).toBe("gentle");
+    expect(resolveIntensity("insane")).toEqual(resolveIntensity(DEFAULT_INTENSITY));
+  });
+
+  it("never lets the ad cadence fall on the first post of every batch", () => {
+    LEVELS.forEach((level) => expect(TECHNIQUES.ads[level].adEvery % 4).not.toBe(0));
+  });
+});
+
+describe("intensityFromUrl", () => {
+  it("reads ?intensity= and ignores anything that is not a preset", () => {
+    expect(intensityFromUrl("?intensity=gentle")).toBe("gentle");
+    expect(intensityFromUrl("?intensity=custom")).toBe(DEFAULT_INTENSITY);
+    expect(intensityFromUrl("")).toBe(DEFAULT_INTENSITY);
+  });
+});
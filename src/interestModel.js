@@ -0,0 +1,107 @@
+/**
+ * The "for you" interest model: what the feed learns about the player and how
+ * it picks the category of the next post.
+ *
+ * Weights start equal for every scenario interest. Each signal adds (or, for a
+ * quick scroll past, removes) weight from the category of the post it came from:
+ *
+ *   dwell    time spent looking at a post, per second up to DWELL_CAP_SECONDS
+ *   skip     scrolled past in less than SKIP_SECONDS
+ *   like, save, comment, profile visit, reel play
+ *
+ * Picking is epsilon-greedy: with probability `epsilon` the feed explores (any
+ * category, uniformly), otherwise it exploits what it learned, sharpened so the
+ * leading category wins more than its plain share. Epsilon shrinks as signals
+ * come in, like a real feed that stops experimenting once it knows you.
+ */
+
+export const SIGNAL_WEIGHTS = {
+  dwell: 0.5,
+  skip: -0.6,
+  like: 2,
+  save: 3,
+  comment: 3,
+  profile: 1.5,
+  reel: 2,
+};
+
+export const DWELL_CAP_SECONDS = 8;
+export const SKIP_SECONDS = 0.8;
+// Never drop a category to zero: exploration must still be able to bring it back
+export const MIN_WEIGHT = 0.2;
+export const EXPLOIT_SHARPNESS = 2;
+export const EXPLORATION = { start: 0.35, min: 0.1, decay: 0.95 };
+
+export function initialWeights(scenario) {
+  const weights = {};
+  scenario.interestKeys.forEach((k) => { weights[k] = 1; });
+  return weights;
+}
+
+// Reels come from their own pack, so they count towards the scenario's reel interest
+export function postInterest(post, reelInterest) {
+  if (!post) return null;
+  return post.isReel ? reelInterest : (post.image && post.image.type) || null;
+}
+
+// What a post that just left the screen tells the model: null when it says nothing
+export function dwellSignal(seconds, scrolledPast) {
+  if (seconds >= SKIP_SECONDS) return "dwell";
+  return scrolledPast ? "skip" : null;
+}
+
+export function signalValue(signal, seconds = 0) {
+  const weight = SIGNAL_WEIGHTS[signal] || 0;
+  return signal === "dwell" ? weight * Math.min(seconds, DWELL_CAP_SECONDS) : weight;
+}
+
+export function applySignal(weights, category, signal, seconds) {
+  if (!Object.prototype.hasOwnProperty.call(weights, category)) return weights;
+  const value = signalValue(signal, seconds);
+  if (!value) return weights;
+  const next = Math.max(MIN_WEIGHT, weights[category] + value);
+  return { ...weights, [category]: Math.round(next * 100) / 100 };
+}
+
+export function explorationRate(signalCount) {
+  return Math.max(EXPLORATION.min, EXPLORATION.start * Math.pow(EXPLORATION.decay, signalCount));
+}
+
+// Chance of each category for the next post, exploration included
+export function categoryShares(weights, epsilon) {
+  const keys = Object.keys(weights);
+  const sharpened = keys.map((k) => Math.pow(weights[k], EXPLOIT_SHARPNESS));
+  const total = sharpened.reduce((a, b) => a + b, 0) || 1;
+  const shares = {};
+  keys.forEach((k, i) => { shares[k] = epsilon / keys.length + (1 - epsilon) * (sharpened[i] / total); });
+  return shares;
+}
+
+// -> { category, explored }
+export function pickCategory(weights, rng, epsilon) {
+  const keys = Object.keys(weights);
+  if (rng.next() < epsilon) return { category: rng.pick(keys), explored: true };
+  let r = rng.next() * keys.reduce((acc, k) => acc + Math.pow(weights[k], EXPLOIT_SHARPNESS), 0);
+  for (const k of keys) {
+    r -= Math.pow(weights[k], EXPLOIT_SHARPNESS);
+    if (r <= 0) return { category: k, explored: false };
+  }
+  return { category: keys[0], explored: false };
+}
+
+// Why the feed picked `category`, as shown in the post inspector: the numbers at the time of the pick
+export function pickReason(weights, epsilon, category, explored) {
+  const shares = categoryShares(weights, epsilon);
+  const chances = {};
+  Object.keys(shares).forEach((k) => { chances[k] = Math.round(shares[k] * 100); });
+  const ranked = Object.keys(weights).sort((a, b) => weights[b] - weights[a]);
+  return {
+    kind: explored ? "explore" : "interest",
+    category,
+    weight: weights[category],
+    rank: ranked.indexOf(category) + 1,
+    chance: chances[category],
+    epsilon: Math.round(epsilon * 100),
+    chances,
+  };
+}
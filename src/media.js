@@ -0,0 +1,63 @@
+/**
+ * Where photos and reels come from.
+ *
+ * "remote" (default) loads photos from Unsplash and embeds reels from YouTube.
+ * "local" serves everything from the app itself, for school networks that
+ * block those sites or classrooms without internet:
+ *
+ *   public/media/images/<photo id>.jpg
+ *   public/media/reels/<reel id>.webm | .mp4   (+ optional <reel id>.jpg poster)
+ *
+ * The mode is chosen per deployment with VITE_MEDIA_MODE=local, or per visit
+ * with `?media=local` / `?media=remote`. scripts/fetch-media.mjs downloads the
+ * photos of the bundled scenarios into public/media/. See docs/local-media.md.
+ */
+
+export const MEDIA_MODES = ["remote", "local"];
+
+function readParam(name) {
+  try {
+    return new URLSearchParams(window.location.search).get(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function resolveMediaMode() {
+  const fromUrl = (readParam("media") || "").trim().toLowerCase();
+  if (MEDIA_MODES.includes(fromUrl)) return fromUrl;
+  const fromEnv = ((import.meta.env && import.meta.env.VITE_MEDIA_MODE) || "").trim().toLowerCase();
+  return MEDIA_MODES.includes(fromEnv) ? fromEnv : "remote";
+}
+
+// Fixed for the whole visit: switching mode mid-run would change every URL in the feed
+export const MEDIA_MODE = resolveMediaMode();
+
+const mediaBase = () => `${import.meta.env.BASE_URL}media`;
+
+// Scenario images are Unsplash photo ids, or full/relative URLs used as they are
+export function photoUrl(photoId, w = 900) {
+  if (/^(https?:|data:|\/)/.test(photoId)) return photoId;
+  if (MEDIA_MODE === "local") return `${mediaBase()}/images/${photoId}.jpg`;
+  return `https://images.unsplash.com/${photoId}?auto=format&fit=crop&w=${w}&q=80`;
+}
+
+// What ReelVideo needs to show a reel: a poster, and either an embed URL or video files
+export function reelMedia(id) {
+  if (MEDIA_MODE === "local") {
+    const base = `${mediaBase()}/reels/${id}`;
+    return {
+      local: true,
+      poster: `${base}.jpg`,
+      sources: [
+        { src: `${base}.webm`, type: "video/webm" },
+        { src: `${base}.mp4`, type: "video/mp4" },
+      ],
+    };
+  }
+  return {
+    local: false,
+    poster: `https://img.youtube.com/vi/${id}/0.jpg`,
+    embedUrl: `https://www.youtube.com/embed/${id}?autoplay=1&mute=0&loop=1&playlist=${id}&controls=1&rel=0&modestbranding=1&playsinline=1`,
+  };
+}
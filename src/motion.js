@@ -0,0 +1,40 @@
+/**
+ * Reduced motion: no heart pops, pulses, slide-ins or smooth scrolling.
+ *
+ * The system setting (prefers-reduced-motion) decides unless the player picked
+ * otherwise on the intro screen; `?motion=reduced` / `?motion=full` overrides
+ * both, e.g. for a shared classroom PC. The choice is applied as
+ * <html data-motion="reduced">, which index.html turns into a stylesheet rule.
+ */
+const STORAGE_KEY = "scrolltrap.motion";
+
+function parse(value) {
+  return value === "reduced" ? true : value === "full" ? false : null;
+}
+
+export function detectReducedMotion() {
+  try {
+    const fromUrl = parse(new URLSearchParams(window.location.search).get("motion"));
+    if (fromUrl !== null) return fromUrl;
+  } catch (e) {}
+  try {
+    const saved = parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved !== null) return saved;
+  } catch (e) {}
+  try {
+    return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function saveReducedMotion(reduced) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, reduced ? "reduced" : "full");
+  } catch (e) {}
+}
+
+export function applyReducedMotion(reduced) {
+  if (reduced) document.documentElement.dataset.motion = "reduced";
+  else delete document.documentElement.dataset.motion;
+}
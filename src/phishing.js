@@ -0,0 +1,18 @@
+/**
+ * Fake landing pages behind the scam links of a scenario (`phishing`, see
+ * docs/scenario-format.md): a DM message with `link` and the "Learn more"
+ * button of the ads open one inside the app, clearly marked as a simulation.
+ * Only which fields were filled in is kept, never what was typed.
+ */
+export const PHISHING_FIELDS = ["username", "password", "email", "phone"];
+
+export function phishingUrl(page) {
+  return `https://${page.domain}${page.path || ""}`;
+}
+
+// "socialgram.com.premi.net" -> { sub: "socialgram.com.", site: "premi.net" }: the site is what the browser
+// really opens. The last two labels are enough for the made-up domains of the scenarios (not for co.uk and the like)
+export function splitDomain(domain) {
+  const site = domain.split(".").slice(-2).join(".");
+  return { sub: domain.slice(0, domain.length - site.length), site };
+}
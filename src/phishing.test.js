@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { phishingUrl, splitDomain } from "./phishing.js";
+
+describe("splitDomain", () => {
+  it("keeps the last two labels as the site, whatever comes before", () => {
+    expect(splitDomain("socialgram.com.premi-vincitori.net")).toEqual({ sub: "socialgram.com.", site: "premi-vincitori.net" });
+    expect(splitDomain("socia1gram-offerte.com")).toEqual({ sub: "", site: "socia1gram-offerte.com" });
+  });
+});
+
+describe("phishingUrl", () => {
+  it("joins the domain and the optional path", () => {
+    expect(phishingUrl({ domain: "a.com", path: "/x" })).toBe("https://a.com/x");
+    expect(phishingUrl({ domain: "a.com" })).toBe("https://a.com");
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Seeded random numbers for reproducible runs.
+ *
+ * Every generator in the simulation draws from a stream created here instead of
+ * Math.random(): the same seed gives the same feed, notifications and DMs, so a
+ * whole class can play the same session and a bug report can be replayed.
+ */
+
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// FNV-1a, good enough to turn any seed string into a 32-bit state
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function normalizeSeed(value) {
+  return String(value || "").trim().toUpperCase().replace(/[^A-Z0-9_-]/g, "").slice(0, 24);
+}
+
+// Fresh seed for a run the user didn't seed explicitly (short enough to dictate in class)
+export function randomSeed(length = 6) {
+  let out = "";
+  for (let i = 0; i < length; i += 1) {
+    out += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return out;
+}
+
+export function seedFromUrl(search = typeof window !== "undefined" ? window.location.search : "") {
+  try {
+    return normalizeSeed(new URLSearchParams(search).get("seed"));
+  } catch (e) {
+    return "";
+  }
+}
+
+// mulberry32 stream; fork(label) derives an independent stream so that, e.g.,
+// the feed does not change when a notification happens to fire earlier
+export function createRng(seed) {
+  const key = String(seed);
+  let state = hashSeed(key);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: key,
+    next,
+    // Integer in [min, max)
+    int: (min, max) => min + Math.floor(next() * (max - min)),
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+    id: () => next().toString(16).slice(2),
+    fork: (label) => createRng(`${key}:${label}`),
+  };
+}
+
+// One stream per subsystem, all derived from the run seed
+export function createRunStreams(seed) {
+  const root = createRng(seed);
+  return {
+    seed: root.seed,
+    feed: root.fork("feed"),
+    stories: root.fork("stories"),
+    notifications: root.fork("notifications"),
+    social: root.fork("social"),
+    ambient: root.fork("ambient"),
+    ui: root.fork("ui"),
+    reels: root.fork("reels"),
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * The Reels tab: the scenario's reels full screen, one under the other, each
+ * playing by itself and looping until the player swipes on (or, while
+ * infinite scroll is on, until the next one starts by itself). Every clip
+ * left behind is a view, kept in state.reelViews:
+ *
+ *   { youtubeId, seconds, loops, how: "swipe" | "auto" | "close" }
+ *
+ * seconds: watched in all (loops included); loops: times it started over.
+ * Loops are not guessed: the player on screen reports them (loopWatcher),
+ * the local <video> through its timeupdate events, the YouTube embed through
+ * the messages it posts. The engine feeds each view to the interest model
+ * (reelSignal) and the reveal screen sums them up (reelsSummary).
+ */
+export const AUTOPLAY_AFTER_LOOPS = 2; // the tab moves on to the next clip by itself after this many loops
+export const FAST_SWIPE_SECONDS = 2; // swiped away quicker than this: the clip was rejected
+export const REELS_BATCH = 6; // clips added to the tab at a time
+
+const WRAP_SECONDS = 1; // the playback time jumped back at least this much: the clip started over
+
+// Fed the player's current time as it plays, returns true each time the clip has started over.
+// A looping <video> never fires "ended", and the embed only reports its time, hence the jump back
+export function loopWatcher() {
+  let last = null;
+  return (time) => {
+    const wrapped = last !== null && time + WRAP_SECONDS < last;
+    last = time;
+    return wrapped;
+  };
+}
+
+export function isFastSwipe(view) {
+  return view.how === "swipe" && view.seconds < FAST_SWIPE_SECONDS;
+}
+
+// What leaving a clip tells the interest model (each loop is a "reel" signal on top)
+export function reelSignal(view) {
+  return isFastSwipe(view) ? "skip" : "dwell";
+}
+
+// The totals the reveal screen shows; swipeSeconds: average time before swiping away (null if never swiped)
+export function reelsSummary(views) {
+  const swiped = views.filter((v) => v.how === "swipe");
+  const seconds = views.reduce((sum, v) => sum + v.seconds, 0);
+  return {
+    clips: views.length,
+    seconds: Math.round(seconds),
+    loops: views.reduce((sum, v) => sum + v.loops, 0),
+    autoplayed: views.filter((v) => v.how === "auto").length,
+    fastSwipes: swiped.filter(isFastSwipe).length,
+    swipeSeconds: swiped.length ? Math.round((swiped.reduce((sum, v) => sum + v.seconds, 0) / swiped.length) * 10) / 10 : null,
+  };
+}
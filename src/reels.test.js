@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { loopWatcher, reelSignal, reelsSummary } from "./reels.js";
+
+describe("loopWatcher", () => {
+  it("sees a loop each time the playback time jumps back to the start", () => {
+    const wrapped = loopWatcher();
+    expect([0, 4.2, 9.8, 0.1, 5, 9.9, 0.2].map(wrapped)).toEqual([false, false, false, true, false, false, true]);
+  });
+
+  it("ignores small jumps back, like a seek of a moment", () => {
+    const wrapped = loopWatcher();
+    expect([3, 2.5, 3].map(wrapped)).toEqual([false, false, false]);
+  });
+});
+
+describe("reelSignal", () => {
+  it("takes a quick swipe as a skip, anything else as watch time", () => {
+    expect(reelSignal({ how: "swipe", seconds: 0.6, loops: 0 })).toBe("skip");
+    expect(reelSignal({ how: "swipe", seconds: 5, loops: 0 })).toBe("dwell");
+    expect(reelSignal({ how: "close", seconds: 0.6, loops: 0 })).toBe("dwell");
+  });
+});
+
+describe("reelsSummary", () => {
+  it("adds up the clips watched", () => {
+    const views = [
+      { youtubeId: "a", how: "swipe", seconds: 1, loops: 0 },
+      { youtubeId: "b", how: "auto", seconds: 30.4, loops: 2 },
+      { youtubeId: "c", how: "swipe", seconds: 6, loops: 0 },
+      { youtubeId: "d", how: "close", seconds: 12, loops: 1 },
+    ];
+    expect(reelsSummary(views)).toEqual({ clips: 4, seconds: 49, loops: 3, autoplayed: 1, fastSwipes: 1, swipeSeconds: 3.5 });
+  });
+
+  it("has no swipe speed until the player swipes", () => {
+    expect(reelsSummary([]).swipeSeconds).toBeNull();
+  });
+});
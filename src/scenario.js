@@ -0,0 +1,442 @@
+/**
+ * Scenario packs: all the content of a simulated feed (photos, reels, accounts,
+ * stories, DMs, notifications…) lives in a JSON file under public/scenarios/
+ * instead of in the component, so educators can write themed scenarios
+ * without touching JSX.
+ *
+ * The format is documented in docs/scenario-format.md. validateScenario()
+ * returns readable errors (with the path of the offending field) that the
+ * loader shows instead of starting a broken simulation.
+ *
+ * A pack can list translated copies of itself in `locales`; loadScenario()
+ * picks the one matching the interface language.
+ */
+
+import { GROOMING_STAGES, REPLY_INTENTS } from "./grooming.js";
+import { PHISHING_FIELDS } from "./phishing.js";
+import { STORY_STICKERS } from "./stories.js";
+
+export const SCENARIO_SCHEMA = "scrolltrap.scenario";
+export const SCENARIO_SCHEMA_VERSION = 1;
+export const DEFAULT_SCENARIO = "default";
+
+const NAME_RE = /^[a-z0-9_-]{1,40}$/i;
+const NOTIFICATION_ACTIONS = ["dm", "friendRequest"];
+// Where a quick reply is offered: an ordinary chat, a scam chat or a grooming chat at that stage
+export const QUICK_REPLY_CONTEXTS = ["chat", "scam"].concat(GROOMING_STAGES);
+
+// `code` (fetch, notFound, json, invalid) picks the translated text, see loader.errors in the locales;
+// `errors` are the validator's findings, meant for scenario authors
+export class ScenarioError extends Error {
+  constructor(message, { code, params, errors = [] } = {}) {
+    super(message);
+    this.name = "ScenarioError";
+    this.code = code;
+    this.params = params;
+    this.errors = errors;
+  }
+}
+
+function readParam(name) {
+  try {
+    return new URLSearchParams(window.location.search).get(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+// `?scenario=medie` -> /scenarios/medie.json, anything else is used as a URL
+export function scenarioFromUrl() {
+  const value = (readParam("scenario") || "").trim();
+  return value || DEFAULT_SCENARIO;
+}
+
+export function scenarioUrl(source) {
+  if (NAME_RE.test(source)) return `${import.meta.env.BASE_URL}scenarios/${source}.json`;
+  return source;
+}
+
+// ==================== VALIDATION ====================
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string";
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+function checker(errors) {
+  const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+  const missing = (path) => { fail(path, "campo obbligatorio mancante"); return false; };
+  const api = {
+    fail,
+    text(path, v, { optional = false, nonEmpty = false } = {}) {
+      if (v === undefined) return optional || missing(path);
+      if (!isText(v)) { fail(path, "deve essere un testo"); return false; }
+      if (nonEmpty && !v.trim()) { fail(path, "non può essere vuoto"); return false; }
+      return true;
+    },
+    number(path, v, { optional = false } = {}) {
+      if (v === undefined) return optional || missing(path);
+      if (!isNumber(v)) { fail(path, "deve essere un numero"); return false; }
+      return true;
+    },
+    bool(path, v) {
+      if (v === undefined || typeof v === "boolean") return true;
+      fail(path, "deve essere true o false");
+      return false;
+    },
+    list(path, v, { optional = false, min = 1 } = {}) {
+      if (v === undefined) return optional ? false : missing(path);
+      if (!Array.isArray(v)) { fail(path, "deve essere una lista"); return false; }
+      if (v.length < min) { fail(path, `deve contenere almeno ${min} elemento/i`); return false; }
+      return true;
+    },
+    object(path, v, { optional = false } = {}) {
+      if (v === undefined) return optional ? false : missing(path);
+      if (!isObject(v)) { fail(path, "deve essere un oggetto"); return false; }
+      return true;
+    },
+    texts(path, v, opts) {
+      if (!api.list(path, v, opts)) return;
+      v.forEach((s, i) => api.text(`${path}[${i}]`, s));
+    },
+    range(path, v, { optional = false } = {}) {
+      if (v === undefined && optional) return;
+      if (!Array.isArray(v) || v.length !== 2 || !isNumber(v[0]) || !isNumber(v[1]) || v[0] > v[1]) {
+        fail(path, "deve essere [minimo, massimo]");
+      }
+    },
+    uniqueIds(path, items) {
+      const seen = new Set();
+      items.forEach((item, i) => {
+        if (!isObject(item) || !isText(item.id)) return;
+        if (seen.has(item.id)) fail(`${path}[${i}].id`, `"${item.id}" è già usato`);
+        seen.add(item.id);
+      });
+    },
+  };
+  return api;
+}
+
+/**
+ * Returns a list of human-readable errors; an empty list means the scenario
+ * can be played.
+ */
+export function validateScenario(data) {
+  const errors = [];
+  const c = checker(errors);
+  if (!isObject(data)) return ["lo scenario deve essere un oggetto JSON"];
+
+  if (data.schema !== SCENARIO_SCHEMA) c.fail("schema", `deve essere "${SCENARIO_SCHEMA}"`);
+  if (data.schemaVersion !== SCENARIO_SCHEMA_VERSION) {
+    c.fail("schemaVersion", `versione non supportata (questa app legge la ${SCENARIO_SCHEMA_VERSION})`);
+  }
+  c.text("title", data.title, { optional: true });
+  c.text("description", data.description, { optional: true });
+  c.text("language", data.language, { optional: true });
+  if (c.object("locales", data.locales, { optional: true })) {
+    Object.keys(data.locales).forEach((locale) => c.text(`locales.${locale}`, data.locales[locale], { nonEmpty: true }));
+  }
+
+  const packs = c.object("contentPacks", data.contentPacks) ? data.contentPacks : {};
+  Object.keys(packs).forEach((name) => {
+    const path = `contentPacks.${name}`;
+    if (!c.list(path, packs[name])) return;
+    packs[name].forEach((item, i) => {
+      if (!c.object(`${path}[${i}]`, item)) return;
+      c.text(`${path}[${i}].img`, item.img, { nonEmpty: true });
+      c.text(`${path}[${i}].caption`, item.caption);
+    });
+  });
+  const hasPack = (path, name) => {
+    if (!c.text(path, name)) return;
+    if (!Array.isArray(packs[name])) c.fail(path, `il pacchetto "${name}" non esiste in contentPacks`);
+  };
+
+  const interests = c.object("interests", data.interests) ? data.interests : {};
+  const interestKeys = Object.keys(interests);
+  if (isObject(data.interests) && !interestKeys.length) c.fail("interests", "serve almeno un interesse");
+  interestKeys.forEach((key) => {
+    const path = `interests.${key}`;
+    if (!c.object(path, interests[key])) return;
+    hasPack(`${path}.pack`, interests[key].pack);
+    c.text(`${path}.label`, interests[key].label, { optional: true });
+    if (interests[key].overlays !== undefined) c.texts(`${path}.overlays`, interests[key].overlays);
+  });
+  const hasInterest = (path, key) => {
+    if (!c.text(path, key)) return;
+    if (!interestKeys.includes(key)) c.fail(path, `l'interesse "${key}" non esiste in interests`);
+  };
+  if (data.avatarPack !== undefined) hasPack("avatarPack", data.avatarPack);
+  if (data.reelInterest !== undefined) hasInterest("reelInterest", data.reelInterest);
+
+  if (c.list("reels", data.reels)) {
+    data.reels.forEach((r, i) => {
+      if (!c.object(`reels[${i}]`, r)) return;
+      c.text(`reels[${i}].id`, r.id, { nonEmpty: true });
+      c.text(`reels[${i}].caption`, r.caption);
+      c.text(`reels[${i}].type`, r.type, { optional: true });
+    });
+  }
+
+  c.texts("usernames", data.usernames);
+  c.texts("typingUsers", data.typingUsers);
+  c.texts("watchers", data.watchers);
+  c.texts("autoReplies", data.autoReplies);
+  if (c.object("comments", data.comments)) {
+    c.texts("comments.post", data.comments.post);
+    c.texts("comments.reel", data.comments.reel);
+  }
+
+  if (c.list("fomoMessages", data.fomoMessages)) {
+    data.fomoMessages.forEach((m, i) => {
+      if (isText(m)) return;
+      if (!c.object(`fomoMessages[${i}]`, m)) return;
+      c.text(`fomoMessages[${i}].text`, m.text, { nonEmpty: true });
+      c.range(`fomoMessages[${i}].count`, m.count, { optional: true });
+    });
+  }
+
+  if (c.object("clickbait", data.clickbait, { optional: true })) {
+    if (c.list("clickbait.interests", data.clickbait.interests, { min: 0 })) {
+      data.clickbait.interests.forEach((k, i) => hasInterest(`clickbait.interests[${i}]`, k));
+    }
+    if (data.clickbait.captions !== undefined) c.texts("clickbait.captions", data.clickbait.captions);
+  }
+  if (c.object("ads", data.ads)) c.texts("ads.captions", data.ads.captions);
+
+  if (c.list("initialFeed", data.initialFeed)) {
+    data.initialFeed.forEach((p, i) => {
+      const path = `initialFeed[${i}]`;
+      if (!c.object(path, p)) return;
+      c.bool(`${path}.reel`, p.reel);
+      c.bool(`${path}.ad`, p.ad);
+      if (!p.ad) c.text(`${path}.user`, p.user, { nonEmpty: true });
+      if (!p.reel) hasInterest(`${path}.interest`, p.interest);
+      c.text(`${path}.caption`, p.caption, { optional: true });
+    });
+  }
+
+  // Checked before the stories and the DMs, which may link to these pages
+  const pageIds = [];
+  if (c.object("phishing", data.phishing, { optional: true }) && c.list("phishing.pages", data.phishing.pages)) {
+    c.uniqueIds("phishing.pages", data.phishing.pages);
+    data.phishing.pages.forEach((page, i) => {
+      const path = `phishing.pages[${i}]`;
+      if (!c.object(path, page)) return;
+      ["id", "domain", "looksLike", "brand", "title", "button"].forEach((k) => c.text(`${path}.${k}`, page[k], { nonEmpty: true }));
+      c.text(`${path}.path`, page.path, { optional: true });
+      c.text(`${path}.text`, page.text);
+      if (c.list(`${path}.fields`, page.fields)) {
+        page.fields.forEach((f, j) => {
+          if (!PHISHING_FIELDS.includes(f)) c.fail(`${path}.fields[${j}]`, `deve essere uno tra ${PHISHING_FIELDS.map((x) => `"${x}"`).join(", ")}`);
+        });
+      }
+      if (isText(page.id)) pageIds.push(page.id);
+    });
+    if (data.phishing.ad !== undefined && !pageIds.includes(data.phishing.ad)) c.fail("phishing.ad", `"${data.phishing.ad}" non è una delle phishing.pages`);
+  }
+
+  if (c.list("stories", data.stories, { min: 0 })) {
+    c.uniqueIds("stories", data.stories);
+    data.stories.forEach((s, i) => {
+      const path = `stories[${i}]`;
+      if (!c.object(path, s)) return;
+      c.text(`${path}.id`, s.id, { nonEmpty: true });
+      c.text(`${path}.user`, s.user, { nonEmpty: true });
+      c.text(`${path}.avatar`, s.avatar, { nonEmpty: true });
+      if (!c.list(`${path}.slides`, s.slides)) return;
+      s.slides.forEach((sl, j) => {
+        const sp = `${path}.slides[${j}]`;
+        if (!c.object(sp, sl)) return;
+        if (sl.img !== undefined) c.text(`${sp}.img`, sl.img, { nonEmpty: true });
+        else hasInterest(`${sp}.interest`, sl.interest);
+        c.text(`${sp}.text`, sl.text);
+        c.bool(`${sp}.closeFriends`, sl.closeFriends);
+        const stickers = STORY_STICKERS.filter((k) => sl[k] !== undefined);
+        if (stickers.length > 1) c.fail(sp, `al massimo uno tra ${STORY_STICKERS.join(", ")} (qui: ${stickers.join(", ")})`);
+        if (c.object(`${sp}.poll`, sl.poll, { optional: true })) {
+          c.text(`${sp}.poll.a`, sl.poll.a, { nonEmpty: true });
+          c.text(`${sp}.poll.b`, sl.poll.b, { nonEmpty: true });
+        }
+        if (c.object(`${sp}.question`, sl.question, { optional: true })) c.text(`${sp}.question.prompt`, sl.question.prompt, { nonEmpty: true });
+        if (c.object(`${sp}.countdown`, sl.countdown, { optional: true })) {
+          c.text(`${sp}.countdown.title`, sl.countdown.title, { nonEmpty: true });
+          if (c.number(`${sp}.countdown.hours`, sl.countdown.hours) && sl.countdown.hours <= 0) c.fail(`${sp}.countdown.hours`, "deve essere maggiore di 0");
+        }
+        if (c.object(`${sp}.link`, sl.link, { optional: true })) {
+          c.text(`${sp}.link.label`, sl.link.label, { nonEmpty: true });
+          if (sl.link.page !== undefined && !pageIds.includes(sl.link.page)) c.fail(`${sp}.link.page`, `"${sl.link.page}" non è una delle phishing.pages`);
+        }
+      });
+    });
+  }
+
+  if (c.list("friendRequests", data.friendRequests, { min: 0 })) {
+    c.uniqueIds("friendRequests", data.friendRequests);
+    data.friendRequests.forEach((r, i) => {
+      const path = `friendRequests[${i}]`;
+      if (!c.object(path, r)) return;
+      ["id", "user", "avatar"].forEach((k) => c.text(`${path}.${k}`, r[k], { nonEmpty: true }));
+      c.text(`${path}.bio`, r.bio);
+      ["followers", "following", "posts", "mutualFriends"].forEach((k) => c.number(`${path}.${k}`, r[k]));
+      c.bool(`${path}.suspicious`, r.suspicious);
+      c.texts(`${path}.flags`, r.flags, { min: 0 });
+    });
+  }
+
+  if (c.list("dms", data.dms, { min: 0 })) {
+    c.uniqueIds("dms", data.dms);
+    data.dms.forEach((dm, i) => {
+      const path = `dms[${i}]`;
+      if (!c.object(path, dm)) return;
+      ["id", "user", "avatar"].forEach((k) => c.text(`${path}.${k}`, dm[k], { nonEmpty: true }));
+      c.text(`${path}.preview`, dm.preview);
+      ["scam", "teenSafety", "rare"].forEach((k) => c.bool(`${path}.${k}`, dm[k]));
+      if (!c.list(`${path}.messages`, dm.messages)) return;
+      dm.messages.forEach((m, j) => {
+        const mp = `${path}.messages[${j}]`;
+        if (!c.object(mp, m)) return;
+        if (m.from !== "them" && m.from !== "me") c.fail(`${mp}.from`, `deve essere "them" o "me"`);
+        c.text(`${mp}.text`, m.text);
+        c.text(`${mp}.time`, m.time);
+        if (m.link !== undefined && !pageIds.includes(m.link)) c.fail(`${mp}.link`, `"${m.link}" non è una delle phishing.pages`);
+      });
+    });
+  }
+
+  // `grooming` replaced `escalation`; packs written before it still play the old greeting + question
+  if (data.grooming !== undefined || data.escalation === undefined) {
+    if (c.object("grooming", data.grooming) && c.object("grooming.stages", data.grooming.stages)) {
+      GROOMING_STAGES.forEach((id) => {
+        const path = `grooming.stages.${id}`;
+        if (!c.object(path, data.grooming.stages[id])) return;
+        c.texts(`${path}.says`, data.grooming.stages[id].says);
+        c.texts(`${path}.comply`, data.grooming.stages[id].comply);
+        c.bool(`${path}.numbers`, data.grooming.stages[id].numbers);
+      });
+      ["pressure", "refuse", "tellAdult", "giveUp", "completed"].forEach((k) => c.texts(`grooming.${k}`, data.grooming[k]));
+    }
+  } else if (c.object("escalation", data.escalation)) {
+    c.text("escalation.greeting", data.escalation.greeting);
+    c.texts("escalation.asks", data.escalation.asks);
+  }
+
+  if (c.list("quickReplies", data.quickReplies, { optional: true, min: 0 })) {
+    c.uniqueIds("quickReplies", data.quickReplies);
+    data.quickReplies.forEach((q, i) => {
+      const path = `quickReplies[${i}]`;
+      if (!c.object(path, q)) return;
+      ["id", "text", "why"].forEach((k) => c.text(`${path}.${k}`, q[k], { nonEmpty: true }));
+      if (typeof q.safe !== "boolean") c.fail(`${path}.safe`, "deve essere true o false");
+      if (q.intent !== undefined && !REPLY_INTENTS.includes(q.intent)) {
+        c.fail(`${path}.intent`, `deve essere uno tra ${REPLY_INTENTS.map((x) => `"${x}"`).join(", ")}`);
+      }
+      if (!c.list(`${path}.when`, q.when)) return;
+      q.when.forEach((w, j) => {
+        if (!QUICK_REPLY_CONTEXTS.includes(w)) c.fail(`${path}.when[${j}]`, `deve essere uno tra ${QUICK_REPLY_CONTEXTS.map((x) => `"${x}"`).join(", ")}`);
+      });
+    });
+  }
+
+  if (c.list("notifications", data.notifications)) {
+    data.notifications.forEach((n, i) => {
+      const path = `notifications[${i}]`;
+      if (!c.object(path, n)) return;
+      c.text(`${path}.text`, n.text, { nonEmpty: true });
+      c.bool(`${path}.hasContent`, n.hasContent);
+      c.number(`${path}.mood`, n.mood);
+      c.bool(`${path}.rare`, n.rare);
+      c.range(`${path}.count`, n.count, { optional: true });
+      if (n.action !== undefined && !NOTIFICATION_ACTIONS.includes(n.action)) {
+        c.fail(`${path}.action`, `deve essere uno tra ${NOTIFICATION_ACTIONS.map((a) => `"${a}"`).join(", ")}`);
+      }
+    });
+    if (data.notifications.every((n) => isObject(n) && n.rare)) c.fail("notifications", "serve almeno una notifica non rara");
+  }
+
+  if (c.list("exitBait", data.exitBait)) {
+    data.exitBait.forEach((e, i) => {
+      if (!c.object(`exitBait[${i}]`, e)) return;
+      c.text(`exitBait[${i}].icon`, e.icon);
+      c.text(`exitBait[${i}].text`, e.text, { nonEmpty: true });
+      c.range(`exitBait[${i}].count`, e.count, { optional: true });
+    });
+  }
+
+  return errors;
+}
+
+// Derived lookups used by the simulation (image pools per interest, avatar pool)
+export function prepareScenario(data, source = DEFAULT_SCENARIO) {
+  const interestKeys = Object.keys(data.interests);
+  const images = {};
+  interestKeys.forEach((key) => { images[key] = data.contentPacks[data.interests[key].pack].map((p) => p.img); });
+  const avatarPack = data.avatarPack || data.interests[interestKeys[0]].pack;
+  return {
+    ...data,
+    source,
+    interestKeys,
+    images,
+    avatars: data.contentPacks[avatarPack].map((p) => p.img),
+    reelInterest: data.reelInterest || interestKeys[0],
+    clickbait: { interests: [], ...data.clickbait },
+  };
+}
+
+// What the UI calls an interest key (the key itself if the pack gives no label)
+export function interestLabel(scenario, key) {
+  return (scenario.interests[key] && scenario.interests[key].label) || key;
+}
+
+async function fetchScenario(url) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-cache" });
+  } catch (e) {
+    throw new ScenarioError(`Impossibile scaricare lo scenario da ${url}`, { code: "fetch", params: { url }, errors: [e.message || String(e)] });
+  }
+  if (!res.ok) {
+    throw new ScenarioError(`Scenario non trovato: ${url} (HTTP ${res.status})`, { code: "notFound", params: { url, status: res.status } });
+  }
+  let data;
+  try {
+    data = JSON.parse(await res.text());
+  } catch (e) {
+    throw new ScenarioError(`Lo scenario ${url} non è un file JSON valido`, { code: "json", params: { url }, errors: [e.message || String(e)] });
+  }
+  const errors = validateScenario(data);
+  if (errors.length) {
+    throw new ScenarioError(`Lo scenario ${url} contiene ${errors.length} errore/i`, { code: "invalid", params: { url, count: errors.length }, errors });
+  }
+  return data;
+}
+
+// The translated copy must keep the same interests, or seeds and class results would not line up
+function checkTranslation(base, localized, url) {
+  const keys = Object.keys(base.interests).join(",");
+  if (Object.keys(localized.interests).join(",") === keys) return;
+  const errors = [`interests: deve avere gli stessi interessi dello scenario di partenza (${keys})`];
+  throw new ScenarioError(`Lo scenario ${url} contiene 1 errore/i`, { code: "invalid", params: { url, count: 1 }, errors });
+}
+
+export async function loadScenario(source = DEFAULT_SCENARIO, locale) {
+  const url = scenarioUrl(source);
+  const data = await fetchScenario(url);
+  const variant = locale && locale !== data.language && data.locales ? data.locales[locale] : undefined;
+  if (!variant) return prepareScenario(data, source);
+  // Relative paths in `locales` are resolved against the base file
+  const variantUrl = new URL(variant, new URL(url, window.location.href)).href;
+  const localized = await fetchScenario(variantUrl);
+  checkTranslation(data, localized, variantUrl);
+  return prepareScenario({ ...localized, language: locale, locales: data.locales }, source);
+}
+
+// public/scenarios/index.json lists the scenarios offered on the intro screen (optional)
+export async function loadScenarioIndex() {
+  try {
+    const res = await fetch(`${import.meta.env.BASE_URL}scenarios/index.json`, { cache: "no-cache" });
+    if (!res.ok) return [];
+    const data = await res.json();
+    return Array.isArray(data.scenarios) ? data.scenarios.filter((s) => isObject(s) && NAME_RE.test(s.id || "")) : [];
+  } catch (e) {
+    return [];
+  }
+}
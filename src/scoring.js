@@ -0,0 +1,39 @@
+import { clamp } from "./utils.js";
+
+/**
+ * Manipulation score: each component turns one counter into points and is
+ * capped on its own, then the total is capped at 100.
+ *
+ * units(stats) -> how many "steps" were taken; points = min(units * perUnit, cap)
+ *
+ * A negative perUnit rewards a defence instead: its cap is the floor, so
+ * points = max(units * perUnit, cap).
+ */
+export const SCORE_COMPONENTS = [
+  { id: "notificationClicks", perUnit: 3, cap: 15, units: (s) => s.notificationClicks },
+  { id: "emptyNotificationClicks", perUnit: 9, cap: 28, units: (s) => s.emptyNotificationClicks },
+  { id: "timeSpent", perUnit: 2, cap: 20, units: (s) => Math.floor(s.timeSpent / 15) },
+  { id: "scrollDistance", perUnit: 2, cap: 15, units: (s) => Math.floor(s.scrollDistance / 650) },
+  { id: "suspiciousAccepted", perUnit: 14, cap: 30, units: (s) => s.suspiciousAccepted },
+  { id: "sharedClickbait", perUnit: 12, cap: 24, units: (s) => s.sharedClickbait },
+  { id: "adsClicked", perUnit: 8, cap: 20, units: (s) => s.adsClicked },
+  { id: "profileVisits", perUnit: 2, cap: 10, units: (s) => s.profileVisits },
+  { id: "storiesPollClicks", perUnit: 2, cap: 10, units: (s) => s.storiesPollClicks },
+  { id: "harmfulReported", perUnit: -6, cap: -18, units: (s) => s.harmfulReported },
+  { id: "unsafeReplies", perUnit: 6, cap: 18, units: (s) => s.unsafeReplies },
+  { id: "safeReplies", perUnit: -3, cap: -9, units: (s) => s.safeReplies },
+];
+
+export function scoreBreakdown(stats) {
+  const components = SCORE_COMPONENTS.map((c) => {
+    const units = Math.max(0, c.units(stats) || 0);
+    const points = c.perUnit < 0 ? Math.max(units * c.perUnit, c.cap) || 0 : Math.min(units * c.perUnit, c.cap); // || 0: never -0
+    return { id: c.id, units, perUnit: c.perUnit, cap: c.cap, points };
+  });
+  const raw = components.reduce((acc, c) => acc + c.points, 0);
+  return { components, raw, total: clamp(raw, 0, 100) };
+}
+
+export function calculateManipulationScore(stats) {
+  return scoreBreakdown(stats).total;
+}
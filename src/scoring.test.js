@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { SCORE_COMPONENTS, calculateManipulationScore, scoreBreakdown } from "./scoring.js";
+
+const ZERO = {
+  notificationClicks: 0,
+  emptyNotificationClicks: 0,
+  timeSpent: 0,
+  scrollDistance: 0,
+  suspiciousAccepted: 0,
+  sharedClickbait: 0,
+  adsClicked: 0,
+  profileVisits: 0,
+  storiesPollClicks: 0,
+  harmfulReported: 0,
+  unsafeReplies: 0,
+  safeReplies: 0,
+};
+
+const points = (stats, id) => scoreBreakdown({ ...ZERO, ...stats }).components.find((c) => c.id === id).points;
+
+describe("scoreBreakdown", () => {
+  it("gives 0 to a run where nothing happened", () => {
+    const b = scoreBreakdown(ZERO);
+    expect(b.total).toBe(0);
+    expect(b.components.every((c) => c.points === 0)).toBe(true);
+  });
+
+  it("has one component per counter, in SCORE_COMPONENTS order", () => {
+    expect(scoreBreakdown(ZERO).components.map((c) => c.id)).toEqual(SCORE_COMPONENTS.map((c) => c.id));
+  });
+
+  it("caps every component on its own", () => {
+    const huge = Object.fromEntries(Object.keys(ZERO).map((k) => [k, 1e6]));
+    scoreBreakdown(huge).components.forEach((c) => {
+      const spec = SCORE_COMPONENTS.find((s) => s.id === c.id);
+      expect(c.points).toBe(spec.cap);
+    });
+  });
+
+  it("counts empty notification clicks 9 points each up to 28", () => {
+    expect(points({ emptyNotificationClicks: 1 }, "emptyNotificationClicks")).toBe(9);
+    expect(points({ emptyNotificationClicks: 3 }, "emptyNotificationClicks")).toBe(27);
+    expect(points({ emptyNotificationClicks: 4 }, "emptyNotificationClicks")).toBe(28);
+    expect(points({ emptyNotificationClicks: 40 }, "emptyNotificationClicks")).toBe(28);
+  });
+
+  it("only counts whole steps of time and scroll", () => {
+    expect(points({ timeSpent: 14 }, "timeSpent")).toBe(0);
+    expect(points({ timeSpent: 29 }, "timeSpent")).toBe(2);
+    expect(points({ timeSpent: 30 }, "timeSpent")).toBe(4);
+    expect(points({ scrollDistance: 649 }, "scrollDistance")).toBe(0);
+    expect(points({ scrollDistance: 1300 }, "scrollDistance")).toBe(4);
+  });
+
+  it("takes 6 points off per dangerous account reported, down to -18, never below a total of 0", () => {
+    expect(points({ harmfulReported: 1 }, "harmfulReported")).toBe(-6);
+    expect(points({ harmfulReported: 5 }, "harmfulReported")).toBe(-18);
+    expect(scoreBreakdown({ ...ZERO, adsClicked: 2, harmfulReported: 1 }).total).toBe(10);
+    expect(scoreBreakdown({ ...ZERO, harmfulReported: 2 }).total).toBe(0);
+  });
+
+  it("scores the risky and the safe replies chosen in the DMs apart", () => {
+    expect(points({ unsafeReplies: 2 }, "unsafeReplies")).toBe(12);
+    expect(points({ unsafeReplies: 9 }, "unsafeReplies")).toBe(18);
+    expect(points({ safeReplies: 2 }, "safeReplies")).toBe(-6);
+    expect(points({ safeReplies: 9 }, "safeReplies")).toBe(-9);
+    expect(scoreBreakdown({ ...ZERO, unsafeReplies: 1, safeReplies: 1 }).total).toBe(3);
+  });
+
+  it("ignores negative and missing counters", () => {
+    const b = scoreBreakdown({ notificationClicks: -5, adsClicked: undefined });
+    expect(b.total).toBe(0);
+    expect(b.components.every((c) => c.units >= 0 && c.points >= 0)).toBe(true);
+  });
+
+  it("caps the total at 100 but keeps the raw sum", () => {
+    const huge = Object.fromEntries(Object.keys(ZERO).map((k) => [k, 1e6]));
+    const b = scoreBreakdown(huge);
+    expect(b.raw).toBe(SCORE_COMPONENTS.reduce((acc, c) => acc + c.cap, 0));
+    expect(b.raw).toBeGreaterThan(100);
+    expect(b.total).toBe(100);
+  });
+
+  it("stays within 0..100 whatever the counters", () => {
+    for (let n = 0; n <= 60; n += 3) {
+      const stats = { ...ZERO, notificationClicks: n, emptyNotificationClicks: n % 5, timeSpent: n * 20, suspiciousAccepted: n % 3, sharedClickbait: n % 4 };
+      const total = calculateManipulationScore(stats);
+      expect(total).toBeGreaterThanOrEqual(0);
+      expect(total).toBeLessThanOrEqual(100);
+      expect(total).toBe(scoreBreakdown(stats).total);
+    }
+  });
+});
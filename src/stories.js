@@ -0,0 +1,26 @@
+/**
+ * Story slides and their stickers (`stories` in a scenario, see
+ * docs/scenario-format.md). A slide carries at most one sticker; each one
+ * used, and each tap, hold and skip, is something the app learns about the
+ * player: the engine feeds them to the interest model (STORY_SIGNALS) and
+ * counts them for the reveal screen (state.storyStats).
+ */
+export const STORY_STICKERS = ["poll", "question", "countdown", "link"];
+
+export const SLIDE_TICKS = 30; // engine.js TICK_MS steps per slide: 3 s
+
+// What using a sticker, or tapping past a slide, tells the interest model about the slide's interest
+export const STORY_SIGNALS = { poll: "like", question: "comment", countdown: "save", link: "like", forward: "skip" };
+
+// The gestures counted for the reveal screen, in the order it lists them
+export const STORY_STATS = ["poll", "question", "countdown", "link", "closeFriends", "forward", "back", "holds"];
+
+export function stickerOf(slide) {
+  return STORY_STICKERS.find((k) => slide[k]) || null;
+}
+
+// A countdown sticker's time left, as "hh:mm:ss", `elapsed` seconds into the run
+export function countdownLeft(hours, elapsed) {
+  const left = Math.max(0, Math.round(hours * 3600) - elapsed);
+  return [Math.floor(left / 3600), Math.floor((left % 3600) / 60), left % 60].map((n) => String(n).padStart(2, "0")).join(":");
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { countdownLeft, stickerOf } from "./stories.js";
+
+describe("stickerOf", () => {
+  it("names the sticker on a slide, if any", () => {
+    expect(stickerOf({ text: "x", countdown: { title: "t", hours: 1 } })).toBe("countdown");
+    expect(stickerOf({ text: "x", closeFriends: true })).toBeNull();
+  });
+});
+
+describe("countdownLeft", () => {
+  it("counts down from the sticker's hours and stops at zero", () => {
+    expect(countdownLeft(3, 0)).toBe("03:00:00");
+    expect(countdownLeft(2, 3725)).toBe("00:57:55");
+    expect(countdownLeft(1, 4000)).toBe("00:00:00");
+  });
+});
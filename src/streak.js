@@ -0,0 +1,59 @@
+/**
+ * The streak: consecutive days with at least STREAK_DAY_MS of play in a run,
+ * kept on the device like the other settings (one record, no history).
+ *
+ * A day that counts keeps the streak alive until midnight of the next day;
+ * after that it starts again from zero. Days are local calendar days. The
+ * engine only reads the record and hands back the extended one
+ * (state.streakRecord), ScrollTrap.jsx saves it.
+ */
+const STORAGE_KEY = "scrolltrap.streak";
+
+export const STREAK_DAY_MS = 2 * 60 * 1000; // play needed in a run for today to count
+export const STREAK_WARNING_MS = 12 * 60 * 60 * 1000; // this close to its deadline, leaving puts the streak at risk
+export const NO_STREAK = { count: 0, lastDay: null };
+
+// "2025-01-13" for the local day that contains `ms`
+export function dayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function endOfDay(ms, daysAfter = 0) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + daysAfter + 1).getTime();
+}
+
+/**
+ * The streak as seen at `ms`: `count` days in a row (0 once lost), whether
+ * today already counts and the deadline, when the streak is lost without
+ * another day of play.
+ */
+export function streakAt(record, ms) {
+  const today = dayKey(ms);
+  const yesterday = dayKey(endOfDay(ms, -2));
+  if (record.lastDay === today) return { count: record.count, securedToday: true, deadline: endOfDay(ms, 1) };
+  const alive = record.lastDay === yesterday;
+  return { count: alive ? record.count : 0, securedToday: false, deadline: endOfDay(ms) };
+}
+
+// The record once the day that contains `ms` counts
+export function extendStreak(record, ms) {
+  const current = streakAt(record, ms);
+  if (current.securedToday) return record;
+  return { count: current.count + 1, lastDay: dayKey(ms) };
+}
+
+export function loadStreak() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && Number.isInteger(saved.count) && saved.count >= 0 && typeof saved.lastDay === "string") return saved;
+  } catch (e) {}
+  return NO_STREAK;
+}
+
+export function saveStreak(record) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (e) {}
+}
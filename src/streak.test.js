@@ -0,0 +1,33 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { NO_STREAK, dayKey, extendStreak, loadStreak, saveStreak, streakAt } from "./streak.js";
+
+// Local times, so the calendar days do not depend on the time zone of the machine
+const at = (day, hour = 10) => new Date(2025, 0, day, hour).getTime();
+
+describe("streak", () => {
+  afterEach(() => window.localStorage.clear());
+
+  it("stays alive until the end of the day after the last one that counted", () => {
+    const record = { count: 3, lastDay: dayKey(at(12)) };
+    expect(streakAt(record, at(12, 23))).toEqual({ count: 3, securedToday: true, deadline: at(14, 0) });
+    expect(streakAt(record, at(13))).toEqual({ count: 3, securedToday: false, deadline: at(14, 0) });
+    expect(streakAt(record, at(14, 0))).toMatchObject({ count: 0, securedToday: false });
+  });
+
+  it("adds one day at most per day and starts again from one once lost", () => {
+    const record = { count: 3, lastDay: dayKey(at(12)) };
+    const extended = extendStreak(record, at(13));
+    expect(extended).toEqual({ count: 4, lastDay: dayKey(at(13)) });
+    expect(extendStreak(extended, at(13, 18))).toBe(extended);
+    expect(extendStreak(record, at(20))).toEqual({ count: 1, lastDay: dayKey(at(20)) });
+    expect(extendStreak(NO_STREAK, at(20))).toEqual({ count: 1, lastDay: dayKey(at(20)) });
+  });
+
+  it("saves the record on the device and ignores anything unreadable", () => {
+    expect(loadStreak()).toEqual(NO_STREAK);
+    saveStreak({ count: 5, lastDay: "2025-01-13" });
+    expect(loadStreak()).toEqual({ count: 5, lastDay: "2025-01-13" });
+    window.localStorage.setItem("scrolltrap.streak", "{not json");
+    expect(loadStreak()).toEqual(NO_STREAK);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Service worker: after the first visit the whole simulation (app shell,
+ * scenario packs and, in local media mode, the photos and clips under
+ * public/media/) is served from the cache, so a workshop keeps going on a
+ * flaky or missing connection.
+ *
+ * Built by vite-plugin-pwa (injectManifest): self.__WB_MANIFEST is replaced
+ * with the list of files to pre-cache, see vite.config.js. A new build waits
+ * until the page accepts the update prompt (UpdatePrompt.jsx).
+ */
+import { cacheNames, clientsClaim } from "workbox-core";
+import { cleanupOutdatedCaches, createHandlerBoundToURL, matchPrecache, precacheAndRoute } from "workbox-precaching";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+import { createPartialResponse } from "workbox-range-requests";
+import { ExpirationPlugin } from "workbox-expiration";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+clientsClaim();
+cleanupOutdatedCaches();
+
+// <video> asks for byte ranges, and Safari refuses to play a whole-file answer:
+// serve pre-cached clips in slices. Registered before the pre-cache route so it wins.
+registerRoute(
+  ({ request, url }) => request.headers.has("range") && url.pathname.includes("/media/reels/"),
+  async ({ request }) => {
+    const cached = await matchPrecache(request.url);
+    if (!cached) return fetch(request);
+    return createPartialResponse(request, cached);
+  },
+);
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Any page URL opens the app (classroom links carry ?class=, ?seed=… on /); the classroom API stays online-only
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html"), { denylist: [/^\/api\//] }));
+
+// Remote media mode: keep what was already seen, so a dropped connection mid-session shows photos instead of fallbacks.
+// Photos are cross-origin <img> loads (opaque responses), hence the small cap.
+registerRoute(
+  ({ url }) => url.origin === "https://images.unsplash.com" || url.origin === "https://img.youtube.com",
+  new CacheFirst({
+    cacheName: `${cacheNames.prefix}-remote-images`,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 150, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  }),
+);
@@ -0,0 +1,36 @@
+import defaultScenario from "../../public/scenarios/default.json";
+import { prepareScenario } from "../scenario.js";
+import { createTranslator } from "../i18n.js";
+import { TICK_MS, createEngine } from "../engine.js";
+
+// Shared by the test files: the default scenario pack and a run on a fake clock
+export const scenario = prepareScenario(defaultScenario);
+export const t = createTranslator("it");
+
+export const START = Date.UTC(2025, 0, 13, 9, 0, 0);
+export const EVENING = new Date(2025, 0, 13, 21, 0, 0).getTime(); // local time: a streak not saved today is at risk
+
+// start: the clock when the run begins; advance(ms) moves the clock in TICK_MS steps, like the view's interval;
+// until(test) advances until test(state) holds or `limit` ms have passed
+export function startRun({ seed = "TESTRUN", estimatedTime = null, intensity, switches, mode, streak, onSound, start = START } = {}) {
+  let clock = start;
+  const engine = createEngine({ scenario, seed, handle: "tester", estimatedTime, t, intensity, switches, mode, streak, now: () => clock, onSound });
+  engine.start();
+  const advance = (ms) => {
+    const target = clock + ms;
+    while (clock < target) {
+      clock = Math.min(clock + TICK_MS, target);
+      engine.tick();
+    }
+    return engine.getState();
+  };
+  const until = (test, limit = 10 * 60 * 1000) => {
+    const deadline = clock + limit;
+    while (!test(engine.getState())) {
+      if (clock >= deadline) throw new Error(`Condition not met within ${limit} ms`);
+      advance(TICK_MS);
+    }
+    return engine.getState();
+  };
+  return { engine, advance, until, dispatch: (action) => engine.dispatch(action), state: () => engine.getState() };
+}
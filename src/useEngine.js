@@ -0,0 +1,19 @@
+import { useCallback, useEffect, useSyncExternalStore } from "react";
+import { TICK_MS } from "./engine.js";
+
+// React binding for engine.js: the current state (null without an engine), and
+// the clock that drives the engine's timers while a run is being played.
+export default function useEngine(engine) {
+  const subscribe = useCallback((listener) => (engine ? engine.subscribe(listener) : () => {}), [engine]);
+  const getSnapshot = useCallback(() => (engine ? engine.getState() : null), [engine]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+  const playing = Boolean(state && state.phase === "playing");
+
+  useEffect(() => {
+    if (!engine || !playing) return;
+    const timer = setInterval(() => engine.tick(), TICK_MS);
+    return () => clearInterval(timer);
+  }, [engine, playing]);
+
+  return state;
+}
@@ -0,0 +1,9 @@
+export function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+export function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${String(secs).padStart(2, "0")}`;
+}
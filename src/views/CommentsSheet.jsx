@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n.js";
+import useDialog from "./useDialog.js";
+
+export default function CommentsSheet({ post, onClose, onSubmit }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const dialog = useDialog(t("game.comments.title"), onClose);
+  const submit = () => {
+    if (!text.trim()) return;
+    onSubmit(text);
+    setText("");
+  };
+  return (
+    <div {...dialog} style={{ position: "fixed", bottom: 0, left: 0, right: 0, height: "62vh", background: "#0a0a0a", borderRadius: "18px 18px 0 0", zIndex: 145, display: "flex", flexDirection: "column", borderTop: "1px solid #1c1c1e" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center" }}>
+        <div style={{ flex: 1, textAlign: "center", fontWeight: 1000 }}>{t("game.comments.title")}</div>
+        <button onClick={onClose} aria-label={t("a11y.close")} style={{ background: "transparent", border: "none", color: "#6b7280", fontSize: 22, cursor: "pointer" }}>✕</button>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto", padding: 14 }}>
+        {(post.commentsList || []).map((c, i) => (
+          <div key={i} style={{ display: "flex", gap: 10, marginBottom: 16 }}>
+            <div style={{ width: 34, height: 34, borderRadius: "50%", background: c.isMe ? "linear-gradient(135deg,#667eea,#764ba2)" : "#1c1c1e", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 14 }} aria-hidden="true">{c.isMe ? "👤" : "🙂"}</div>
+            <div style={{ flex: 1 }}><div style={{ fontSize: 13, lineHeight: 1.4 }}><span style={{ fontWeight: 1000, color: c.isMe ? "#a78bfa" : "#fff" }}>{c.user}</span> <span style={{ color: "#d1d5db" }}>{c.text}</span></div><div style={{ fontSize: 11, color: "#6b7280", marginTop: 4 }}>{t(c.isMe ? "time.now" : "time.2h")} • ❤️ {c.isMe ? 0 : c.likes || 0}</div></div>
+          </div>
+        ))}
+      </div>
+      <div style={{ padding: 14, borderTop: "1px solid #1c1c1e", display: "flex", gap: 10, alignItems: "center" }}>
+        <div style={{ width: 32, height: 32, borderRadius: "50%", background: "linear-gradient(135deg,#667eea,#764ba2)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 12 }} aria-hidden="true">👤</div>
+        <input 
+          type="text" 
+          aria-label={t("game.comments.placeholder")}
+          placeholder={t("game.comments.placeholder")}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && submit()}
+          style={{ flex: 1, padding: "10px 14px", borderRadius: 999, border: "1px solid #333", background: "#111", color: "#fff", outline: "none", fontSize: 14 }} 
+        />
+        <button onClick={submit} disabled={!text.trim()} style={{ background: "transparent", border: "none", color: text.trim() ? "#0095f6" : "#333", fontWeight: 900, cursor: text.trim() ? "pointer" : "not-allowed", fontSize: 14 }}>{t("game.comments.publish")}</button>
+      </div>
+    </div>
+  );
+}
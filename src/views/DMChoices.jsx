@@ -0,0 +1,28 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+
+// The quick replies the player sent in the DMs (state.dmChoices), each with why it was safe or risky
+export default function DMChoices({ choices }) {
+  const { t } = useI18n();
+  if (!choices.length) return null;
+  const safe = choices.filter((c) => c.safe).length;
+  return (
+    <section aria-labelledby="dm-choices-title" style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="dm-choices-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.dmChoices.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 8 }}>{t("reveal.dmChoices.intro")}</div>
+      <div style={{ fontWeight: 1000, fontSize: 13, marginBottom: 12 }}>
+        {t.rich("reveal.dmChoices.summary", { safe, unsafe: choices.length - safe }, { safe: (x) => <span style={{ color: "#64ffda" }}>{x}</span>, unsafe: (x) => <span style={{ color: "#ff6b6b" }}>{x}</span> })}
+      </div>
+      {choices.map((c, i) => (
+        <div key={i} style={{ padding: "10px 0", borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 10, fontSize: 12, fontWeight: 900 }}>
+            <span style={{ color: c.safe ? "#64ffda" : "#ff6b6b" }}>{t(c.safe ? "reveal.dmChoices.safe" : "reveal.dmChoices.unsafe")}</span>
+            <span style={{ color: "#6b7280" }}>{t("reveal.dmChoices.to", { user: c.user })}</span>
+          </div>
+          <div style={{ display: "inline-block", marginTop: 6, padding: "8px 12px", borderRadius: 16, background: "linear-gradient(135deg,#667eea,#764ba2)", fontSize: 14 }}>{c.text}</div>
+          <div style={{ marginTop: 6, color: "#d1d5db", fontSize: 13, lineHeight: 1.5 }}>{c.why}</div>
+        </div>
+      ))}
+    </section>
+  );
+}
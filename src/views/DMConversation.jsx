@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n.js";
+import SafeImg from "./SafeImg.jsx";
+import useDialog from "./useDialog.js";
+import SafetyMenu from "./SafetyMenu.jsx";
+
+// restricted: the player restricted this account; safetyDone / onSafety: see SafetyMenu;
+// quickReplies: the suggested replies for this chat (engine.js selectQuickReplies), sent by id with onQuickReply;
+// a message's `url` is a scam link, opened in the app with onOpenLink(its page id)
+export default function DMConversation({ dm, restricted, safetyDone, onSafety, quickReplies = [], onQuickReply, onOpenLink, onBack, onSend, altPhoto }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const dialog = useDialog(dm.user, onBack);
+  const send = () => {
+    if (!text.trim()) return;
+    onSend(text);
+    setText("");
+  };
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "#000", zIndex: 160, display: "flex", flexDirection: "column" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={onBack} aria-label={t("a11y.back")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 22, cursor: "pointer" }}>←</button>
+        <SafeImg src={dm.avatar} alt="" style={{ width: 40, height: 40, borderRadius: "50%", objectFit: "cover" }} getAltSrc={altPhoto(null, 220)} />
+        <div style={{ flex: 1 }}><div style={{ fontWeight: 1000, fontSize: 14 }}>{dm.user}</div><div style={{ fontSize: 12, color: "#6b7280" }}>{t("game.dm.activeNow")}</div></div>
+        <SafetyMenu user={dm.user} done={safetyDone} onAction={onSafety} />
+      </div>
+      {restricted && <div style={{ padding: "10px 14px", background: "rgba(255,255,255,0.04)", borderBottom: "1px solid #1c1c1e", color: "#9ca3af", fontSize: 12, lineHeight: 1.45 }}>{t("game.safety.restrictedBanner", { user: dm.user })}</div>}
+      <div role="log" style={{ flex: 1, padding: 16, overflowY: "auto" }}>
+        {dm.messages.map((msg, i) => (
+          <div key={i} style={{ display: "flex", justifyContent: msg.from === "me" ? "flex-end" : "flex-start" }}>
+            <div style={{ maxWidth: "78%", marginBottom: 10, padding: "12px 14px", borderRadius: 18, background: msg.from === "me" ? "linear-gradient(135deg,#667eea,#764ba2)" : "#1c1c1e" }}>
+              <div style={{ fontSize: 14, lineHeight: 1.45 }}>{msg.text}</div>
+              {msg.url && <button onClick={() => onOpenLink(msg.link)} style={{ display: "block", marginTop: 6, padding: 0, background: "transparent", border: "none", color: "#4da3ff", textDecoration: "underline", fontSize: 14, textAlign: "left", wordBreak: "break-all", cursor: "pointer" }}>{msg.url}</button>}
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.55)", marginTop: 6 }}>{msg.time}</div>
+            </div>
+          </div>
+        ))}
+        <div style={{ display: "flex", justifyContent: "flex-start" }}><div style={{ background: "#1c1c1e", padding: "10px 12px", borderRadius: 18, color: "#6b7280" }}>{t("game.dm.typing")}</div></div>
+      </div>
+      {quickReplies.length > 0 && (
+        <div role="group" aria-label={t("game.dm.quickReplies")} style={{ padding: "10px 14px 0", display: "flex", gap: 8, overflowX: "auto", borderTop: "1px solid #1c1c1e" }}>
+          {quickReplies.map((q) => (
+            <button key={q.id} onClick={() => onQuickReply(q.id)} style={{ flexShrink: 0, padding: "8px 12px", borderRadius: 999, border: "1px solid #333", background: "#111", color: "#fff", fontSize: 13, fontWeight: 700, cursor: "pointer" }}>{q.text}</button>
+          ))}
+        </div>
+      )}
+      <div style={{ padding: 14, borderTop: quickReplies.length > 0 ? "none" : "1px solid #1c1c1e", display: "flex", gap: 10 }}>
+        <input 
+          type="text" 
+          aria-label={t("game.dm.placeholder")}
+          placeholder={t("game.dm.placeholder")}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && send()}
+          style={{ flex: 1, padding: "12px 14px", borderRadius: 999, border: "1px solid #333", background: "#111", color: "#fff", outline: "none" }} 
+        />
+        <button onClick={send} disabled={!text.trim()} style={{ padding: "12px 16px", borderRadius: 999, border: "none", background: text.trim() ? "linear-gradient(135deg,#667eea,#764ba2)" : "#333", color: "#fff", fontWeight: 1000, cursor: text.trim() ? "pointer" : "not-allowed", opacity: text.trim() ? 1 : 0.5 }}>{t("game.dm.send")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import SafeImg from "./SafeImg.jsx";
+import { pressable } from "./a11y.js";
+import useDialog from "./useDialog.js";
+
+// restrictedUsers: their chats stay, without the preview of the last message
+export default function DMInbox({ dms, handle, restrictedUsers, onOpen, onClose, altPhoto }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("game.dm.title"), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "#000", zIndex: 150, display: "flex", flexDirection: "column" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={onClose} aria-label={t("a11y.back")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 22, cursor: "pointer" }}>←</button>
+        <div style={{ fontWeight: 1000 }}>{t("game.dm.title")}</div>
+        <div style={{ marginLeft: "auto", color: "#6b7280", fontSize: 12 }}>@{handle}</div>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto" }}>
+        {dms.map((dm) => (
+          <div key={dm.id} {...pressable(() => onOpen(dm))} style={{ padding: 14, display: "flex", gap: 12, alignItems: "center", borderBottom: "1px solid #111", cursor: "pointer" }}>
+            <SafeImg src={dm.avatar} alt="" style={{ width: 46, height: 46, borderRadius: "50%", objectFit: "cover" }} getAltSrc={altPhoto(null, 220)} />
+            <div style={{ flex: 1 }}><div style={{ fontWeight: 1000, fontSize: 14 }}>{dm.user}</div><div style={{ color: "#9ca3af", fontSize: 12, marginTop: 2 }}>{restrictedUsers.includes(dm.user) ? t("game.safety.restrictedPreview") : dm.preview}</div></div>
+            <div style={{ color: "#6b7280", fontSize: 12 }} aria-hidden="true">›</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import useDialog from "./useDialog.js";
+
+// Exit friction: one last reason to stay before the session ends
+export default function ExitModal({ content, onStay, onLeave }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("game.exitModal.wait"), onStay);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.85)", zIndex: 200, display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+      <div style={{ background: "#1c1c1e", borderRadius: 20, padding: 24, maxWidth: 340, width: "100%", textAlign: "center" }}>
+        <div style={{ fontSize: 48, marginBottom: 16 }}>{content.icon}</div>
+        <div style={{ fontSize: 16, fontWeight: 900, marginBottom: 8 }}>{t("game.exitModal.wait")}</div>
+        <div style={{ color: "#d1d5db", fontSize: 14, marginBottom: 20, lineHeight: 1.5 }}>{content.text}</div>
+        <div style={{ display: "flex", gap: 12, flexDirection: "column" }}>
+          <button onClick={onStay} style={{ padding: "14px 20px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#667eea,#764ba2)", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{t("game.exitModal.stay")}</button>
+          <button onClick={onLeave} style={{ padding: "14px 20px", borderRadius: 12, border: "1px solid #333", background: "transparent", color: "#6b7280", fontWeight: 700, cursor: "pointer", fontSize: 14 }}>{t("game.exitModal.leave")}</button>
+        </div>
+        <div style={{ marginTop: 16, fontSize: 11, color: "#4b5563" }}>{t("game.exitModal.unread", { count: content.unread })}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useMemo, useState } from "react";
+import { useI18n } from "../i18n.js";
+import { DEFAULT_SCENARIO } from "../scenario.js";
+import { DEFAULT_INTENSITY } from "../intensity.js";
+import { SWITCHES, allSwitchesOn, switchesToParam } from "../facilitator.js";
+
+// Intro screen section shown with ?facilitator: one checkbox per technique and a link that opens the same setup
+export default function FacilitatorPanel({ switches, setSwitches, seed, scenarioId, intensity }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const link = useMemo(() => {
+    const params = new URLSearchParams();
+    if (seed) params.set("seed", seed);
+    if (scenarioId && scenarioId !== DEFAULT_SCENARIO) params.set("scenario", scenarioId);
+    if (intensity !== DEFAULT_INTENSITY && intensity !== "custom") params.set("intensity", intensity);
+    const off = switchesToParam(switches);
+    if (off) params.set("off", off);
+    const query = params.toString();
+    return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ""}`;
+  }, [switches, seed, scenarioId, intensity]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      prompt(t("facilitator.copyPrompt"), link);
+    }
+  };
+
+  return (
+    <section aria-labelledby="facilitator-title" style={{ background: "rgba(100,255,218,0.05)", border: "1px solid rgba(100,255,218,0.22)", borderRadius: 18, padding: 16, marginBottom: 16, textAlign: "left" }}>
+      <div id="facilitator-title" style={{ color: "#64ffda", fontSize: 14, fontWeight: 900, marginBottom: 6 }}>{t("facilitator.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 12, lineHeight: 1.5, marginBottom: 10 }}>{t("facilitator.intro")}</div>
+      {SWITCHES.map((id) => (
+        <label key={id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "7px 0", borderTop: "1px solid rgba(255,255,255,0.06)", fontSize: 13, color: switches[id] ? "#cbd5e1" : "#6b7280", cursor: "pointer" }}>
+          <input type="checkbox" checked={switches[id]} onChange={(e) => setSwitches({ ...switches, [id]: e.target.checked })} style={{ width: 18, height: 18, accentColor: "#64ffda" }} />
+          <span style={{ textDecoration: switches[id] ? "none" : "line-through" }}>{t(`facilitator.switches.${id}`)}</span>
+        </label>
+      ))}
+      <button onClick={() => setSwitches(allSwitchesOn())} style={{ marginTop: 8, background: "transparent", border: "1px solid rgba(255,255,255,0.12)", color: "#9ca3af", padding: "6px 10px", borderRadius: 10, cursor: "pointer", fontWeight: 700, fontSize: 12 }}>{t("facilitator.allOn")}</button>
+      <div style={{ color: "#6b7280", fontSize: 12, margin: "14px 0 6px" }}>{t("facilitator.link")}</div>
+      <div style={{ background: "rgba(0,0,0,0.35)", borderRadius: 12, padding: "10px 12px", fontSize: 12, color: "#cbd5e1", wordBreak: "break-all" }}>{link}</div>
+      <button onClick={copyLink} style={{ marginTop: 8, padding: "8px 14px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#64ffda,#48dbfb)", color: "#000", fontWeight: 900, cursor: "pointer" }}>{copied ? t("facilitator.copied") : t("facilitator.copyLink")}</button>
+    </section>
+  );
+}
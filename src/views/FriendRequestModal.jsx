@@ -0,0 +1,36 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import SafeImg from "./SafeImg.jsx";
+import useDialog from "./useDialog.js";
+import SafetyMenu from "./SafetyMenu.jsx";
+
+export default function FriendRequestModal({ request, safetyDone, onSafety, onAnswer, altPhoto }) {
+  const { t } = useI18n();
+  // Escape is "ignore", never "accept"
+  const dialog = useDialog(t("a11y.friendRequest", { user: request.user }), () => onAnswer(false));
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.88)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 125, padding: 18 }}>
+      <div style={{ width: "100%", maxWidth: 400, background: "linear-gradient(135deg,#1c1c1e,#0a0a0a)", borderRadius: 24, padding: 24, position: "relative" }}>
+        <div style={{ position: "absolute", top: 12, right: 12 }}><SafetyMenu user={request.user} done={safetyDone} onAction={onSafety} /></div>
+        <div style={{ textAlign: "center", marginBottom: 16 }}>
+          <SafeImg src={request.avatar} alt={request.user} style={{ width: 92, height: 92, borderRadius: "50%", objectFit: "cover", border: "4px solid #333", marginBottom: 10 }} getAltSrc={altPhoto(null, 220)} />
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>{request.user}</div>
+          <div style={{ color: "#9ca3af", fontSize: 13, marginTop: 4 }}>{request.bio}</div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "center", gap: 26, marginBottom: 12 }}>
+          <div style={{ textAlign: "center" }}><div style={{ fontSize: 18, fontWeight: 1000 }}>{request.posts}</div><div style={{ fontSize: 11, color: "#6b7280" }}>{t("game.friendRequest.posts")}</div></div>
+          <div style={{ textAlign: "center" }}><div style={{ fontSize: 18, fontWeight: 1000 }}>{t.number(request.followers)}</div><div style={{ fontSize: 11, color: "#6b7280" }}>{t("game.friendRequest.followers")}</div></div>
+          <div style={{ textAlign: "center" }}><div style={{ fontSize: 18, fontWeight: 1000 }}>{request.following}</div><div style={{ fontSize: 11, color: "#6b7280" }}>{t("game.friendRequest.following")}</div></div>
+        </div>
+        <div style={{ textAlign: "center", marginBottom: 14 }}>
+          {request.mutualFriends > 0 ? <div style={{ display: "inline-block", padding: "8px 12px", borderRadius: 12, background: "rgba(100,255,218,0.10)", border: "1px solid rgba(100,255,218,0.22)", color: "#64ffda", fontSize: 12, fontWeight: 900 }}>{t("game.friendRequest.mutual", { count: request.mutualFriends })}</div> : <div style={{ display: "inline-block", padding: "8px 12px", borderRadius: 12, background: "rgba(255,107,107,0.10)", border: "1px solid rgba(255,107,107,0.22)", color: "#ff6b6b", fontSize: 12, fontWeight: 900 }}>{t("game.friendRequest.noMutual")}</div>}
+        </div>
+        <div style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 14, padding: 12, color: "#9ca3af", fontSize: 12, lineHeight: 1.5, marginBottom: 14 }}>{t("game.friendRequest.signals")} <span style={{ color: "#d1d5db", fontWeight: 900 }}>{request.flags.join(" • ")}</span></div>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button onClick={() => onAnswer(false)} style={{ flex: 1, padding: 14, borderRadius: 14, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#9ca3af", fontWeight: 900, cursor: "pointer" }}>{t("game.friendRequest.ignore")}</button>
+          <button onClick={() => onAnswer(true)} style={{ flex: 1, padding: 14, borderRadius: 14, border: "none", background: "linear-gradient(135deg,#667eea,#764ba2)", color: "#fff", fontWeight: 1000, cursor: "pointer" }}>{t("game.friendRequest.accept")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
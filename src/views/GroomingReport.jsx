@@ -0,0 +1,59 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { GROOMING_STAGES } from "../grooming.js";
+
+const STATUS_STYLES = {
+  complied: { icon: "🔴", color: "#ff6b6b" },
+  defused: { icon: "🛡️", color: "#64ffda" },
+  resisted: { icon: "🟡", color: "#feca57" },
+  notReached: { icon: "⚪", color: "#6b7280" },
+};
+const OUTCOME_COLORS = { defused: "#64ffda", completed: "#ff6b6b", open: "#feca57" };
+
+function stageStatus(thread, stage) {
+  if (thread.complied.includes(stage)) return "complied";
+  if (thread.outcome === "defused" && thread.stage === stage) return "defused";
+  return thread.reached.includes(stage) ? "resisted" : "notReached";
+}
+
+// The grooming chats of the run (engine.js selectGrooming), stage by stage: how far each one got,
+// what the player gave in to and where it was stopped, with what every stage is for
+export default function GroomingReport({ threads }) {
+  const { t } = useI18n();
+  if (!threads.length) return null;
+  return (
+    <section aria-labelledby="grooming-title" style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="grooming-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.grooming.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 14 }}>{t("reveal.grooming.intro")}</div>
+      {threads.map((thread) => {
+        const outcome = thread.outcome || "open";
+        return (
+          <div key={thread.dmId} style={{ marginBottom: 14, padding: 14, borderRadius: 14, background: "rgba(255,255,255,0.04)" }}>
+            <div style={{ fontWeight: 1000, fontSize: 15 }}>@{thread.user}</div>
+            <div style={{ marginTop: 4, marginBottom: 10, color: OUTCOME_COLORS[outcome], fontWeight: 900, fontSize: 13 }}>
+              {t(`reveal.grooming.outcome.${outcome}`, { how: thread.defusedBy && t(`reveal.grooming.how.${thread.defusedBy}`) })}
+            </div>
+            <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+              {GROOMING_STAGES.map((stage) => {
+                const status = stageStatus(thread, stage);
+                const { icon, color } = STATUS_STYLES[status];
+                return (
+                  <li key={stage} style={{ display: "flex", gap: 10, padding: "8px 0", borderTop: "1px solid rgba(255,255,255,0.06)", opacity: status === "notReached" ? 0.6 : 1 }}>
+                    <div aria-hidden="true" style={{ fontSize: 16, lineHeight: 1.3 }}>{icon}</div>
+                    <div>
+                      <div style={{ fontWeight: 900, fontSize: 14 }}>
+                        {t(`reveal.grooming.stages.${stage}.title`)} · <span style={{ color }}>{t(`reveal.grooming.status.${status}`)}</span>
+                      </div>
+                      <div style={{ marginTop: 2, color: "#d1d5db", fontSize: 13, lineHeight: 1.5 }}>{t(`reveal.grooming.stages.${stage}.explain`)}</div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        );
+      })}
+      <div style={{ color: "#d1d5db", fontSize: 13, lineHeight: 1.55, fontWeight: 800 }}>{t("reveal.grooming.tip")}</div>
+    </section>
+  );
+}
@@ -0,0 +1,112 @@
+import React from "react";
+import { normalizeSeed } from "../random.js";
+import { normalizeSessionCode } from "../classroom.js";
+import { LOCALES, useI18n } from "../i18n.js";
+import { LEVELS, PROFILES, TECHNIQUES } from "../intensity.js";
+import { switchedOff } from "../facilitator.js";
+import FacilitatorPanel from "./FacilitatorPanel.jsx";
+import RunHistory from "./RunHistory.jsx";
+
+// Account, expected duration, intensity, language, scenario, seed and class code, then "start"
+// (plus the facilitator panel with ?facilitator), and the past runs on this device
+export default function IntroScreen({
+  scenario, scenarios, onScenarioChange, myHandle,
+  accountName, setAccountName, estimatedTime, setEstimatedTime, intensity, setIntensity, customLevels, setCustomLevel, facilitator, switches, setSwitches, seedInput, setSeedInput, classCode, setClassCode,
+  soundEnabled, onToggleSound, reducedMotion, onToggleReducedMotion, unlockAudio, playPop, onStart, onShowPrivacy, onShowTeacher, history, onClearHistory,
+}) {
+  const { t, locale, setLocale } = useI18n();
+  const nameOk = myHandle.length > 0;
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "radial-gradient(ellipse at top, #111827 0%, #000 60%, #000 100%)", overflowY: "auto", WebkitOverflowScrolling: "touch", fontFamily: "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif", color: "#fff" }} onMouseDown={unlockAudio} onTouchStart={unlockAudio}>
+      <div style={{ minHeight: "100%", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-start", padding: "40px 20px 60px" }}>
+        <div style={{ width: "100%", maxWidth: 560, textAlign: "center" }}>
+        <div aria-hidden="true" style={{ fontSize: 76, marginBottom: 12 }}>📱</div>
+        <h1 style={{ fontWeight: 900, fontSize: 44, letterSpacing: -1.5, background: "linear-gradient(135deg, #ff3366 0%, #ff6b6b 35%, #feca57 70%, #48dbfb 100%)", WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent", marginBottom: 12 }}>SCROLL TRAP</h1>
+        <div style={{ color: "#cbd5e1", fontSize: 19, lineHeight: 1.4, marginBottom: 8, fontWeight: 600 }}>{t("intro.tagline")}</div>
+        <div style={{ color: "#9ca3af", fontSize: 15, lineHeight: 1.6, marginBottom: 18 }}>
+          {t.rich("intro.pitch", { exit: t("game.exit") }, { hl: (x) => <span style={{ color: "#64ffda", fontWeight: 700 }}>{x}</span> })}
+        </div>
+        <div style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 18, padding: 16, marginBottom: 12, textAlign: "left" }}>
+          <label htmlFor="intro-account" style={{ display: "block", fontSize: 13, color: "#cbd5e1", fontWeight: 700, marginBottom: 8 }}>{t("intro.accountLabel")}</label>
+          <input id="intro-account" value={accountName} onChange={(e) => setAccountName(e.target.value)} placeholder={t("intro.accountPlaceholder")} style={{ width: "100%", padding: "12px 14px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.12)", background: "rgba(0,0,0,0.35)", color: "#fff", outline: "none", fontSize: 14, boxSizing: "border-box" }} />
+          <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>{t("intro.preview")} <span style={{ color: "#fff", fontWeight: 700 }}>@{myHandle}</span></div>
+        </div>
+        <div style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 18, padding: 16, marginBottom: 16 }}>
+          <div id="intro-duration" style={{ color: "#cbd5e1", fontSize: 13, marginBottom: 10, fontWeight: 700 }}>{t("intro.durationLabel")}</div>
+          <div role="group" aria-labelledby="intro-duration" style={{ display: "flex", gap: 10, justifyContent: "center", flexWrap: "wrap" }}>
+            {[{ label: t("intro.seconds", { n: 30 }), value: 30 }, { label: t("intro.minutes", { n: 1 }), value: 60 }, { label: t("intro.minutes", { n: 2 }), value: 120 }, { label: t("intro.minutes", { n: 5 }), value: 300 }].map((opt) => {
+              const active = estimatedTime === opt.value;
+              return (<button key={opt.value} onClick={() => { unlockAudio(); setEstimatedTime(opt.value); playPop(); }} aria-pressed={active} style={{ padding: "12px 18px", borderRadius: 14, border: active ? "2px solid #ff3366" : "1px solid rgba(255,255,255,0.12)", background: active ? "rgba(255,51,102,0.14)" : "rgba(255,255,255,0.04)", color: active ? "#ff3366" : "#9ca3af", fontWeight: 800, cursor: "pointer" }}>{opt.label}</button>);
+            })}
+          </div>
+        </div>
+        <div style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 18, padding: 16, marginBottom: 16 }}>
+          <div id="intro-intensity" style={{ color: "#cbd5e1", fontSize: 13, marginBottom: 10, fontWeight: 700 }}>{t("intensity.label")}</div>
+          <div role="group" aria-labelledby="intro-intensity" style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+            {PROFILES.map((id) => {
+              const active = intensity === id;
+              return (<button key={id} onClick={() => { unlockAudio(); setIntensity(id); playPop(); }} aria-pressed={active} style={{ padding: "10px 14px", borderRadius: 14, border: active ? "2px solid #64ffda" : "1px solid rgba(255,255,255,0.12)", background: active ? "rgba(100,255,218,0.1)" : "rgba(255,255,255,0.04)", color: active ? "#64ffda" : "#9ca3af", fontWeight: 800, cursor: "pointer" }}>{t(`intensity.profiles.${id}`)}</button>);
+            })}
+          </div>
+          <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>{t(`intensity.descriptions.${intensity}`)}</div>
+          {intensity === "custom" && (
+            <div style={{ marginTop: 12, textAlign: "left" }}>
+              {Object.keys(TECHNIQUES).map((technique) => (
+                <div key={technique} role="group" aria-label={t(`intensity.techniques.${technique}`)} style={{ display: "flex", alignItems: "center", gap: 6, padding: "7px 0", borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+                  <div style={{ flex: 1, fontSize: 13, color: "#cbd5e1" }}>{t(`intensity.techniques.${technique}`)}</div>
+                  {LEVELS.map((level) => {
+                    const active = customLevels[technique] === level;
+                    return (<button key={level} onClick={() => setCustomLevel(technique, level)} aria-pressed={active} style={{ padding: "5px 9px", borderRadius: 10, border: active ? "1px solid #64ffda" : "1px solid rgba(255,255,255,0.12)", background: active ? "rgba(100,255,218,0.1)" : "transparent", color: active ? "#64ffda" : "#9ca3af", fontWeight: 700, fontSize: 12, cursor: "pointer" }}>{t(`intensity.levels.${level}`)}</button>);
+                  })}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        {facilitator ? (
+          <FacilitatorPanel switches={switches} setSwitches={setSwitches} seed={seedInput} scenarioId={scenario.source} intensity={intensity} />
+        ) : switchedOff(switches).length > 0 && (
+          <div style={{ marginBottom: 16, fontSize: 12, color: "#9ca3af" }}>{t("facilitator.off", { list: switchedOff(switches).map((id) => t(`facilitator.switches.${id}`)).join(", ") })}</div>
+        )}
+        <div style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 18, padding: 16, marginBottom: 16, textAlign: "left" }}>
+          <label htmlFor="intro-language" style={{ display: "block", fontSize: 13, color: "#cbd5e1", fontWeight: 700, marginBottom: 8 }}>{t("common.language")}</label>
+          <select id="intro-language" value={locale} onChange={(e) => setLocale(e.target.value)} style={{ width: "100%", padding: "12px 14px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.12)", background: "#0b0b0f", color: "#fff", outline: "none", fontSize: 14, boxSizing: "border-box" }}>
+            {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <div style={{ height: 14 }} />
+          {scenarios.length > 1 && (
+            <>
+              <label htmlFor="intro-scenario" style={{ display: "block", fontSize: 13, color: "#cbd5e1", fontWeight: 700, marginBottom: 8 }}>{t("intro.scenario")}</label>
+              <select id="intro-scenario" value={scenario.source} onChange={(e) => onScenarioChange(e.target.value)} style={{ width: "100%", padding: "12px 14px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.12)", background: "#0b0b0f", color: "#fff", outline: "none", fontSize: 14, boxSizing: "border-box" }}>
+                {!scenarios.some((sc) => sc.id === scenario.source) && <option value={scenario.source}>{scenario.title || scenario.source}</option>}
+                {scenarios.map((sc) => <option key={sc.id} value={sc.id}>{(sc.titles && sc.titles[locale]) || sc.title || sc.id}</option>)}
+              </select>
+              {scenario.description && <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>{scenario.description}</div>}
+              <div style={{ height: 14 }} />
+            </>
+          )}
+          <label htmlFor="intro-seed" style={{ display: "block", fontSize: 13, color: "#cbd5e1", fontWeight: 700, marginBottom: 8 }}>{t("intro.seedLabel")}</label>
+          <input id="intro-seed" value={seedInput} onChange={(e) => setSeedInput(normalizeSeed(e.target.value))} placeholder={t("intro.seedPlaceholder")} style={{ width: "100%", padding: "12px 14px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.12)", background: "rgba(0,0,0,0.35)", color: "#fff", outline: "none", fontSize: 14, boxSizing: "border-box", letterSpacing: 1 }} />
+          <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>{t("intro.seedHelp")}</div>
+          <label htmlFor="intro-class" style={{ display: "block", fontSize: 13, color: "#cbd5e1", fontWeight: 700, margin: "14px 0 8px" }}>{t("intro.classLabel")}</label>
+          <input id="intro-class" value={classCode} onChange={(e) => setClassCode(normalizeSessionCode(e.target.value))} placeholder={t("intro.classPlaceholder")} style={{ width: "100%", padding: "12px 14px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.12)", background: "rgba(0,0,0,0.35)", color: "#fff", outline: "none", fontSize: 14, boxSizing: "border-box", letterSpacing: 1 }} />
+          {classCode && <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>{t("intro.classHelp")}</div>}
+        </div>
+        <button disabled={!estimatedTime || !nameOk} onClick={() => { unlockAudio(); playPop(); onStart(); }} style={{ width: "100%", padding: "16px 18px", borderRadius: 999, border: "none", cursor: estimatedTime && nameOk ? "pointer" : "not-allowed", fontSize: 17, fontWeight: 900, color: estimatedTime && nameOk ? "#fff" : "#6b7280", background: estimatedTime && nameOk ? "linear-gradient(135deg, #ff3366 0%, #ff6b6b 55%, #feca57 100%)" : "rgba(255,255,255,0.08)", boxShadow: estimatedTime && nameOk ? "0 18px 55px rgba(255,51,102,0.32)" : "none" }}>{t("intro.start")}</button>
+        <div style={{ marginTop: 12, display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+          <button onClick={() => { unlockAudio(); onToggleSound(); playPop(); }} style={{ background: "transparent", border: "1px solid rgba(255,255,255,0.12)", color: "#9ca3af", padding: "8px 12px", borderRadius: 12, cursor: "pointer", fontWeight: 700, fontSize: 13 }}>{soundEnabled ? t("intro.audioOn") : t("intro.audioOff")}</button>
+          <button onClick={onToggleReducedMotion} style={{ background: "transparent", border: "1px solid rgba(255,255,255,0.12)", color: "#9ca3af", padding: "8px 12px", borderRadius: 12, cursor: "pointer", fontWeight: 700, fontSize: 13 }}>{reducedMotion ? t("intro.motionOff") : t("intro.motionOn")}</button>
+        </div>
+        <div style={{ marginTop: 10, color: "#6b7280", fontSize: 12 }}>{t("intro.audioNote")}</div>
+        {history.length > 0 && <div style={{ marginTop: 24 }}><RunHistory history={history} onClear={onClearHistory} /></div>}
+        <div style={{ marginTop: 24, paddingTop: 16, borderTop: "1px solid rgba(255,255,255,0.08)", textAlign: "center" }}>
+          <div style={{ color: "#4b5563", fontSize: 11, marginBottom: 6 }}>© Ernesto Belisario 2026</div>
+          <a href="#privacy" onClick={(e) => { e.preventDefault(); onShowPrivacy(); }} style={{ color: "#6b7280", fontSize: 11, textDecoration: "underline", cursor: "pointer" }}>{t("intro.privacyLink")}</a>
+          <span style={{ color: "#374151", fontSize: 11, margin: "0 8px" }}>•</span>
+          <a href="?teacher" onClick={(e) => { e.preventDefault(); onShowTeacher(); }} style={{ color: "#6b7280", fontSize: 11, textDecoration: "underline", cursor: "pointer" }}>{t("intro.teacherLink")}</a>
+        </div>
+      </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { pressable } from "./a11y.js";
+import useDialog from "./useDialog.js";
+
+export default function NotificationsInbox({ notifications, handle, onOpen, onClose }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("game.inbox.title"), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "#000", zIndex: 150, display: "flex", flexDirection: "column" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={onClose} aria-label={t("a11y.back")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 22, cursor: "pointer" }}>←</button>
+        <div style={{ fontWeight: 1000 }}>{t("game.inbox.title")}</div>
+        <div style={{ marginLeft: "auto", color: "#6b7280", fontSize: 12 }}>@{handle}</div>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto" }}>
+        {notifications.length === 0 ? <div style={{ padding: 16, color: "#6b7280" }}>{t("game.inbox.empty")}</div> : notifications.map((n) => (
+          <div key={n.id} {...pressable(() => onOpen(n))} style={{ padding: 14, display: "flex", gap: 12, alignItems: "center", borderBottom: "1px solid #111", cursor: "pointer" }}>
+            <div style={{ width: 38, height: 38, borderRadius: 12, background: "linear-gradient(135deg,#667eea,#764ba2)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 18 }} aria-hidden="true">🔔</div>
+            <div style={{ flex: 1 }}><div style={{ fontWeight: 900, fontSize: 13 }}>{n.text}</div><div style={{ color: "#6b7280", fontSize: 11, marginTop: 3 }}>{t("game.inbox.tapToOpen")}</div></div>
+            <div style={{ color: "#6b7280", fontSize: 12 }} aria-hidden="true">›</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n.js";
+import { phishingUrl } from "../phishing.js";
+import useDialog from "./useDialog.js";
+
+const INPUT_TYPES = { username: "text", password: "password", email: "email", phone: "tel" };
+
+// A scam link's landing page, inside the app and marked as a simulation. What is typed stays in this
+// component: onSubmit / onClose only get the names of the fields filled in. submitted: the page was sent,
+// show what that would have meant
+export default function PhishingPage({ page, submitted, onSubmit, onClose }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState({});
+  const filled = page.fields.filter((f) => (values[f] || "").trim());
+  const close = () => onClose(filled);
+  const dialog = useDialog(page.title, close);
+  const send = (e) => {
+    e.preventDefault();
+    onSubmit(filled);
+    setValues({});
+  };
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "#f3f4f6", color: "#111", zIndex: 200, display: "flex", flexDirection: "column" }}>
+      <div role="note" style={{ padding: "10px 14px", background: "repeating-linear-gradient(135deg,#feca57 0 14px,#fdd77a 14px 28px)", color: "#000", fontSize: 12, fontWeight: 900, lineHeight: 1.4 }}>{t("game.phishing.sandbox")}</div>
+      <div style={{ padding: "10px 14px", background: "#e5e7eb", display: "flex", alignItems: "center", gap: 10 }}>
+        <div style={{ flex: 1, minWidth: 0, padding: "8px 12px", borderRadius: 999, background: "#fff", fontSize: 13, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>🔒 {phishingUrl(page)}</div>
+        <button onClick={close} aria-label={t("game.phishing.close")} style={{ background: "transparent", border: "none", fontSize: 20, cursor: "pointer", color: "#111" }}>✕</button>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto", padding: 24, display: "flex", justifyContent: "center" }}>
+        {submitted ? (
+          <div style={{ maxWidth: 360, width: "100%", textAlign: "center" }}>
+            <div style={{ fontSize: 48, marginBottom: 12 }}>🎣</div>
+            <div style={{ fontSize: 20, fontWeight: 900, marginBottom: 10 }}>{t("game.phishing.caughtTitle")}</div>
+            <div style={{ fontSize: 14, lineHeight: 1.5, marginBottom: 18 }}>{t("game.phishing.caughtText", { site: page.looksLike })}</div>
+            <button onClick={close} style={{ width: "100%", padding: "14px 20px", borderRadius: 12, border: "none", background: "#111", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{t("game.phishing.back")}</button>
+          </div>
+        ) : (
+          <form onSubmit={send} noValidate autoComplete="off" style={{ maxWidth: 360, width: "100%" }}>
+            <div style={{ fontSize: 22, fontWeight: 900, marginBottom: 6 }}>{page.brand}</div>
+            <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 8 }}>{page.title}</div>
+            <div style={{ fontSize: 14, lineHeight: 1.5, color: "#374151", marginBottom: 18 }}>{page.text}</div>
+            {page.fields.map((f) => (
+              <label key={f} style={{ display: "block", marginBottom: 12, fontSize: 13, fontWeight: 700 }}>
+                {t(`game.phishing.fields.${f}`)}
+                <input
+                  type={INPUT_TYPES[f]}
+                  autoComplete={f === "password" ? "new-password" : "off"}
+                  value={values[f] || ""}
+                  onChange={(e) => setValues((v) => ({ ...v, [f]: e.target.value }))}
+                  style={{ display: "block", width: "100%", boxSizing: "border-box", marginTop: 4, padding: "12px 14px", borderRadius: 10, border: "1px solid #d1d5db", background: "#fff", color: "#111", fontSize: 15 }}
+                />
+              </label>
+            ))}
+            <button type="submit" style={{ width: "100%", marginTop: 6, padding: "14px 20px", borderRadius: 12, border: "none", background: "#0095f6", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{page.button}</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { splitDomain } from "../phishing.js";
+
+const TIPS = ["readRight", "lookalike", "lock", "typeIt"];
+
+// The fake pages the player opened (state.phishingVisits), each with its address taken apart: the part that
+// decides where the browser goes is highlighted. pages: scenario.phishing.pages
+export default function PhishingReport({ visits, pages = [] }) {
+  const { t } = useI18n();
+  if (!visits.length) return null;
+  const label = (f) => t(`game.phishing.fields.${f}`);
+  return (
+    <section aria-labelledby="phishing-title" style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="phishing-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.phishing.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 8 }}>{t("reveal.phishing.intro")}</div>
+      {visits.map((v, i) => {
+        const page = pages.find((p) => p.id === v.page);
+        if (!page) return null;
+        const { sub, site } = splitDomain(page.domain);
+        const fields = v.filled.map(label).join(", ");
+        return (
+          <div key={i} style={{ padding: "10px 0", borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+            <div style={{ fontSize: 12, fontWeight: 900, color: "#6b7280" }}>{t(`reveal.phishing.via.${v.via}`, { user: v.user })}</div>
+            <div style={{ marginTop: 6, padding: "8px 12px", borderRadius: 10, background: "#111", fontFamily: "monospace", fontSize: 13, wordBreak: "break-all" }}>
+              <span style={{ color: "#6b7280" }}>https://</span>
+              <span style={{ color: "#9ca3af" }}>{sub}</span>
+              <mark style={{ background: "rgba(255,107,107,0.2)", color: "#ff6b6b", fontWeight: 900, borderRadius: 4, padding: "0 2px" }}>{site}</mark>
+              <span style={{ color: "#6b7280" }}>{page.path || ""}</span>
+            </div>
+            <div style={{ marginTop: 6, color: "#d1d5db", fontSize: 13, lineHeight: 1.5 }}>{t.rich("reveal.phishing.looked", { looksLike: page.looksLike, site }, { b: (x) => <b style={{ color: "#ff6b6b" }}>{x}</b> })}</div>
+            <div style={{ marginTop: 4, fontSize: 13, fontWeight: 900, color: v.filled.length ? "#ff6b6b" : "#64ffda" }}>
+              {v.submitted && v.filled.length ? t("reveal.phishing.submitted", { fields }) : v.filled.length ? t("reveal.phishing.filledOnly", { fields }) : t("reveal.phishing.nothing")}
+            </div>
+          </div>
+        );
+      })}
+      <ul style={{ margin: "8px 0 0", paddingLeft: 18, color: "#d1d5db", fontSize: 13, lineHeight: 1.6 }}>
+        {TIPS.map((k) => <li key={k}>{t(`reveal.phishing.tips.${k}`)}</li>)}
+      </ul>
+    </section>
+  );
+}
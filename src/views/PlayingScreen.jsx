@@ -0,0 +1,318 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n.js";
+import { interestLabel } from "../scenario.js";
+import { findPost, isBlocked, selectFeedEnd, selectQuickReplies, selectSafetyActions } from "../engine.js";
+import { STREAK_DAY_MS } from "../streak.js";
+import useDwellTracker from "./useDwellTracker.js";
+import { isDialogOpen } from "./useDialog.js";
+import { pressable, srOnly } from "./a11y.js";
+import SafeImg from "./SafeImg.jsx";
+import PostCard from "./PostCard.jsx";
+import NotificationsInbox from "./NotificationsInbox.jsx";
+import FriendRequestModal from "./FriendRequestModal.jsx";
+import DMInbox from "./DMInbox.jsx";
+import DMConversation from "./DMConversation.jsx";
+import StoryViewer from "./StoryViewer.jsx";
+import ProfileModal from "./ProfileModal.jsx";
+import CommentsSheet from "./CommentsSheet.jsx";
+import PostInspector from "./PostInspector.jsx";
+import ExitModal from "./ExitModal.jsx";
+import StreakPrompt from "./StreakPrompt.jsx";
+import SafetyFeedback from "./SafetyFeedback.jsx";
+import PhishingPage from "./PhishingPage.jsx";
+import ReelsTab from "./ReelsTab.jsx";
+import ShortcutsHelp from "./ShortcutsHelp.jsx";
+
+const HEADER_HEIGHT = 60;
+
+// The simulated social app. Everything it shows is engine state; every tap is an engine action.
+export default function PlayingScreen({ engine, state, scenario, soundEnabled, onToggleSound, reducedMotion, unlockAudio, playPop }) {
+  const { t } = useI18n();
+  const { dispatch } = engine;
+  const feedRef = useRef(null);
+  const [activeVideoId, setActiveVideoId] = useState(null); // only one reel plays at a time
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [shortcutsHintFocused, setShortcutsHintFocused] = useState(false);
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region
+  const {
+    handle, myAvatar, streak, likesReceived, activePosts, isLoadingMore, likedPosts, savedPosts, heartPostId,
+    showNotificationPopup, activeNotification, currentTyping, storyList, notificationsLog, showNotificationsInbox,
+    showFriendRequest, currentFriendRequest, dmInbox, showDMInbox, showDM, showStory, storyProgress,
+    showProfile, currentProfile, showComments, showExitModal, exitModalContent, streakSecured, showStreakPrompt,
+    liveViewers, liveLikeAnimations, friendsWatching, urgentStory, mode, restrictedUsers, safetyFeedback, phishingPage,
+    showReels, reelsFeed, reelIndex,
+  } = state;
+  const blocked = isBlocked(state);
+  const currentDM = dmInbox.find((dm) => dm.id === state.currentDMId);
+  const currentStory = storyList.find((st) => st.id === state.currentStoryId);
+  const commentsPost = findPost(state, state.commentsPostId);
+  const inspectedPost = findPost(state, state.inspectedPostId);
+  const algoReasonPost = findPost(state, state.algoReasonPostId);
+  const feedEnd = selectFeedEnd(state);
+  const safety = (via) => (action) => dispatch({ type: "safetyAction", action, via });
+
+  // Another photo of the same kind when one does not load (null category: an avatar)
+  const altPhoto = useCallback((category, width) => () => engine.alternatePhoto(category, width), [engine]);
+
+  const handleScroll = useCallback((e) => {
+    const el = e.target;
+    dispatch({ type: "scroll", scrollTop: el.scrollTop, nearEnd: el.scrollHeight - el.scrollTop - el.clientHeight < 420 });
+  }, [dispatch]);
+
+  // The feed stays under the Reels tab: what it has on screen meanwhile is not being looked at
+  useDwellTracker(feedRef, !showReels, activePosts, (postId, seconds, scrolledPast) => dispatch({ type: "postLeft", postId, seconds, scrolledPast }));
+
+  // What appears on screen by itself is also announced to screen readers
+  const notifShownId = showNotificationPopup && activeNotification && !blocked ? activeNotification.id : null;
+  useEffect(() => {
+    if (notifShownId) setAnnouncement(t("a11y.notification", { text: activeNotification.text }));
+  }, [notifShownId]);
+  useEffect(() => {
+    if (currentTyping && !blocked) setAnnouncement(t("game.typing", { user: currentTyping }));
+  }, [currentTyping]);
+  const urgentStoryId = urgentStory ? urgentStory.id : null;
+  useEffect(() => {
+    if (urgentStory) setAnnouncement(`${t("game.urgentStory.title")} ${t("game.urgentStory.expires", { user: urgentStory.user, n: urgentStory.expiresIn })}`);
+  }, [urgentStoryId]);
+
+  // Keyboard: J/K next/previous post (or reel, in the Reels tab), L like, N notifications, M messages, E exit, ? help (see ShortcutsHelp)
+  useEffect(() => {
+    // The focused post, else the first one not hidden under the header
+    const currentPost = (posts) => {
+      const feed = feedRef.current;
+      const focused = document.activeElement && document.activeElement.closest ? document.activeElement.closest("[data-post-id]") : null;
+      if (focused && posts.includes(focused)) return { index: posts.indexOf(focused), focused: true };
+      const index = posts.findIndex((el) => el.offsetTop + el.offsetHeight > feed.scrollTop + HEADER_HEIGHT);
+      return { index: Math.max(index, 0), focused: false };
+    };
+    const goTo = (el) => {
+      feedRef.current.scrollTo({ top: el.offsetTop - HEADER_HEIGHT, behavior: reducedMotion ? "auto" : "smooth" });
+      el.focus({ preventScroll: true });
+    };
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isDialogOpen()) return;
+      const key = e.key.toLowerCase();
+      const posts = feedRef.current ? Array.from(feedRef.current.querySelectorAll("[data-post-id]")) : [];
+      if (showReels && (key === "j" || key === "k" || key === "l")) {
+        if (key !== "l") dispatch({ type: "swipeReel", index: reelIndex + (key === "j" ? 1 : -1) });
+      } else if (key === "j" || key === "k") {
+        if (!posts.length) return;
+        const { index, focused } = currentPost(posts);
+        const step = focused ? (key === "j" ? 1 : -1) : 0;
+        goTo(posts[Math.min(Math.max(index + step, 0), posts.length - 1)]);
+      } else if (key === "l") {
+        if (!posts.length) return;
+        dispatch({ type: "like", postId: Number(posts[currentPost(posts).index].dataset.postId) });
+      } else if (key === "n") dispatch({ type: "openNotificationsInbox" });
+      else if (key === "m") dispatch({ type: "openDMInbox" });
+      else if (key === "e") dispatch({ type: "requestExit" });
+      else if (key === "?") setShowShortcuts(true);
+      else return;
+      e.preventDefault();
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, [dispatch, reducedMotion, showReels, reelIndex]);
+
+  return (
+    <div style={{ height: "100vh", background: "#000", color: "#fff", fontFamily: "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif", position: "relative", overflow: "hidden" }} onMouseDown={unlockAudio} onTouchStart={unlockAudio}>
+      {/* HEADER */}
+      {/* SHORTCUTS: first stop of the Tab key, visible only while focused */}
+      <button onClick={() => setShowShortcuts(true)} onFocus={() => setShortcutsHintFocused(true)} onBlur={() => setShortcutsHintFocused(false)} aria-keyshortcuts="?" style={shortcutsHintFocused ? { position: "fixed", top: 8, left: "50%", transform: "translateX(-50%)", zIndex: 90, padding: "10px 16px", borderRadius: 999, border: "2px solid #64ffda", background: "#0a0a0a", color: "#fff", fontWeight: 900, fontSize: 13, cursor: "pointer" } : srOnly}>{t("a11y.shortcuts.title")} (?)</button>
+
+      <div style={{ position: "fixed", top: 0, left: 0, right: 0, height: HEADER_HEIGHT, background: "rgba(0,0,0,0.96)", borderBottom: "1px solid rgba(255,255,255,0.08)", display: "flex", alignItems: "center", justifyContent: "space-between", padding: "0 14px", zIndex: 50, backdropFilter: "blur(10px)" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <span aria-hidden="true" style={{ fontSize: 22, background: "linear-gradient(45deg,#f09433,#e6683c,#dc2743,#cc2366,#bc1888)", WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent", fontWeight: 900 }}>⬡</span>
+          <span style={{ fontWeight: 900, letterSpacing: -0.5, fontSize: 19 }}>socialgram</span>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+          <button onClick={() => { unlockAudio(); onToggleSound(); playPop(); }} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 20, opacity: 0.85, cursor: "pointer" }} title={t("game.header.audio")} aria-label={t("game.header.audio")} aria-pressed={soundEnabled}>{soundEnabled ? "🔊" : "🔇"}</button>
+          <button onClick={() => dispatch({ type: "openNotificationsInbox" })} style={{ background: "transparent", border: "none", color: "#fff", cursor: "pointer" }} title={t("game.header.notifications")} aria-label={t("game.header.notifications")} aria-keyshortcuts="N"><span aria-hidden="true" style={{ fontSize: 22 }}>🔔</span></button>
+          <div style={{ padding: "6px 12px", borderRadius: 999, fontSize: 12, fontWeight: 900, color: "#000", background: "linear-gradient(135deg,#ff6b6b,#feca57)" }} title={t("game.header.streak")} role="img" aria-label={t(streakSecured ? "a11y.streak" : "a11y.streakAtRisk", { n: streak })}>🔥 {streak}{!streakSecured && <span aria-hidden="true"> ⏳</span>}</div>
+          <button onClick={() => dispatch({ type: "openDMInbox" })} style={{ background: "transparent", border: "none", color: "#fff", cursor: "pointer" }} title={t("game.header.dm")} aria-label={t("game.header.dm")} aria-keyshortcuts="M"><span aria-hidden="true" style={{ fontSize: 22 }}>💬</span></button>
+          <div style={{ position: "relative" }} title={t("game.header.likes")} role="img" aria-label={t("a11y.likesReceived", { n: likesReceived })}>
+            <span style={{ fontSize: 22 }}>❤️</span>
+            {likesReceived > 0 && <span style={{ position: "absolute", top: -7, right: -10, background: "#ff3366", color: "#fff", fontSize: 11, fontWeight: 900, padding: "2px 6px", borderRadius: 999 }}>+{likesReceived}</span>}
+          </div>
+        </div>
+      </div>
+
+      {/* NOTIFICATION POPUP */}
+      {showNotificationPopup && activeNotification && !blocked && (
+        <div {...pressable(() => dispatch({ type: "notificationClick", id: activeNotification.id }))} style={{ position: "fixed", top: 70, left: 12, right: 12, background: "rgba(28,28,30,0.98)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 16, padding: "14px 16px", zIndex: 80, cursor: "pointer", boxShadow: "0 12px 40px rgba(0,0,0,0.55)", display: "flex", gap: 12, alignItems: "center" }}>
+          <div style={{ width: 44, height: 44, borderRadius: 12, background: "linear-gradient(135deg,#667eea,#764ba2)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 20 }} aria-hidden="true">📱</div>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: 14, fontWeight: 800 }}>{activeNotification.text}</div>
+            <div style={{ fontSize: 12, color: "#9ca3af", marginTop: 3 }}>{t("game.notificationPopup")}</div>
+          </div>
+        </div>
+      )}
+
+      {/* TYPING INDICATOR */}
+      {currentTyping && !blocked && (
+        <div style={{ position: "fixed", bottom: 92, left: "50%", transform: "translateX(-50%)", padding: "10px 18px", borderRadius: 999, background: "rgba(100,255,218,0.12)", border: "1px solid rgba(100,255,218,0.22)", color: "#64ffda", fontSize: 13, fontWeight: 800, zIndex: 70, backdropFilter: "blur(10px)" }}>{t("game.typing", { user: currentTyping })}</div>
+      )}
+
+      {/* FEED */}
+      <main ref={feedRef} onScroll={handleScroll} aria-label={t("a11y.feed")} style={{ position: "relative", height: "100vh", overflowY: "auto", paddingTop: HEADER_HEIGHT, paddingBottom: 90 }}>
+        {/* STORIES ROW */}
+        <div role="group" aria-label={t("a11y.stories")} style={{ display: "flex", gap: 14, padding: 14, overflowX: "auto", borderBottom: "1px solid #1c1c1e" }}>
+          <div style={{ textAlign: "center", flexShrink: 0 }}>
+            <div style={{ width: 68, height: 68, borderRadius: "50%", background: "#1c1c1e", display: "flex", alignItems: "center", justifyContent: "center", marginBottom: 6, position: "relative" }}>
+              <SafeImg src={myAvatar} alt="" style={{ width: 62, height: 62, borderRadius: "50%", objectFit: "cover" }} getAltSrc={altPhoto(null, 180)} />
+              <div style={{ position: "absolute", bottom: -2, right: -2, width: 24, height: 24, borderRadius: "50%", background: "#0095f6", border: "3px solid #000", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 14, color: "#fff", fontWeight: 900 }} aria-hidden="true">+</div>
+            </div>
+            <div style={{ fontSize: 12, color: "#9ca3af" }}>@{handle}</div>
+          </div>
+          {storyList.map((st) => (
+            <div key={st.id} {...pressable(() => dispatch({ type: "openStory", id: st.id }))} aria-label={t(st.seen ? "a11y.storySeen" : "a11y.story", { user: st.user })} style={{ textAlign: "center", flexShrink: 0, cursor: "pointer" }}>
+              <div style={{ width: 68, height: 68, borderRadius: "50%", background: st.seen ? "#333" : st.slides.some((sl) => sl.closeFriends) ? "#2ecc71" : "linear-gradient(45deg,#f09433,#e6683c,#dc2743,#cc2366,#bc1888)", padding: 3, marginBottom: 6 }}>
+                <SafeImg src={st.avatar} alt="" style={{ width: "100%", height: "100%", borderRadius: "50%", border: "3px solid #000", objectFit: "cover" }} getAltSrc={altPhoto(null, 200)} />
+              </div>
+              <div style={{ fontSize: 12, color: "#9ca3af" }}>{st.user.split(".")[0]}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* POSTS */}
+        {activePosts.map((post) => (
+          <PostCard
+            key={post.id}
+            post={post}
+            liked={likedPosts.includes(post.id)}
+            saved={savedPosts.includes(post.id)}
+            heart={heartPostId === post.id}
+            liveLike={liveLikeAnimations.some((a) => a.postId === post.id)}
+            activeVideoId={activeVideoId}
+            onActivateVideo={setActiveVideoId}
+            onLike={() => dispatch({ type: "like", postId: post.id })}
+            onAction={(action) => dispatch({ type: "postAction", postId: post.id, action })}
+            onInspect={() => dispatch({ type: "inspectPost", postId: post.id })}
+            onReelPlay={() => dispatch({ type: "reelPlayed", postId: post.id })}
+            labelAds={mode === "humane"}
+            altPhoto={altPhoto}
+          />
+        ))}
+        {/* The feed ends: more posts only on request (infinite scroll switched off) or none (humane mode) */}
+        {feedEnd && !isLoadingMore && (
+          <div style={{ padding: "28px 20px", textAlign: "center", borderTop: "1px solid #1c1c1e" }}>
+            <div aria-hidden="true" style={{ width: 56, height: 56, margin: "0 auto 12px", borderRadius: "50%", border: "2px solid #64ffda", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 26, color: "#64ffda" }}>✓</div>
+            <div style={{ fontWeight: 900, fontSize: 16 }}>{t("game.caughtUp.title")}</div>
+            <div style={{ color: "#9ca3af", fontSize: 13, marginTop: 4 }}>{t(feedEnd === "end" ? "game.caughtUp.endText" : "game.caughtUp.text")}</div>
+            {feedEnd === "more" && <button onClick={() => dispatch({ type: "loadPage" })} style={{ marginTop: 14, padding: "10px 16px", borderRadius: 12, border: "1px solid rgba(255,255,255,0.14)", background: "transparent", color: "#0095f6", fontWeight: 800, fontSize: 13, cursor: "pointer" }}>{t("game.caughtUp.more")}</button>}
+          </div>
+        )}
+        {isLoadingMore && <div style={{ padding: 16 }}><div style={{ height: 18, width: 160, background: "#151515", borderRadius: 8, marginBottom: 10 }} /><div style={{ width: "100%", aspectRatio: "1 / 1", background: "#0d0d0d", borderRadius: 8 }} /><div style={{ height: 14, width: 220, background: "#151515", borderRadius: 8, marginTop: 12 }} /></div>}
+      </main>
+
+      {showReels && <ReelsTab reels={reelsFeed} index={reelIndex} onSwipe={(index) => dispatch({ type: "swipeReel", index })} onLoop={(index) => dispatch({ type: "reelLooped", index })} reducedMotion={reducedMotion} altPhoto={altPhoto} />}
+
+      {/* BOTTOM NAV */}
+      <div style={{ position: "fixed", bottom: 0, left: 0, right: 0, background: "rgba(0,0,0,0.98)", borderTop: "1px solid #1c1c1e", padding: "10px 0 22px", display: "flex", justifyContent: "space-around", alignItems: "center", zIndex: 60, backdropFilter: "blur(10px)" }}>
+        <button onClick={() => dispatch({ type: "closeReels" })} aria-label={t("game.nav.home")} aria-current={showReels ? undefined : "page"} style={{ background: "transparent", border: "none", fontSize: 24, cursor: "pointer" }}><span aria-hidden="true">🏠</span></button>
+        <span aria-hidden="true" style={{ fontSize: 24 }}>🔍</span>
+        <span aria-hidden="true" style={{ fontSize: 24 }}>➕</span>
+        <button onClick={() => dispatch({ type: "openReels" })} aria-label={t("game.nav.reels")} aria-current={showReels ? "page" : undefined} style={{ background: "transparent", border: "none", fontSize: 24, cursor: "pointer" }}><span aria-hidden="true">🎬</span></button>
+        <div {...pressable(() => dispatch({ type: "openMyProfile" }))} aria-label={t("a11y.myProfile")} style={{ cursor: "pointer" }}>
+          <SafeImg src={myAvatar} alt="" style={{ width: 28, height: 28, borderRadius: "50%", border: "2px solid #fff", objectFit: "cover" }} getAltSrc={altPhoto(null, 120)} />
+        </div>
+      </div>
+
+      {/* EXIT BUTTON: exit friction, something tempting before leaving */}
+      <button onClick={() => dispatch({ type: "requestExit" })} aria-keyshortcuts="E" style={{ position: "fixed", bottom: 92, right: 16, background: "rgba(255,255,255,0.08)", border: "1px solid rgba(255,255,255,0.14)", borderRadius: 999, padding: "10px 16px", color: "#9ca3af", fontSize: 12, cursor: "pointer", zIndex: 65, backdropFilter: "blur(10px)", fontWeight: 900 }}>{t("game.exit")}</button>
+
+      {showNotificationsInbox && (
+        <NotificationsInbox notifications={notificationsLog} handle={handle} onOpen={(n) => dispatch({ type: "notificationClick", id: n.id })} onClose={() => dispatch({ type: "closeNotificationsInbox" })} />
+      )}
+      {showFriendRequest && currentFriendRequest && (
+        <FriendRequestModal request={currentFriendRequest} safetyDone={selectSafetyActions(state, currentFriendRequest.user)} onSafety={safety("friendRequest")} onAnswer={(accept) => dispatch({ type: "friendRequest", accept })} altPhoto={altPhoto} />
+      )}
+      {showDMInbox && (
+        <DMInbox dms={dmInbox} handle={handle} restrictedUsers={restrictedUsers} onOpen={(dm) => dispatch({ type: "openDM", id: dm.id })} onClose={() => dispatch({ type: "closeDMInbox" })} altPhoto={altPhoto} />
+      )}
+      {showDM && currentDM && (
+        <DMConversation key={currentDM.id} dm={currentDM} restricted={restrictedUsers.includes(currentDM.user)} safetyDone={selectSafetyActions(state, currentDM.user)} onSafety={safety("dm")} quickReplies={selectQuickReplies(state, scenario.quickReplies)} onQuickReply={(choice) => dispatch({ type: "sendDM", choice })} onOpenLink={(page) => dispatch({ type: "openDMLink", page })} onBack={() => dispatch({ type: "closeDM" })} onSend={(text) => dispatch({ type: "sendDM", text })} altPhoto={altPhoto} />
+      )}
+      {showStory && currentStory && (
+        <StoryViewer story={currentStory} slide={state.storySlide} progress={storyProgress} paused={state.storyPaused} elapsed={state.timeSpent} onClose={() => dispatch({ type: "closeStory" })}
+          onNext={() => dispatch({ type: "storyNext" })} onPrev={() => dispatch({ type: "storyPrev" })} onHold={(paused, typing) => dispatch({ type: "storyHold", paused, typing })} onSticker={(choice) => dispatch({ type: "storySticker", choice })} altPhoto={altPhoto} />
+      )}
+      {showProfile && currentProfile && (
+        <ProfileModal profile={currentProfile} safetyDone={selectSafetyActions(state, currentProfile.user)} onSafety={safety("profile")} onClose={() => dispatch({ type: "closeProfile" })} altPhoto={altPhoto} />
+      )}
+      {showComments && commentsPost && (
+        <CommentsSheet key={commentsPost.id} post={commentsPost} onClose={() => dispatch({ type: "closeComments" })} onSubmit={(text) => dispatch({ type: "addComment", text })} />
+      )}
+      {inspectedPost && inspectedPost.reason && (
+        <PostInspector post={inspectedPost} scenario={scenario} intensity={state.intensity} onClose={() => dispatch({ type: "closeInspector" })} />
+      )}
+      {showExitModal && exitModalContent && (
+        <ExitModal content={exitModalContent} onStay={() => dispatch({ type: "stay" })} onLeave={() => dispatch({ type: "end" })} />
+      )}
+      {showStreakPrompt && (
+        <StreakPrompt
+          streak={streak}
+          remaining={Math.max(0, STREAK_DAY_MS / 1000 - state.timeSpent)}
+          hoursLeft={Math.ceil((state.streakDeadline - (state.startedAt + state.timeSpent * 1000)) / 3600000)}
+          onStay={() => dispatch({ type: "streakStay" })}
+          onClose={() => dispatch({ type: "streakClose" })}
+          onLeave={() => dispatch({ type: "end" })}
+        />
+      )}
+      {safetyFeedback && <SafetyFeedback feedback={safetyFeedback} onClose={() => dispatch({ type: "closeSafetyFeedback" })} />}
+      {phishingPage && <PhishingPage key={phishingPage.id} page={scenario.phishing.pages.find((p) => p.id === phishingPage.id)} submitted={phishingPage.submitted} onSubmit={(fields) => dispatch({ type: "submitPhishing", fields })} onClose={(fields) => dispatch({ type: "closePhishing", fields })} />}
+      {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+
+      {/* LIVE VIEWERS BADGE */}
+      {liveViewers !== null && <div style={{ position: "fixed", top: 70, left: 12, background: "rgba(255,0,0,0.15)", border: "1px solid rgba(255,0,0,0.3)", borderRadius: 20, padding: "6px 12px", display: "flex", alignItems: "center", gap: 6, zIndex: 60 }}>
+        <div aria-hidden="true" style={{ width: 8, height: 8, borderRadius: "50%", background: "#ff3b30", animation: "pulse 1.5s infinite" }} />
+        <span style={{ fontSize: 11, color: "#ff6b6b", fontWeight: 700 }}>{t("game.liveViewers", { n: liveViewers })}</span>
+      </div>}
+
+      {/* FRIENDS WATCHING POPUP */}
+      {friendsWatching.length > 0 && (
+        <div style={{ position: "fixed", top: 70, right: 12, background: "rgba(0,0,0,0.9)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 12, padding: "10px 14px", zIndex: 60, maxWidth: 200, animation: "slideIn 0.3s ease" }}>
+          <div style={{ fontSize: 11, color: "#9ca3af", marginBottom: 4 }}>{t("game.friendsWatching")}</div>
+          <div style={{ fontSize: 13, color: "#fff", fontWeight: 700 }}>{friendsWatching.join(", ")}</div>
+        </div>
+      )}
+
+      {/* URGENT STORY POPUP */}
+      {urgentStory && (
+        <div {...pressable(() => dispatch({ type: "openUrgentStory" }))} style={{ position: "fixed", bottom: 140, left: 12, right: 12, background: "linear-gradient(135deg, rgba(255,107,107,0.95), rgba(255,159,67,0.95))", borderRadius: 16, padding: "14px 16px", zIndex: 75, cursor: "pointer", display: "flex", alignItems: "center", gap: 12, boxShadow: "0 8px 32px rgba(255,107,107,0.4)" }}>
+          <div style={{ position: "relative" }}>
+            <SafeImg src={urgentStory.avatar} alt="" style={{ width: 44, height: 44, borderRadius: "50%", border: "2px solid #fff", objectFit: "cover" }} getAltSrc={altPhoto(null, 150)} />
+            <div style={{ position: "absolute", top: -4, right: -4, background: "#ff3b30", borderRadius: "50%", width: 18, height: 18, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 10 }} aria-hidden="true">🔥</div>
+          </div>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 900, fontSize: 14, color: "#fff" }}>{t("game.urgentStory.title")}</div>
+            <div style={{ fontSize: 12, color: "rgba(255,255,255,0.85)" }}>{t("game.urgentStory.expires", { user: urgentStory.user, n: urgentStory.expiresIn })}</div>
+          </div>
+          <div aria-hidden="true" style={{ fontSize: 22 }}>→</div>
+        </div>
+      )}
+
+      {/* ALGORITHM REASON POPUP */}
+      {algoReasonPost && (
+        <div {...pressable(() => dispatch({ type: "inspectPost", postId: algoReasonPost.id }))} style={{ position: "fixed", bottom: 140, left: "50%", transform: "translateX(-50%)", background: "rgba(0,0,0,0.9)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 20, padding: "8px 16px", zIndex: 70, whiteSpace: "nowrap", cursor: "pointer" }}>
+          <span style={{ fontSize: 12, color: "#9ca3af" }}>🎯 {t("game.inspector.short." + algoReasonPost.reason.kind, { interest: interestLabel(scenario, algoReasonPost.reason.category) })}</span>
+        </div>
+      )}
+
+      {/* SCREEN READER ANNOUNCEMENTS */}
+      <div role="status" aria-live="polite" style={srOnly}>{announcement}</div>
+
+      {/* CSS ANIMATIONS (turned off in reduced motion mode, see motion.js) */}
+      <style>{`
+        @keyframes pulse {
+          0%, 100% { opacity: 1; }
+          50% { opacity: 0.5; }
+        }
+        @keyframes slideIn {
+          from { opacity: 0; transform: translateX(20px); }
+          to { opacity: 1; transform: translateX(0); }
+        }
+      `}</style>
+    </div>
+  );
+}
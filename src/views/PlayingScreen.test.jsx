@@ -0,0 +1,305 @@
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, cleanup, fireEvent, render, screen, within } from "@testing-library/react";
+import { I18nContext } from "../i18n.js";
+import { TICK_MS, createEngine, selectStreakPrompt } from "../engine.js";
+import useEngine from "../useEngine.js";
+import PlayingScreen from "./PlayingScreen.jsx";
+import { switchesFromParam } from "../facilitator.js";
+import { EVENING, START, scenario, t } from "../test/run.js";
+import { dayKey } from "../streak.js";
+
+// The playing screen driven by the real engine and the real useEngine interval,
+// with the clock and every timer faked
+function Game({ engine }) {
+  const state = useEngine(engine);
+  if (state.phase !== "playing") return <div>reveal</div>;
+  return <PlayingScreen engine={engine} state={state} scenario={scenario} soundEnabled={false} onToggleSound={() => {}} unlockAudio={() => {}} playPop={() => {}} />;
+}
+
+let engine;
+
+function renderGame({ switches, streak } = {}) {
+  engine = createEngine({ scenario, seed: "TESTRUN", handle: "tester", estimatedTime: 120, t, switches, streak });
+  engine.start();
+  render(
+    <I18nContext.Provider value={{ t, locale: "it", setLocale: () => {} }}>
+      <Game engine={engine} />
+    </I18nContext.Provider>,
+  );
+}
+
+const advance = (ms) => act(() => { vi.advanceTimersByTime(ms); });
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: START });
+  // jsdom has no IntersectionObserver (reels and dwell tracking use it)
+  vi.stubGlobal("IntersectionObserver", class { observe() {} unobserve() {} disconnect() {} });
+  // nor element scrolling (keyboard navigation)
+  Element.prototype.scrollTo = () => {};
+});
+
+afterEach(() => {
+  cleanup();
+  delete Element.prototype.scrollTo;
+  engine.stop();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("PlayingScreen", () => {
+  it("plays a story to the end and closes it", () => {
+    renderGame();
+    const story = scenario.stories.find((st) => st.id === "st2");
+    fireEvent.click(screen.getByText(story.user.split(".")[0]));
+    expect(screen.getByText(story.slides[0].text)).toBeTruthy();
+
+    advance(1500);
+    expect(screen.getByText(story.slides[0].text)).toBeTruthy();
+    expect(engine.getState().storyProgress).toBeCloseTo(50, 5);
+
+    advance(1500 + 2 * TICK_MS);
+    expect(screen.queryByText(story.slides[0].text)).toBeNull();
+    const s = engine.getState();
+    expect(s.storiesWatched).toBe(1);
+    expect(s.storyList.find((st) => st.id === "st2").seen).toBe(true);
+  });
+
+  it("moves through a story with taps and shows a poll's results after voting", () => {
+    renderGame();
+    const story = scenario.stories.find((st) => st.id === "st1");
+    fireEvent.click(screen.getByText(story.user.split(".")[0]));
+    const viewer = within(screen.getByRole("dialog", { name: t("a11y.story", { user: story.user }) }));
+    fireEvent.click(viewer.getByText(story.slides[0].poll.a));
+    const { shareA } = engine.getState().storyList.find((st) => st.id === "st1").slides[0].poll;
+    expect(viewer.getByRole("button", { pressed: true }).textContent).toBe(`${story.slides[0].poll.a} · ${shareA}% ✓`);
+    expect(viewer.getByText(`${story.slides[0].poll.b} · ${100 - shareA}%`)).toBeTruthy();
+
+    fireEvent.click(viewer.getByRole("button", { name: t("game.story.next") }));
+    expect(viewer.getByText(story.slides[1].text)).toBeTruthy();
+    expect(viewer.getByText(t("game.story.closeFriends"))).toBeTruthy();
+    fireEvent.change(viewer.getByLabelText(story.slides[1].question.prompt), { target: { value: "in centro" } });
+    fireEvent.click(viewer.getByText(t("game.story.send")));
+    expect(viewer.getByText(t("game.story.answered", { user: story.user }))).toBeTruthy();
+    const s = engine.getState();
+    expect(s.storyStats).toMatchObject({ forward: 1, question: 1 });
+    expect(JSON.stringify(s)).not.toContain("in centro");
+  });
+
+  it("plays reels full screen from the bottom nav, one at a time, moving with the arrows and J/K", () => {
+    renderGame();
+    fireEvent.click(screen.getByRole("button", { name: t("game.nav.reels") }));
+    const tab = within(screen.getByRole("region", { name: t("game.reels.title") }));
+    const [first, second] = engine.getState().reelsFeed;
+    expect(tab.getByLabelText(t("game.reels.clip", { n: 1, user: first.user })).getAttribute("aria-current")).toBe("true");
+    // The embed reports its playback time: a jump back to the start is a loop
+    const player = tab.getByTitle(t("game.reel.badge"));
+    const report = (currentTime) => act(() => {
+      window.dispatchEvent(new MessageEvent("message", { data: JSON.stringify({ event: "infoDelivery", info: { currentTime } }), source: player.contentWindow }));
+    });
+    [2, 9.5, 0.3].forEach(report);
+    expect(tab.getByRole("button", { name: t("game.reels.prev") }).disabled).toBe(true);
+
+    advance(1500);
+    fireEvent.click(tab.getByRole("button", { name: t("game.reels.next") }));
+    expect(tab.getByLabelText(t("game.reels.clip", { n: 2, user: second.user })).getAttribute("aria-current")).toBe("true");
+    fireEvent.keyDown(document.body, { key: "k" });
+    expect(engine.getState().reelIndex).toBe(0);
+
+    fireEvent.click(screen.getByRole("button", { name: t("game.nav.home") }));
+    expect(screen.queryByRole("region", { name: t("game.reels.title") })).toBeNull();
+    expect(engine.getState().reelViews.map((v) => [v.how, v.loops])).toEqual([["swipe", 1], ["swipe", 0], ["close", 0]]);
+  });
+
+  it("asks the YouTube embed for its playback time until it answers, and moves on after the loops it reports", () => {
+    renderGame();
+    fireEvent.click(screen.getByRole("button", { name: t("game.nav.reels") }));
+    const tab = within(screen.getByRole("region", { name: t("game.reels.title") }));
+    const player = tab.getByTitle(t("game.reel.badge"));
+    const asked = vi.spyOn(player.contentWindow, "postMessage");
+    const listening = () => asked.mock.calls.filter(([data]) => JSON.parse(data).event === "listening").length;
+    const report = (currentTime) => act(() => {
+      window.dispatchEvent(new MessageEvent("message", { data: JSON.stringify({ event: "infoDelivery", info: { currentTime } }), source: player.contentWindow }));
+    });
+
+    // The first request went before the player was ready: no answer, so it is sent again
+    advance(3000);
+    expect(listening()).toBe(3);
+    report(0.5);
+    advance(3000);
+    expect(listening()).toBe(3);
+
+    [9, 0.2, 9, 0.1].forEach(report);
+    const [first, second] = engine.getState().reelsFeed;
+    expect(engine.getState().reelIndex).toBe(1);
+    expect(tab.getByLabelText(t("game.reels.clip", { n: 2, user: second.user })).getAttribute("aria-current")).toBe("true");
+    expect(engine.getState().reelViews).toEqual([expect.objectContaining({ youtubeId: first.youtubeId, loops: 2, how: "auto" })]);
+  });
+
+  it("opens the escalation chat after a suspicious request is accepted", () => {
+    renderGame();
+    for (let waited = 0; ; waited += 1000) {
+      expect(waited).toBeLessThan(10 * 60 * 1000);
+      advance(1000);
+      const req = engine.getState().currentFriendRequest;
+      if (!req) continue;
+      expect(screen.getByText(req.bio)).toBeTruthy();
+      if (req.suspicious) break;
+      fireEvent.click(screen.getByText(t("game.friendRequest.ignore")));
+    }
+    const { user } = engine.getState().currentFriendRequest;
+    fireEvent.click(screen.getByText(t("game.friendRequest.accept")));
+    expect(screen.queryByText(t("game.friendRequest.accept"))).toBeNull();
+
+    const dm = engine.getState().dmInbox[0];
+    expect(dm).toMatchObject({ user, scam: true, teenSafety: true });
+    expect(screen.queryByText(dm.messages[1].text)).toBeNull();
+
+    advance(2200);
+    expect(engine.getState().currentDMId).toBe(dm.id);
+    expect(screen.getByText(dm.messages[0].text)).toBeTruthy();
+    expect(screen.getByText(dm.messages[1].text)).toBeTruthy();
+  });
+
+  it("reports a chat from its menu and explains what a report does", () => {
+    renderGame();
+    const scam = scenario.dms.find((dm) => dm.scam && !dm.rare);
+    fireEvent.click(screen.getByRole("button", { name: t("game.header.dm") }));
+    fireEvent.click(screen.getByText(scam.user));
+    fireEvent.click(screen.getByRole("button", { name: t("game.safety.menu", { user: scam.user }) }));
+    fireEvent.click(screen.getByText(t("game.safety.report")));
+
+    const feedback = screen.getByRole("dialog", { name: t("game.safety.done.report", { user: scam.user }) });
+    expect(within(feedback).getByText(t("game.safety.explain.report"))).toBeTruthy();
+    expect(within(feedback).getByText(t("game.safety.harmful", { user: scam.user }))).toBeTruthy();
+    fireEvent.click(within(feedback).getByText(t("game.safety.ok")));
+    expect(screen.queryByText(t("game.safety.explain.report"))).toBeNull();
+
+    fireEvent.click(screen.getByRole("button", { name: t("game.safety.menu", { user: scam.user }) }));
+    expect(screen.getByText(`${t("game.safety.report")} ✓`).disabled).toBe(true);
+  });
+
+  it("sends a suggested reply from the chat", () => {
+    renderGame();
+    const friend = scenario.dms.find((dm) => !dm.scam);
+    const later = scenario.quickReplies.find((q) => q.id === "chat_later");
+    fireEvent.click(screen.getByRole("button", { name: t("game.header.dm") }));
+    fireEvent.click(within(screen.getByRole("dialog", { name: t("game.dm.title") })).getByText(friend.user));
+    const replies = within(screen.getByRole("group", { name: t("game.dm.quickReplies") }));
+    fireEvent.click(replies.getByText(later.text));
+    expect(within(screen.getByRole("log")).getByText(later.text)).toBeTruthy();
+    expect(replies.queryByText(later.text)).toBeNull();
+    expect(engine.getState().dmChoices.map((c) => c.id)).toEqual(["chat_later"]);
+  });
+
+  it("opens a chat's scam link on a marked fake page that keeps nothing typed", () => {
+    renderGame();
+    const linked = scenario.dms.find((dm) => dm.messages.some((m) => m.link));
+    const page = scenario.phishing.pages.find((p) => p.id === linked.messages.find((m) => m.link).link);
+    fireEvent.click(screen.getByRole("button", { name: t("game.header.dm") }));
+    fireEvent.click(within(screen.getByRole("dialog", { name: t("game.dm.title") })).getByText(linked.user));
+    fireEvent.click(within(screen.getByRole("log")).getByText(`https://${page.domain}${page.path}`));
+    const landing = within(screen.getByRole("dialog", { name: page.title }));
+    expect(landing.getByText(t("game.phishing.sandbox"))).toBeTruthy();
+    fireEvent.change(landing.getByLabelText(t(`game.phishing.fields.${page.fields[0]}`)), { target: { value: "segreto123" } });
+    fireEvent.click(landing.getByText(page.button));
+    expect(landing.getByText(t("game.phishing.caughtTitle"))).toBeTruthy();
+    fireEvent.click(landing.getByText(t("game.phishing.back")));
+    expect(screen.queryByRole("dialog", { name: page.title })).toBeNull();
+    const s = engine.getState();
+    expect(s.phishingVisits).toEqual([{ page: page.id, via: "dm", user: linked.user, filled: [page.fields[0]], submitted: true }]);
+    expect(JSON.stringify(s)).not.toContain("segreto123");
+  });
+
+  it("moves focus into a dialog, closes it on Escape and gives focus back", () => {
+    renderGame();
+    const story = scenario.stories.find((st) => st.id === "st2");
+    const opener = screen.getByRole("button", { name: t("a11y.story", { user: story.user }) });
+    opener.focus();
+    fireEvent.keyDown(opener, { key: "Enter" });
+
+    const dialog = screen.getByRole("dialog", { name: t("a11y.story", { user: story.user }) });
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(within(dialog).getByRole("progressbar")).toBeTruthy();
+
+    fireEvent.keyDown(document.activeElement, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.activeElement).toBe(opener);
+    expect(engine.getState().storyList.find((st) => st.id === "st2").seen).toBe(false);
+  });
+
+  it("takes Escape on the streak prompt as neither staying nor leaving", () => {
+    vi.setSystemTime(EVENING);
+    renderGame({ streak: { count: 2, lastDay: dayKey(EVENING - 24 * 60 * 60 * 1000) } });
+    fireEvent.click(screen.getByRole("button", { name: t("game.exit") }));
+    const dialog = screen.getByRole("dialog", { name: t("game.streakPrompt.title") });
+
+    fireEvent.keyDown(within(dialog).getByRole("button", { name: t("game.streakPrompt.stay") }), { key: "Escape" });
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(engine.getState().eventLog.map((e) => e.type)).toContain("streak_prompt_closed");
+    expect(selectStreakPrompt(engine.getState())).toEqual({ stayed: null, delay: 0 });
+  });
+
+  it("keeps Tab inside the open dialog", () => {
+    renderGame();
+    fireEvent.keyDown(document.body, { key: "e" });
+    const dialog = screen.getByRole("dialog");
+    const [stay, leave] = within(dialog).getAllByRole("button");
+    expect(document.activeElement).toBe(stay);
+    leave.focus();
+    fireEvent.keyDown(leave, { key: "Tab" });
+    expect(document.activeElement).toBe(stay);
+    fireEvent.keyDown(stay, { key: "Tab", shiftKey: true });
+    expect(document.activeElement).toBe(leave);
+  });
+
+  it("moves between posts and likes them from the keyboard", () => {
+    renderGame();
+    const posts = engine.getState().activePosts;
+    fireEvent.keyDown(document.body, { key: "j" });
+    expect(document.activeElement.dataset.postId).toBe(String(posts[0].id));
+    fireEvent.keyDown(document.activeElement, { key: "j" });
+    expect(document.activeElement.dataset.postId).toBe(String(posts[1].id));
+    fireEvent.keyDown(document.activeElement, { key: "l" });
+    expect(engine.getState().likedPosts).toEqual([posts[1].id]);
+    fireEvent.keyDown(document.activeElement, { key: "k" });
+    expect(document.activeElement.dataset.postId).toBe(String(posts[0].id));
+
+    fireEvent.keyDown(document.activeElement, { key: "?" });
+    expect(screen.getByRole("dialog", { name: t("a11y.shortcuts.open") })).toBeTruthy();
+    // Shortcuts are off while a dialog is open
+    fireEvent.keyDown(document.activeElement, { key: "l" });
+    expect(engine.getState().likedPosts).toEqual([posts[1].id]);
+    fireEvent.keyDown(document.activeElement, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).toBeNull();
+  });
+
+  it("announces notifications to screen readers", () => {
+    renderGame();
+    let waited = 0;
+    while (!engine.getState().showNotificationPopup) {
+      expect(waited).toBeLessThan(5 * 60 * 1000);
+      if (engine.getState().showFriendRequest) fireEvent.keyDown(document.activeElement, { key: "Escape" });
+      advance(500);
+      waited += 500;
+    }
+    const { text } = engine.getState().activeNotification;
+    expect(screen.getByRole("status").textContent).toBe(t("a11y.notification", { text }));
+  });
+
+  it("ends the feed with \"you're all caught up\" and loads more only on request without infinite scroll", () => {
+    renderGame({ switches: switchesFromParam("infiniteScroll,liveViewers") });
+    const posts = engine.getState().activePosts.length;
+    fireEvent.scroll(screen.getByRole("main"), { target: { scrollTop: 5000 } });
+    advance(2000);
+    expect(engine.getState().activePosts).toHaveLength(posts);
+    expect(screen.getByText(t("game.caughtUp.title"))).toBeTruthy();
+    expect(screen.queryByText(t("game.liveViewers", { n: engine.getState().liveViewers }))).toBeNull();
+
+    fireEvent.click(screen.getByText(t("game.caughtUp.more")));
+    expect(screen.queryByText(t("game.caughtUp.title"))).toBeNull();
+    advance(1000);
+    expect(engine.getState().activePosts).toHaveLength(posts + 4);
+    expect(screen.getByText(t("game.caughtUp.title"))).toBeTruthy();
+  });
+});
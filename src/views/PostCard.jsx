@@ -0,0 +1,107 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import SafeImg from "./SafeImg.jsx";
+import ReelVideo from "./ReelVideo.jsx";
+import { pressable } from "./a11y.js";
+
+// One post of the feed: photo post, ad or reel. data-post-id is what useDwellTracker watches
+// and what the keyboard shortcuts of PlayingScreen move between. labelAds (humane mode)
+// marks an ad as such above the picture instead of the small "sponsored" line only.
+export default function PostCard({
+  post, liked, saved, heart, liveLike, activeVideoId, labelAds = false,
+  onLike, onAction, onInspect, onReelPlay, onActivateVideo, altPhoto,
+}) {
+  const { t } = useI18n();
+  return (
+    <article data-post-id={post.id} tabIndex={-1} aria-label={post.isAd ? t("a11y.sponsored") : t(post.isReel ? "a11y.reel" : "a11y.post", { user: post.user })} style={{ borderBottom: "1px solid #1c1c1e", outlineOffset: -2 }}>
+      <div style={{ display: "flex", alignItems: "center", padding: "14px 16px" }}>
+        <div {...pressable(() => onAction("profile"))} aria-label={t("a11y.openProfile", { user: post.user })} style={{ display: "flex", alignItems: "center", gap: 12, flex: 1, cursor: "pointer" }}>
+          <SafeImg src={post.avatar} alt="" style={{ width: 36, height: 36, borderRadius: "50%", objectFit: "cover" }} getAltSrc={altPhoto(null, 180)} />
+          <div>
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <div style={{ fontSize: 14, fontWeight: 900 }}>{post.user}</div>
+              {post.verified && <div style={{ color: "#3897f0", fontSize: 14 }} title={t("game.profile.verified")}>✓</div>}
+            </div>
+            <div style={{ fontSize: 11, color: "#6b7280" }}>{post.isAd ? t("game.post.sponsored") : post.isReel ? t("game.post.reel", { time: t("time." + post.time) }) : t("time." + post.time)}</div>
+          </div>
+        </div>
+        <button onClick={onInspect} aria-label={t("game.inspector.open")} title={t("game.inspector.open")} style={{ background: "transparent", border: "none", color: "#fff", opacity: 0.8, cursor: "pointer", fontSize: 14, padding: "4px 0 4px 8px" }}>•••</button>
+      </div>
+      {post.isAd && labelAds && (
+        <div style={{ background: "rgba(72,219,251,0.12)", borderTop: "1px solid rgba(72,219,251,0.3)", borderBottom: "1px solid rgba(72,219,251,0.3)", padding: "10px 16px", display: "flex", gap: 8, alignItems: "center" }}>
+          <span aria-hidden="true">📢</span><span style={{ color: "#48dbfb", fontSize: 13, fontWeight: 900 }}>{t("game.post.adNotice")}</span>
+        </div>
+      )}
+      {post.fomoText && (
+        <div style={{ background: "linear-gradient(90deg, rgba(255,107,107,0.12) 0%, rgba(254,202,87,0.10) 100%)", padding: "10px 16px", display: "flex", gap: 8, alignItems: "center" }}>
+          <span aria-hidden="true">🔥</span><span style={{ color: "#feca57", fontSize: 13, fontWeight: 900 }}>{post.fomoText}</span>
+        </div>
+      )}
+      {post.isReel ? (
+        /* REEL VIDEO */
+        <div style={{ width: "100%", maxWidth: "calc(70vh * 9 / 16)", margin: "0 auto", aspectRatio: "9 / 16", maxHeight: "70vh", position: "relative", overflow: "hidden", background: "#000" }} onDoubleClick={onLike}>
+          <ReelVideo 
+            youtubeId={post.youtubeId} 
+            isActive={activeVideoId === post.youtubeId}
+            onActivate={onActivateVideo}
+            onPlay={onReelPlay}
+            style={{ width: "100%", height: "100%" }}
+          />
+          <div style={{ position: "absolute", top: "50%", left: "50%", transform: heart ? "translate(-50%, -50%) scale(1)" : "translate(-50%, -50%) scale(0.7)", opacity: heart ? 1 : 0, transition: "all 0.25s ease", fontSize: 90, textShadow: "0 0 30px rgba(0,0,0,0.6)", pointerEvents: "none" }} aria-hidden="true">❤️</div>
+          {/* Reel sidebar */}
+          <div style={{ position: "absolute", right: 12, bottom: 80, display: "flex", flexDirection: "column", gap: 20, alignItems: "center" }}>
+            <div style={{ textAlign: "center" }}>
+              <button onClick={onLike} aria-label={t("a11y.like")} aria-pressed={liked} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}>
+                <span aria-hidden="true" style={{ fontSize: 32, color: liked ? "#ed4956" : "#fff" }}>{liked ? "❤️" : "🤍"}</span>
+              </button>
+              <div style={{ fontSize: 12, color: "#fff", marginTop: 4 }}>{post.likes + (liked ? 1 : 0)}</div>
+            </div>
+            <div style={{ textAlign: "center" }}>
+              <button onClick={() => onAction("comment")} aria-label={t("a11y.comment")} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 32 }}>💬</span></button>
+              <div style={{ fontSize: 12, color: "#fff", marginTop: 4 }}>{post.comments}</div>
+            </div>
+            <div style={{ textAlign: "center" }}>
+              <button onClick={() => onAction("share")} aria-label={t("a11y.share")} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 32 }}>📤</span></button>
+              <div style={{ fontSize: 12, color: "#fff", marginTop: 4 }}>{post.shares || 0}</div>
+            </div>
+          </div>
+          {/* Caption overlay */}
+          <div style={{ position: "absolute", bottom: 16, left: 12, right: 60, color: "#fff" }}>
+            <div style={{ fontWeight: 900, marginBottom: 6 }}>@{post.user}</div>
+            <div style={{ fontSize: 14, lineHeight: 1.4 }}>{post.content}</div>
+          </div>
+        </div>
+      ) : (
+        /* REGULAR IMAGE POST */
+        <div style={{ width: "100%", aspectRatio: "1 / 1", position: "relative", overflow: "hidden", cursor: "pointer" }} onDoubleClick={onLike}>
+          <SafeImg src={post.image.url} alt={t("a11y.photo", { user: post.user })} loading="lazy" style={{ width: "100%", height: "100%", objectFit: "cover" }} getAltSrc={altPhoto(post.image.type, 900)} />
+          <div style={{ position: "absolute", top: "50%", left: "50%", transform: heart ? "translate(-50%, -50%) scale(1)" : "translate(-50%, -50%) scale(0.7)", opacity: heart ? 1 : 0, transition: "all 0.25s ease", fontSize: 90, textShadow: "0 0 30px rgba(0,0,0,0.6)", pointerEvents: "none" }} aria-hidden="true">❤️</div>
+          {post.image.overlay && <div style={{ position: "absolute", bottom: 16, left: 16, background: "rgba(0,0,0,0.65)", padding: "8px 12px", borderRadius: 10, backdropFilter: "blur(8px)" }}><span style={{ fontSize: 13, fontWeight: 900 }}><span aria-hidden="true">{post.isAd ? "📢 " : "📍 "}</span>{post.image.overlay}</span></div>}
+        </div>
+      )}
+      {post.isAd ? (
+        <div style={{ padding: "12px 16px", background: "#0a0a0a" }}>
+          <button onClick={() => onAction("ad")} style={{ width: "100%", padding: 12, borderRadius: 10, border: "none", background: "#0095f6", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{t("game.post.learnMore")}</button>
+        </div>
+      ) : !post.isReel ? (
+        <div style={{ padding: "0 16px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 18, padding: "14px 0" }}>
+            <button onClick={onLike} aria-label={t("a11y.like")} aria-pressed={liked} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 26, color: liked ? "#ed4956" : "#fff" }}>{liked ? "❤️" : "🤍"}</span></button>
+            <button onClick={() => onAction("comment")} aria-label={t("a11y.comment")} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 26 }}>💬</span></button>
+            <button onClick={() => onAction("share")} aria-label={t("a11y.share")} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 26 }}>📤</span></button>
+            <div style={{ flex: 1 }} />
+            <button onClick={() => onAction("save")} aria-label={t("a11y.save")} aria-pressed={saved} style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0 }}><span aria-hidden="true" style={{ fontSize: 26, color: saved ? "#feca57" : "#fff" }}>{saved ? "🔖" : "📑"}</span></button>
+          </div>
+          <div style={{ fontWeight: 900, fontSize: 14, marginBottom: 8, display: "flex", alignItems: "center", gap: 6 }}>
+            {t("game.post.likes", { n: post.likes + (liked ? 1 : 0) })}
+            {liveLike && (
+              <span aria-hidden="true" style={{ fontSize: 12, color: "#ed4956", animation: "pulse 0.5s ease" }}>+1 ❤️</span>
+            )}
+          </div>
+          <div style={{ fontSize: 14, lineHeight: 1.5, marginBottom: 8 }}><span style={{ fontWeight: 900 }}>{post.user}</span> {post.content}</div>
+          <button onClick={() => onAction("comment")} style={{ background: "transparent", border: "none", color: "#6b7280", cursor: "pointer", padding: 0, marginBottom: 14, fontSize: 14 }}>{t("game.post.viewComments", { count: post.comments })}</button>
+        </div>
+      ) : null}
+    </article>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { interestLabel } from "../scenario.js";
+import useDialog from "./useDialog.js";
+
+// "Why am I seeing this?": the real reason the feed picked the post (post.reason, see interestModel.js);
+// the frequencies quoted are the ones of the run's intensity profile (intensity.js)
+export default function PostInspector({ post, scenario, intensity, onClose }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("game.inspector.title"), onClose);
+  const r = post.reason;
+  const chances = r.chances ? Object.entries(r.chances).sort((a, b) => b[1] - a[1]) : [];
+  const { params } = intensity;
+  const pct = (p) => Math.round(p * 100);
+  return (
+    <div {...dialog} style={{ position: "fixed", bottom: 0, left: 0, right: 0, maxHeight: "72vh", background: "#0a0a0a", borderRadius: "18px 18px 0 0", zIndex: 146, display: "flex", flexDirection: "column", borderTop: "1px solid #1c1c1e" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center" }}>
+        <div style={{ flex: 1, textAlign: "center", fontWeight: 1000 }}>{t("game.inspector.title")}</div>
+        <button onClick={onClose} aria-label={t("game.inspector.close")} style={{ background: "transparent", border: "none", color: "#6b7280", fontSize: 22, cursor: "pointer" }}>✕</button>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto", padding: 16 }}>
+        <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 10 }}>{post.user}</div>
+        <div style={{ color: "#d1d5db", fontSize: 14, lineHeight: 1.55 }}>{t.rich("game.inspector.reasons." + r.kind, { interest: interestLabel(scenario, r.category), rank: r.rank, total: chances.length, weight: t.number(r.weight || 0), chance: r.chance, epsilon: r.epsilon, every: params.adEvery, pct: pct(params.reelChance) })}</div>
+        {(r.fomo || r.clickbait) && (
+          <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 6 }}>
+            {r.fomo && <div style={{ color: "#feca57", fontSize: 13, lineHeight: 1.5 }}>{t("game.inspector.flags.fomo", { pct: pct(params.fomoChance) })}</div>}
+            {r.clickbait && <div style={{ color: "#ff6b6b", fontSize: 13, lineHeight: 1.5 }}>{t("game.inspector.flags.clickbait", { interest: interestLabel(scenario, r.category), pct: pct(params.clickbaitChance) })}</div>}
+          </div>
+        )}
+        {chances.length > 0 && (
+          <div style={{ marginTop: 16 }}>
+            <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.2, marginBottom: 10 }}>{t("game.inspector.chances")}</div>
+            {chances.map(([cat, pct]) => (
+              <div key={cat} style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 6, fontSize: 12 }}>
+                <div style={{ width: 92, color: cat === r.category ? "#fff" : "#9ca3af", fontWeight: cat === r.category ? 900 : 400, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{interestLabel(scenario, cat)}</div>
+                <div style={{ flex: 1, height: 8, borderRadius: 4, background: "rgba(255,255,255,0.06)", overflow: "hidden" }}><div style={{ width: pct + "%", height: "100%", background: cat === r.category ? "#64ffda" : "#4b5563" }} /></div>
+                <div style={{ width: 36, textAlign: "right", color: "#9ca3af" }}>{pct}%</div>
+              </div>
+            ))}
+          </div>
+        )}
+        <div style={{ marginTop: 16, paddingTop: 12, borderTop: "1px solid #1c1c1e", color: "#6b7280", fontSize: 12, lineHeight: 1.5 }}>{t("game.inspector.howItLearns")}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { MEDIA_MODE } from "../media.js";
+
+export default function PrivacyScreen({ onBack }) {
+  const { t } = useI18n();
+  const strong = { b: (x) => <strong style={{ color: "#fff" }}>{x}</strong> };
+  return (
+    <div style={{ minHeight: "100vh", background: "#000", padding: 20, fontFamily: "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif", color: "#fff" }}>
+      <div style={{ maxWidth: 600, margin: "0 auto" }}>
+        <button onClick={onBack} style={{ background: "transparent", border: "1px solid rgba(255,255,255,0.2)", color: "#fff", padding: "10px 20px", borderRadius: 12, cursor: "pointer", marginBottom: 20, fontWeight: 700 }}>{t("common.backToGame")}</button>
+        <h1 style={{ fontSize: 28, fontWeight: 900, marginBottom: 20 }}>{t("privacy.title")}</h1>
+        <div style={{ background: "rgba(255,255,255,0.05)", borderRadius: 16, padding: 24, lineHeight: 1.7, fontSize: 14, color: "#cbd5e1" }}>
+          <p style={{ marginBottom: 16 }}>{t.rich("privacy.intro", null, strong)}</p>
+          <p style={{ marginBottom: 16 }}>{t.rich("privacy.noData", null, strong)}</p>
+          {["handle", "stats", "cookies", "thirdParties", "classroom", "language"].map((key) => (
+            <p key={key} style={{ marginBottom: 16 }}>{t(`privacy.${key}`)}</p>
+          ))}
+          <p style={{ marginBottom: 16 }}>{t(MEDIA_MODE === "local" ? "privacy.localMedia" : "privacy.youtube")}</p>
+          <p style={{ marginBottom: 16, borderTop: "1px solid rgba(255,255,255,0.1)", paddingTop: 16, marginTop: 20 }}>{t.rich("privacy.author", null, strong)}</p>
+          <p style={{ color: "#6b7280", fontSize: 12 }}>{t("privacy.license")}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
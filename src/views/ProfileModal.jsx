@@ -0,0 +1,36 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import SafeImg from "./SafeImg.jsx";
+import useDialog from "./useDialog.js";
+import SafetyMenu from "./SafetyMenu.jsx";
+
+// safetyDone / onSafety: see SafetyMenu (not on the player's own profile)
+export default function ProfileModal({ profile, safetyDone, onSafety, onClose, altPhoto }) {
+  const { t } = useI18n();
+  const dialog = useDialog(profile.user, onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "#000", zIndex: 142, display: "flex", flexDirection: "column" }}>
+      <div style={{ padding: 14, borderBottom: "1px solid #1c1c1e", display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={onClose} aria-label={t("a11y.back")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 22, cursor: "pointer" }}>←</button>
+        <div style={{ fontWeight: 1000 }}>{profile.user}</div>
+        <div style={{ marginLeft: "auto", color: "#6b7280", fontSize: 12 }}>{profile.verified ? t("game.profile.verified") : t("game.profile.account")}</div>
+        {!profile.isMe && <SafetyMenu user={profile.user} done={safetyDone} onAction={onSafety} />}
+      </div>
+      <div style={{ padding: 16 }}>
+        <div style={{ display: "flex", gap: 14, alignItems: "center", marginBottom: 14 }}>
+          <SafeImg src={profile.avatar} alt={profile.user} style={{ width: 72, height: 72, borderRadius: "50%", objectFit: "cover" }} getAltSrc={altPhoto(null, 180)} />
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 1000, fontSize: 16 }}>{profile.user}</div>
+            <div style={{ color: "#9ca3af", fontSize: 13, marginTop: 4 }}>{profile.verified ? t("game.profile.verifiedCreator") : t("game.profile.personal")}</div>
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-around", padding: "16px 0", borderTop: "1px solid #1c1c1e", borderBottom: "1px solid #1c1c1e", marginBottom: 14 }}>
+          <div style={{ textAlign: "center" }}><div style={{ fontWeight: 1000, fontSize: 18 }}>{profile.stats?.posts}</div><div style={{ color: "#6b7280", fontSize: 12 }}>{t("game.profile.posts")}</div></div>
+          <div style={{ textAlign: "center" }}><div style={{ fontWeight: 1000, fontSize: 18 }}>{profile.stats?.followers}</div><div style={{ color: "#6b7280", fontSize: 12 }}>{t("game.profile.followers")}</div></div>
+          <div style={{ textAlign: "center" }}><div style={{ fontWeight: 1000, fontSize: 18 }}>{profile.stats?.following}</div><div style={{ color: "#6b7280", fontSize: 12 }}>{t("game.profile.following")}</div></div>
+        </div>
+        <button style={{ width: "100%", padding: 10, borderRadius: 8, border: "none", background: "#0095f6", color: "#fff", fontWeight: 900, cursor: "pointer" }}>{t("game.profile.follow")}</button>
+      </div>
+    </div>
+  );
+}
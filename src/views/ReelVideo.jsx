@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n.js";
+import { reelMedia } from "../media.js";
+import { pressable } from "./a11y.js";
+
+// Reel video component - thumbnail + play on click
+export default function ReelVideo({ youtubeId, onPlay, style, isActive, onActivate }) {
+  const { t } = useI18n();
+  const containerRef = useRef(null);
+  const [wantsToPlay, setWantsToPlay] = useState(false);
+  const hasTriggeredPlay = useRef(false);
+  const [iframeKey, setIframeKey] = useState(0);
+  const [failed, setFailed] = useState(false);
+  const media = reelMedia(youtubeId);
+
+  // Determine if iframe should be shown
+  // Show iframe when: user clicked play AND (this video is active OR no video tracking yet)
+  const shouldShowIframe = wantsToPlay && (isActive !== false);
+
+  // Stop playing if another video becomes active
+  useEffect(() => {
+    if (isActive === false && wantsToPlay) {
+      setWantsToPlay(false);
+      setIframeKey(k => k + 1); // Force new iframe on next play
+    }
+  }, [isActive, wantsToPlay]);
+
+  // Track when visible
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
+            if (onPlay && !hasTriggeredPlay.current) {
+              hasTriggeredPlay.current = true;
+              onPlay();
+            }
+          }
+        });
+      },
+      { threshold: [0.5] }
+    );
+
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [onPlay]);
+
+  const handlePlay = () => {
+    if (onActivate) onActivate(youtubeId);
+    setFailed(false);
+    setWantsToPlay(true);
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: "relative", width: "100%", height: "100%", background: "#000", ...style }}>
+      {!shouldShowIframe ? (
+        <>
+          {/* Thumbnail (YouTube's, or the optional poster next to a local clip) */}
+          <img 
+            src={media.poster} 
+            alt="" 
+            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+            onError={(e) => { e.currentTarget.style.visibility = "hidden"; }}
+          />
+          {/* Play button overlay */}
+          <div 
+            {...pressable(handlePlay)}
+            aria-label={t("game.reel.tapToWatch")}
+            style={{ 
+              position: "absolute", 
+              inset: 0, 
+              display: "flex", 
+              alignItems: "center", 
+              justifyContent: "center", 
+              background: "rgba(0,0,0,0.3)",
+              cursor: "pointer"
+            }}
+          >
+            <div style={{ 
+              width: 70, 
+              height: 70, 
+              borderRadius: "50%", 
+              background: "rgba(255,255,255,0.95)", 
+              display: "flex", 
+              alignItems: "center", 
+              justifyContent: "center",
+              boxShadow: "0 4px 20px rgba(0,0,0,0.4)"
+            }}>
+              <span style={{ fontSize: 30, marginLeft: 6, color: "#000" }}>▶</span>
+            </div>
+          </div>
+          {/* Reel badge */}
+          <div style={{ position: "absolute", top: 12, left: 12, background: "rgba(0,0,0,0.7)", borderRadius: 8, padding: "6px 12px", display: "flex", alignItems: "center", gap: 6, zIndex: 10 }}>
+            <span aria-hidden="true" style={{ fontSize: 14 }}>🎬</span>
+            <span style={{ fontSize: 12, fontWeight: 900, color: "#fff" }}>{t("game.reel.badge")}</span>
+          </div>
+          {/* Tap to watch text */}
+          <div aria-hidden="true" style={{ position: "absolute", bottom: 20, left: 0, right: 0, textAlign: "center" }}>
+            <span style={{ background: "rgba(0,0,0,0.6)", padding: "8px 16px", borderRadius: 20, fontSize: 13, color: "#fff", fontWeight: 600 }}>{t("game.reel.tapToWatch")}</span>
+          </div>
+        </>
+      ) : media.local ? (
+        failed ? (
+          <div style={{ width: "100%", height: "100%", display: "flex", alignItems: "center", justifyContent: "center", color: "#9ca3af", fontSize: 14 }}>{t("game.reel.unavailable")}</div>
+        ) : (
+          // Native player for self-hosted clips: same play/stop rules as the embed
+          <video
+            key={`video-${youtubeId}-${iframeKey}`}
+            poster={media.poster}
+            style={{ width: "100%", height: "100%", objectFit: "cover", background: "#000" }}
+            autoPlay
+            loop
+            controls
+            playsInline
+          >
+            {media.sources.map((source, i) => (
+              <source key={source.type} src={source.src} type={source.type} onError={i === media.sources.length - 1 ? () => setFailed(true) : undefined} />
+            ))}
+          </video>
+        )
+      ) : (
+        <iframe
+          key={`iframe-${youtubeId}-${iframeKey}`}
+          title={t("game.reel.badge")}
+          src={media.embedUrl}
+          style={{ width: "100%", height: "100%", border: "none" }}
+          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+          allowFullScreen
+        />
+      )}
+    </div>
+  );
+}
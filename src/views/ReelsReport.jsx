@@ -0,0 +1,34 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { isFastSwipe, reelsSummary } from "../reels.js";
+
+const STATS = ["clips", "seconds", "loops", "autoplayed", "fastSwipes", "swipeSeconds"];
+
+// What the Reels tab measured (views: state.reelViews, see reels.js): one bar per clip, as long as it was
+// watched (red: swiped away at once, yellow: the next one started by itself), then the totals
+export default function ReelsReport({ views }) {
+  const { t } = useI18n();
+  if (!views.length) return null;
+  const summary = reelsSummary(views);
+  const longest = Math.max(1, ...views.map((v) => v.seconds));
+  return (
+    <section aria-labelledby="reels-report-title" style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="reels-report-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.reels.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 10 }}>{t("reveal.reels.intro")}</div>
+      <div role="img" aria-label={t("reveal.reels.chart", { n: summary.clips, seconds: summary.seconds })} style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 64, marginBottom: 8 }}>
+        {views.map((v, i) => (
+          <div key={i} style={{ flex: 1, maxWidth: 18, height: `${Math.max(4, (v.seconds / longest) * 100)}%`, borderRadius: 3, background: isFastSwipe(v) ? "#ff6b6b" : v.how === "auto" ? "#feca57" : "#64ffda" }} />
+        ))}
+      </div>
+      {STATS.filter((k) => summary[k] !== null).map((k) => (
+        <div key={k} style={{ display: "flex", gap: 12, padding: "10px 0", borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+          <div style={{ minWidth: 44, fontSize: 22, fontWeight: 1000, color: "#feca57", textAlign: "right" }}>{summary[k]}</div>
+          <div>
+            <div style={{ fontWeight: 900, fontSize: 13 }}>{t(`reveal.reels.items.${k}.label`)}</div>
+            <div style={{ marginTop: 4, color: "#d1d5db", fontSize: 13, lineHeight: 1.5 }}>{t(`reveal.reels.items.${k}.why`)}</div>
+          </div>
+        </div>
+      ))}
+    </section>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n.js";
+import { reelMedia } from "../media.js";
+import { loopWatcher } from "../reels.js";
+import SafeImg from "./SafeImg.jsx";
+
+const SETTLE_MS = 150; // the list has stopped moving: the clip snapped in place is the one on screen
+const LISTEN_RETRY_MS = 1000; // the embed has not answered yet: ask it again
+
+// The clip on screen plays by itself, with no controls; the others are only their poster. onLoop() each
+// time the player starts the clip over: the <video> tells its time in timeupdate events, the YouTube
+// embed (with enablejsapi) in the infoDelivery messages it posts once it is asked to ("listening").
+// A request sent before the embed's player is ready is lost, so it is sent again until the first answer
+function ReelClip({ reel, playing, onLoop }) {
+  const { t } = useI18n();
+  const [failed, setFailed] = useState(false);
+  const frameRef = useRef(null);
+  const onLoopRef = useRef(onLoop);
+  onLoopRef.current = onLoop;
+  const watcher = useRef(null);
+  const media = reelMedia(reel.youtubeId);
+  const played = (time) => {
+    if (!watcher.current) watcher.current = loopWatcher();
+    if (watcher.current(time)) onLoopRef.current();
+  };
+
+  const listen = () => {
+    if (frameRef.current && frameRef.current.contentWindow) frameRef.current.contentWindow.postMessage(JSON.stringify({ event: "listening", id: reel.id, channel: "widget" }), "*");
+  };
+
+  useEffect(() => {
+    watcher.current = null;
+    if (!playing || media.local) return undefined;
+    const retry = setInterval(listen, LISTEN_RETRY_MS);
+    const onMessage = (e) => {
+      if (!frameRef.current || e.source !== frameRef.current.contentWindow || typeof e.data !== "string") return;
+      let data;
+      try { data = JSON.parse(e.data); } catch (err) { return; }
+      clearInterval(retry);
+      if (data.event === "infoDelivery" && data.info && typeof data.info.currentTime === "number") played(data.info.currentTime);
+    };
+    window.addEventListener("message", onMessage);
+    return () => {
+      clearInterval(retry);
+      window.removeEventListener("message", onMessage);
+    };
+  }, [playing, media.local]);
+
+  if (!playing) return <img src={media.poster} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} onError={(e) => { e.currentTarget.style.visibility = "hidden"; }} />;
+  if (!media.local) {
+    return <iframe ref={frameRef} onLoad={listen} title={t("game.reel.badge")} src={`${media.embedUrl}&enablejsapi=1`} style={{ width: "100%", height: "100%", border: "none" }} allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture" />;
+  }
+  if (failed) return <div style={{ width: "100%", height: "100%", display: "flex", alignItems: "center", justifyContent: "center", color: "#9ca3af", fontSize: 14 }}>{t("game.reel.unavailable")}</div>;
+  return (
+    <video poster={media.poster} style={{ width: "100%", height: "100%", objectFit: "cover", background: "#000" }} autoPlay loop playsInline onTimeUpdate={(e) => played(e.currentTarget.currentTime)}>
+      {media.sources.map((source, i) => (
+        <source key={source.type} src={source.src} type={source.type} onError={i === media.sources.length - 1 ? () => setFailed(true) : undefined} />
+      ))}
+    </video>
+  );
+}
+
+// The Reels tab (see reels.js): one clip per screen, snapping in place. index: the clip playing, from the
+// engine, which also moves it on by itself; onSwipe(i) when the player brings another clip into view,
+// onLoop(i) when clip i started over
+export default function ReelsTab({ reels, index, onSwipe, onLoop, reducedMotion, altPhoto }) {
+  const { t } = useI18n();
+  const listRef = useRef(null);
+  const settle = useRef(null);
+  const indexRef = useRef(index);
+  indexRef.current = index;
+
+  useEffect(() => () => clearTimeout(settle.current), []);
+
+  // The engine moved on (autoplay) or a button was used: bring that clip into view
+  useEffect(() => {
+    const el = listRef.current;
+    if (!el || !el.clientHeight) return;
+    const top = index * el.clientHeight;
+    if (Math.abs(el.scrollTop - top) > 1) el.scrollTo({ top, behavior: reducedMotion ? "auto" : "smooth" });
+  }, [index, reducedMotion]);
+
+  const onScroll = () => {
+    clearTimeout(settle.current);
+    settle.current = setTimeout(() => {
+      const el = listRef.current;
+      if (!el || !el.clientHeight) return;
+      const i = Math.round(el.scrollTop / el.clientHeight);
+      if (i !== indexRef.current) onSwipe(i);
+    }, SETTLE_MS);
+  };
+
+  const arrow = { width: 44, height: 44, borderRadius: "50%", border: "1px solid rgba(255,255,255,0.2)", background: "rgba(0,0,0,0.45)", color: "#fff", fontSize: 18, cursor: "pointer" };
+
+  return (
+    <section aria-label={t("game.reels.title")} style={{ position: "fixed", inset: 0, zIndex: 55, background: "#000" }}>
+      <div ref={listRef} onScroll={onScroll} style={{ height: "100%", overflowY: "auto", scrollSnapType: "y mandatory", overscrollBehavior: "contain" }}>
+        {reels.map((reel, i) => (
+          <div key={reel.id} aria-label={t("game.reels.clip", { n: i + 1, user: reel.user })} aria-current={i === index ? "true" : undefined}
+            style={{ position: "relative", height: "100%", scrollSnapAlign: "start", scrollSnapStop: "always" }}>
+            {Math.abs(i - index) <= 1 && <ReelClip reel={reel} playing={i === index} onLoop={() => onLoop(i)} />}
+            <div style={{ position: "absolute", left: 14, right: 80, bottom: 100, pointerEvents: "none" }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, fontWeight: 900, fontSize: 14 }}>
+                <SafeImg src={reel.avatar} alt="" style={{ width: 32, height: 32, borderRadius: "50%", border: "2px solid #fff", objectFit: "cover" }} getAltSrc={altPhoto(null, 120)} />
+                {reel.user}
+              </div>
+              <div style={{ marginTop: 8, fontSize: 13, lineHeight: 1.4, textShadow: "0 1px 4px rgba(0,0,0,0.8)" }}>{reel.content}</div>
+              <div style={{ marginTop: 6, fontSize: 12, color: "#d1d5db" }}>{t("game.post.likes", { n: reel.likes })}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ position: "absolute", top: 14, left: 14, fontWeight: 1000, fontSize: 20, textShadow: "0 1px 4px rgba(0,0,0,0.8)" }}>{t("game.reels.title")}</div>
+      <div style={{ position: "absolute", right: 14, top: "40%", display: "flex", flexDirection: "column", gap: 12 }}>
+        <button onClick={() => onSwipe(index - 1)} disabled={index === 0} aria-label={t("game.reels.prev")} aria-keyshortcuts="K" style={{ ...arrow, opacity: index === 0 ? 0.35 : 1 }}>▲</button>
+        <button onClick={() => onSwipe(index + 1)} disabled={index >= reels.length - 1} aria-label={t("game.reels.next")} aria-keyshortcuts="J" style={{ ...arrow, opacity: index >= reels.length - 1 ? 0.35 : 1 }}>▼</button>
+      </div>
+    </section>
+  );
+}
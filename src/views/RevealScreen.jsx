@@ -0,0 +1,329 @@
+import React, { useState } from "react";
+import { clamp, formatTime } from "../utils.js";
+import { useI18n } from "../i18n.js";
+import { categoryShares, explorationRate } from "../interestModel.js";
+import { switchedOff } from "../facilitator.js";
+import { MOOD_SAMPLE_MS, selectGrooming, selectScore, selectStreakPrompt, selectTopInterest } from "../engine.js";
+import { ACHIEVEMENTS, RARITY_COLORS, selectAchievements } from "../achievements.js";
+import { buildResultsExport, downloadFile, exportFileName, resultsToCsv } from "../exportResults.js";
+import SessionTimeline from "../SessionTimeline.jsx";
+import { drawCertificate } from "./certificate.js";
+import useDialog from "./useDialog.js";
+import RunComparison from "./RunComparison.jsx";
+import RunHistory from "./RunHistory.jsx";
+import GroomingReport from "./GroomingReport.jsx";
+import DMChoices from "./DMChoices.jsx";
+import PhishingReport from "./PhishingReport.jsx";
+import StoryProfile from "./StoryProfile.jsx";
+import ReelsReport from "./ReelsReport.jsx";
+
+// What really happened: score, time, mood, feed drift, the replay and every trigger, plus share/export.
+// After a trap run it offers the humane version of the same feed (onPlayHumane); after the humane
+// run, compareWith is the trap run and both are shown side by side. history: the past runs on this device.
+export default function RevealScreen({ state, scenario, classCode, classStatus, onReplay, onPlayHumane, compareWith, history = [], onClearHistory, unlockAudio }) {
+  const { t, locale } = useI18n();
+  const [showCertificateModal, setShowCertificateModal] = useState(false);
+  const [certificateImageUrl, setCertificateImageUrl] = useState(null);
+  const {
+    handle: myHandle, seed: runSeed, intensity, switches, mode, startedAt, estimatedTime, timeSpent, exitedOnTime,
+    userInterests, learnedSignals, feedDrift, moodHistory, dopamineSpikes, likesReceived, activePosts, scrollDistance,
+    notificationsLog, notificationClicks, emptyNotificationClicks, reelsWatched, typingShownCount, streak, streakSecured, storiesWatched,
+    storiesPollClicks, adsClicked, sharedClickbait, acceptedFriendRequests, dmInbox, eventLog,
+  } = state;
+
+  const breakdown = selectScore(state);
+  const score = breakdown.total;
+  const timeRatio = estimatedTime ? timeSpent / estimatedTime : 0;
+  const topInterest = selectTopInterest(state);
+  const streakPrompt = selectStreakPrompt(state);
+  const totalWeight = Object.values(userInterests).reduce((a, b) => a + b, 0);
+  const suspiciousAccepted = acceptedFriendRequests.filter((r) => r.suspicious);
+  const acceptedTotal = acceptedFriendRequests.length;
+  const notifTotal = notificationsLog.length;
+  const notifEmptyApprox = notificationsLog.filter((n) => !n.hasContent).length;
+  const adPostsShown = activePosts.filter((p) => p.isAd).length;
+  const fomoBannersShown = activePosts.filter((p) => Boolean(p.fomoText)).length;
+  const clickbaitShown = activePosts.filter((p) => p.type === "clickbait" || p.fake).length;
+  const escalDMs = dmInbox.filter((d) => d.teenSafety).length;
+
+  const badges = selectAchievements(state).map(({ id, icon, rarity }) => ({ id, icon, rarity, title: t(`reveal.badges.${id}.title`), desc: t(`reveal.badges.${id}.desc`), why: t(`reveal.badges.${id}.why`) }));
+
+  const shareText = t("reveal.shareText", { score, time: formatTime(timeSpent), handle: myHandle, seed: runSeed, badges: badges.length, total: ACHIEVEMENTS.length });
+  const doShare = async () => { try { if (navigator.share) { await navigator.share({ title: "Scroll Trap", text: shareText }); return; } } catch (e) {} try { if (navigator.clipboard && navigator.clipboard.writeText) { await navigator.clipboard.writeText(shareText); alert(t("reveal.copied")); return; } } catch (e) {} prompt(t("common.copyThis"), shareText); };
+
+  const downloadCertificate = () => {
+    // Download / Show
+    const dataUrl = drawCertificate({ t, handle: myHandle, seed: runSeed, score, estimatedTime, timeSpent, badges });
+    const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+    
+    if (isMobile) {
+      // Su mobile: mostra il modal con l'immagine
+      setCertificateImageUrl(dataUrl);
+      setShowCertificateModal(true);
+    } else {
+      // Su desktop: download diretto
+      try {
+        const link = document.createElement("a");
+        link.download = `ScrollTrap_${myHandle}_${Date.now()}.png`;
+        link.href = dataUrl;
+        link.click();
+      } catch (e) {
+        // Fallback: mostra modal anche su desktop se il download fallisce
+        setCertificateImageUrl(dataUrl);
+        setShowCertificateModal(true);
+      }
+    }
+  };
+
+  const shareCertificateImage = async () => {
+    if (!certificateImageUrl) return;
+    
+    try {
+      // Converti data URL in blob per Web Share API
+      const response = await fetch(certificateImageUrl);
+      const blob = await response.blob();
+      const file = new File([blob], `ScrollTrap_${myHandle}.png`, { type: "image/png" });
+      
+      if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({
+          title: t("certificate.shareTitle"),
+          text: shareText,
+          files: [file]
+        });
+      } else {
+        // Fallback: copia il testo
+        if (navigator.clipboard) {
+          await navigator.clipboard.writeText(shareText);
+          alert(t("certificate.textCopied"));
+        }
+      }
+    } catch (e) {
+      console.log("Share failed:", e);
+    }
+  };
+
+  // Titles, stats and captions come from the locale files (triggers.<id>.*); `note` goes after the stat
+  const trigger = (id, icon, data, statVars, note) => ({
+    id, icon, data,
+    title: t(`triggers.${id}.title`),
+    stat: [t(`triggers.${id}.stat`, statVars), note].filter(Boolean).join(" • "),
+    caption: t(`triggers.${id}.caption`),
+  });
+  const topInterestShare = Math.round((userInterests[topInterest] / totalWeight) * 100);
+  // Chance that the next post is about the top interest, at each feed refill and at the end
+  const driftPoints = feedDrift.concat([{ t: timeSpent, weights: userInterests, epsilon: explorationRate(learnedSignals) }])
+    .map((d) => ({ t: d.t, pct: Math.round((categoryShares(d.weights, d.epsilon)[topInterest] || 0) * 100) }));
+  const driftBars = driftPoints.length > 35 ? Array.from({ length: 35 }, (_, i) => driftPoints[Math.round((i * (driftPoints.length - 1)) / 34)]) : driftPoints;
+  const pickedPosts = activePosts.filter((p) => p.reason && p.reason.explored !== undefined);
+  const exploredPct = pickedPosts.length ? Math.round((pickedPosts.filter((p) => p.reason.explored).length / pickedPosts.length) * 100) : 0;
+  const scrollMeters = Math.round(scrollDistance / 100);
+  const triggers = [
+    trigger("forYouFeed", "🎯", { topInterest, topInterestShare }, { interest: scenario.interests[topInterest]?.label || topInterest, pct: topInterestShare }),
+    trigger("notifications", "🔔", { shown: notifTotal, empty: notifEmptyApprox, clicks: notificationClicks, emptyClicks: emptyNotificationClicks }, { shown: notifTotal, empty: notifEmptyApprox, emptyClicks: emptyNotificationClicks }),
+    trigger("reels", "🎬", { watched: reelsWatched }, { n: reelsWatched }),
+    trigger("typingIndicator", "💬", { shown: typingShownCount }, { n: typingShownCount }),
+    trigger("variableRewards", "❤️", { dopamineSpikes, likesReceived }, { spikes: dopamineSpikes, likes: likesReceived }),
+    trigger("infiniteScroll", "📜", { scrollMeters, postsGenerated: activePosts.length }, { meters: scrollMeters, posts: activePosts.length }),
+    trigger("streak", "🔥", { streak, secured: streakSecured, promptDelay: streakPrompt ? streakPrompt.delay : null }, { count: streak },
+      streakPrompt && streakPrompt.stayed !== null && (streakPrompt.stayed ? t("triggers.streak.stayed", { time: formatTime(streakPrompt.delay) }) : t("triggers.streak.left"))),
+    trigger("stories", "👁️", { watched: storiesWatched, pollTaps: storiesPollClicks }, { watched: storiesWatched, polls: storiesPollClicks }),
+    trigger("fomo", "🔥", { bannersShown: fomoBannersShown }, { n: fomoBannersShown }),
+    trigger("ads", "💰", { shown: adPostsShown, clicks: adsClicked }, { shown: adPostsShown, clicks: adsClicked }),
+    trigger("clickbait", "⚠️", { shown: clickbaitShown, shared: sharedClickbait }, { shown: clickbaitShown, shared: sharedClickbait }),
+    trigger("friendRequests", "🧑‍🤝‍🧑", { accepted: acceptedTotal, suspiciousAccepted: suspiciousAccepted.length, escalationDMs: escalDMs }, { accepted: acceptedTotal, suspicious: suspiciousAccepted.length, escalation: escalDMs }),
+  ];
+
+  const exportResults = (format) => {
+    const result = buildResultsExport({
+      handle: myHandle,
+      seed: runSeed,
+      intensity,
+      switches,
+      mode,
+      scenario: scenario.source,
+      locale,
+      startedAt,
+      estimatedTime,
+      timeSpent,
+      exitedOnTime,
+      breakdown,
+      triggers,
+      moodHistory,
+      moodSampleSeconds: MOOD_SAMPLE_MS / 1000,
+      userInterests,
+      learnedSignals,
+      feedDrift: driftPoints,
+      acceptedFriendRequests,
+      badges,
+      events: eventLog,
+    });
+    if (format === "csv") downloadFile(exportFileName(result, "csv"), resultsToCsv(result), "text/csv;charset=utf-8");
+    else downloadFile(exportFileName(result, "json"), JSON.stringify(result, null, 2), "application/json");
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", height: "100%", overflowY: "auto", overflowX: "hidden", background: "linear-gradient(180deg,#0a0a0a 0%, #111827 45%, #0a0a0a 100%)", padding: "34px 18px 56px", fontFamily: "-apple-system, BlinkMacSystemFont, Segoe UI, system-ui, sans-serif", color: "#fff", WebkitOverflowScrolling: "touch" }} onMouseDown={unlockAudio} onTouchStart={unlockAudio}>
+      <div style={{ maxWidth: 720, margin: "0 auto" }}>
+        <div style={{ textAlign: "center", marginBottom: 22 }}>
+          <div style={{ fontSize: 70, marginBottom: 10 }}>🪤</div>
+          <div style={{ fontSize: 36, fontWeight: 1000, letterSpacing: -1 }}>{t(mode === "humane" ? "reveal.humane.doneTitle" : "reveal.title")}</div>
+          <div style={{ marginTop: 10, color: "#9ca3af", lineHeight: 1.6 }}>{t.rich(mode === "humane" ? "reveal.humane.doneSubtitle" : "reveal.subtitle", { handle: myHandle }, { b: (x) => <span style={{ color: "#fff", fontWeight: 900 }}>{x}</span> })}</div>
+          <div style={{ marginTop: 6, color: "#6b7280", fontSize: 12 }}>{t.rich("reveal.seed", { seed: runSeed }, { b: (x) => <span style={{ color: "#cbd5e1", fontWeight: 900, letterSpacing: 1 }}>{x}</span> })}</div>
+          <div style={{ marginTop: 4, color: "#6b7280", fontSize: 12 }}>{t.rich("reveal.intensity", { profile: t(`intensity.profiles.${intensity.profile}`) }, { b: (x) => <span style={{ color: "#cbd5e1", fontWeight: 900 }}>{x}</span> })}</div>
+          {intensity.profile === "custom" && <div style={{ marginTop: 4, color: "#6b7280", fontSize: 11, lineHeight: 1.5 }}>{Object.entries(intensity.levels).map(([id, level]) => `${t(`intensity.techniques.${id}`)}: ${t(`intensity.levels.${level}`)}`).join(" · ")}</div>}
+          {mode !== "humane" && switchedOff(switches).length > 0 && <div style={{ marginTop: 4, color: "#feca57", fontSize: 12 }}>{t("facilitator.off", { list: switchedOff(switches).map((id) => t(`facilitator.switches.${id}`)).join(", ") })}</div>}
+          {classCode && classStatus && <div style={{ marginTop: 6, fontSize: 12, color: classStatus === "sent" ? "#64ffda" : classStatus === "sending" ? "#9ca3af" : "#ff6b6b" }}>{classStatus === "sent" ? t("reveal.classSent", { code: classCode }) : classStatus === "sending" ? t("reveal.classSending") : t("reveal.classError", { code: classCode, error: classStatus })}</div>}
+        </div>
+
+        {compareWith && <RunComparison trap={compareWith} humane={state} />}
+
+        {badges.length > 0 && (
+          <div style={{ background: "linear-gradient(135deg, rgba(100,255,218,0.12), rgba(72,219,251,0.06))", border: "1px solid rgba(100,255,218,0.22)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+            <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 12, textAlign: "center" }}>{t("reveal.badges.title")}</div>
+            <div style={{ display: "flex", gap: 10, justifyContent: "center", flexWrap: "wrap" }}>
+              {badges.map((badge) => (
+                <div key={badge.id} style={{ background: "rgba(0,0,0,0.35)", border: `1px solid ${RARITY_COLORS[badge.rarity]}55`, borderRadius: 14, padding: "12px 16px", textAlign: "center", width: 180 }}>
+                  <div style={{ fontSize: 32, marginBottom: 6 }}>{badge.icon}</div>
+                  <div style={{ fontWeight: 900, fontSize: 13, marginBottom: 3 }}>{badge.title}</div>
+                  <div style={{ fontSize: 10, fontWeight: 900, letterSpacing: 1, textTransform: "uppercase", color: RARITY_COLORS[badge.rarity], marginBottom: 6 }}>{t(`reveal.badges.rarity.${badge.rarity}`)}</div>
+                  <div style={{ fontSize: 11, color: "#9ca3af", lineHeight: 1.45 }}>{badge.why}</div>
+                </div>
+              ))}
+            </div>
+            <div style={{ textAlign: "center", marginTop: 12, fontSize: 13, color: "#9ca3af" }}>{t("reveal.badges.unlocked", { n: badges.length, total: ACHIEVEMENTS.length })}</div>
+          </div>
+        )}
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+          <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 10 }}>{t("reveal.time.title")}</div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div style={{ textAlign: "center" }}><div style={{ color: "#6b7280", fontSize: 12 }}>{t("reveal.time.thought")}</div><div style={{ fontWeight: 1000, fontSize: 34 }}>{estimatedTime ? formatTime(estimatedTime) : "—"}</div></div>
+            <div style={{ color: timeRatio > 1 ? "#ff6b6b" : "#64ffda", fontSize: 30 }}>→</div>
+            <div style={{ textAlign: "center" }}><div style={{ color: "#6b7280", fontSize: 12 }}>{t("reveal.time.reality")}</div><div style={{ fontWeight: 1000, fontSize: 34, color: timeRatio > 1.5 ? "#ff6b6b" : timeRatio > 1 ? "#feca57" : "#64ffda" }}>{formatTime(timeSpent)}</div></div>
+          </div>
+          {estimatedTime && timeRatio > 1 && <div style={{ marginTop: 12, background: "rgba(255,107,107,0.10)", borderRadius: 12, padding: 10, textAlign: "center", color: "#ff6b6b", fontWeight: 900, fontSize: 13 }}>{t("reveal.time.overrun", { pct: Math.round((timeRatio - 1) * 100) })}</div>}
+        </div>
+
+        <div style={{ background: score > 70 ? "linear-gradient(135deg, rgba(255,107,107,0.16), rgba(238,90,90,0.08))" : score > 40 ? "linear-gradient(135deg, rgba(254,202,87,0.16), rgba(255,159,67,0.08))" : "linear-gradient(135deg, rgba(100,255,218,0.16), rgba(72,219,251,0.08))", borderRadius: 20, padding: 20, border: score > 70 ? "1px solid rgba(255,107,107,0.25)" : score > 40 ? "1px solid rgba(254,202,87,0.25)" : "1px solid rgba(100,255,218,0.25)", textAlign: "center", marginBottom: 14 }}>
+          <div style={{ fontWeight: 900, marginBottom: 8 }}>{t("reveal.score")}</div>
+          <div style={{ fontSize: 74, fontWeight: 1000, lineHeight: 1, color: score > 70 ? "#ff6b6b" : score > 40 ? "#feca57" : "#64ffda" }}>{score}%</div>
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+          <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 10 }}>{t("reveal.mood.title")}</div>
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 92, padding: "0 2px" }}>
+            {moodHistory.slice(-35).map((m, i) => { const h = clamp(m, 5, 100); const bg = m >= 60 ? "linear-gradient(180deg,#64ffda,#48dbfb)" : m >= 40 ? "linear-gradient(180deg,#feca57,#ff9f43)" : "linear-gradient(180deg,#ff6b6b,#ee5a5a)"; return (<div key={i} style={{ flex: 1, height: h + "%", background: bg, borderRadius: "4px 4px 0 0" }} />); })}
+          </div>
+          <div style={{ marginTop: 10, color: "#9ca3af", fontSize: 13, lineHeight: 1.55, textAlign: "center" }}>{t.rich("reveal.mood.caption")}</div>
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+          <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 10 }}>{t("reveal.drift.title", { interest: (scenario.interests[topInterest]?.label || topInterest).toUpperCase() })}</div>
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 92, padding: "0 2px" }}>
+            {driftBars.map((d, i) => (<div key={i} title={`${formatTime(d.t)} · ${d.pct}%`} style={{ flex: 1, height: clamp(d.pct, 3, 100) + "%", background: "linear-gradient(180deg,#feca57,#ff6b6b)", borderRadius: "4px 4px 0 0", opacity: 0.45 + (0.55 * (i + 1)) / driftBars.length }} />))}
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6, color: "#6b7280", fontSize: 11 }}><span>{formatTime(0)}</span><span>{formatTime(timeSpent)}</span></div>
+          <div style={{ marginTop: 10, color: "#9ca3af", fontSize: 13, lineHeight: 1.55, textAlign: "center" }}>{t.rich("reveal.drift.caption", { interest: scenario.interests[topInterest]?.label || topInterest, from: driftPoints[0].pct, to: driftPoints[driftPoints.length - 1].pct, signals: learnedSignals, explored: exploredPct })}</div>
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+          <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.replay.title")}</div>
+          <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 12 }}>{t("reveal.replay.intro")}</div>
+          <SessionTimeline events={eventLog} duration={timeSpent} />
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16 }}>
+          <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 14 }}>{t("reveal.triggersTitle")}</div>
+          {triggers.map((tr, idx) => (
+            <div key={idx} style={{ display: "flex", gap: 12, paddingBottom: 14, marginBottom: 14, borderBottom: idx < triggers.length - 1 ? "1px solid rgba(255,255,255,0.06)" : "none" }}>
+              <div style={{ width: 48, height: 48, borderRadius: 14, display: "flex", alignItems: "center", justifyContent: "center", background: "rgba(255,255,255,0.06)", fontSize: 22, flexShrink: 0 }}>{tr.icon}</div>
+              <div><div style={{ fontWeight: 1000, fontSize: 15 }}>{tr.title}</div><div style={{ marginTop: 4, color: "#d1d5db", fontSize: 13, lineHeight: 1.55 }}>{tr.caption}</div><div style={{ marginTop: 6, color: "#9ca3af", fontWeight: 800, fontSize: 12 }}>📊 {tr.stat}</div></div>
+            </div>
+          ))}
+        </div>
+
+        <GroomingReport threads={selectGrooming(state)} />
+        <DMChoices choices={state.dmChoices} />
+        <PhishingReport visits={state.phishingVisits} pages={scenario.phishing?.pages} />
+        <StoryProfile stats={{ poll: storiesPollClicks, ...state.storyStats }} />
+        <ReelsReport views={state.reelViews} />
+
+        <RunHistory history={history} onClear={onClearHistory} />
+
+        {onPlayHumane && (
+          <div style={{ background: "linear-gradient(135deg, rgba(100,255,218,0.12), rgba(72,219,251,0.06))", border: "1px solid rgba(100,255,218,0.22)", borderRadius: 20, padding: 18, marginBottom: 16 }}>
+            <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 8 }}>{t("reveal.humane.title")}</div>
+            <div style={{ color: "#d1d5db", fontSize: 13, lineHeight: 1.6 }}>{t("reveal.humane.text")}</div>
+            <button onClick={onPlayHumane} style={{ marginTop: 12, width: "100%", padding: 14, borderRadius: 14, border: "none", background: "linear-gradient(135deg,#64ffda,#48dbfb)", color: "#000", fontWeight: 1000, cursor: "pointer" }}>{t("reveal.humane.play")}</button>
+          </div>
+        )}
+
+        <div style={{ background: "linear-gradient(135deg, rgba(255,107,107,0.14), rgba(255,51,102,0.06))", border: "1px solid rgba(255,107,107,0.20)", borderRadius: 20, padding: 18, marginBottom: 16 }}>
+          <div style={{ fontWeight: 1000, marginBottom: 8 }}>{t("reveal.lesson.title")}</div>
+          <div style={{ color: "#d1d5db", lineHeight: 1.6, fontSize: 13 }}>{t.rich("reveal.lesson.text", null, { b: (x) => <span style={{ color: "#fff", fontWeight: 1000 }}>{x}</span> })}</div>
+          <div style={{ marginTop: 10, fontWeight: 1000 }}>{t.rich("reveal.lesson.stats", { accepted: acceptedTotal, suspicious: suspiciousAccepted.length, escalation: escalDMs }, { b: (x) => <span style={{ color: "#fff" }}>{x}</span>, suspicious: (x) => <span style={{ color: suspiciousAccepted.length > 0 ? "#ff6b6b" : "#64ffda" }}>{x}</span> })}</div>
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 12 }}>
+          <div style={{ fontWeight: 1000, marginBottom: 8 }}>{t("reveal.about.title")}</div>
+          <div style={{ color: "#d1d5db", fontSize: 13, lineHeight: 1.6 }}>{t.rich("reveal.about.text", null, { b: (x) => <span style={{ color: "#fff", fontWeight: 1000 }}>{x}</span>, hl: (x) => <span style={{ color: "#64ffda", fontWeight: 900 }}>{x}</span> })}</div>
+        </div>
+
+        <div style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16 }}>
+          <div style={{ fontWeight: 1000, marginBottom: 8 }}>{t("reveal.privacy.title")}</div>
+          <div style={{ color: "#d1d5db", fontSize: 13, lineHeight: 1.6 }}>{t.rich("reveal.privacy.text", null, { strong: (x) => <strong>{x}</strong>, b: (x) => <span style={{ color: "#fff", fontWeight: 900 }}>{x}</span> })}{classCode && <><br /><br />{t("reveal.privacy.classroom")}</>}</div>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ display: "flex", gap: 10 }}>
+            <button onClick={onReplay} style={{ flex: 1, padding: 14, borderRadius: 14, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#fff", fontWeight: 900, cursor: "pointer" }}>{t("reveal.playAgain")}</button>
+            <button onClick={doShare} style={{ flex: 1, padding: 14, borderRadius: 14, border: "none", background: "linear-gradient(135deg,#64ffda,#48dbfb)", color: "#000", fontWeight: 1000, cursor: "pointer" }}>{t("reveal.share")}</button>
+          </div>
+          <button onClick={downloadCertificate} style={{ width: "100%", padding: 14, borderRadius: 14, border: "2px solid rgba(254,202,87,0.4)", background: "linear-gradient(135deg, rgba(254,202,87,0.12), rgba(255,107,107,0.08))", color: "#feca57", fontWeight: 1000, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center", gap: 8 }}><span style={{ fontSize: 18 }}>🎓</span>{t("reveal.downloadCertificate")}</button>
+          <div style={{ display: "flex", gap: 10 }}>
+            <button onClick={() => exportResults("json")} style={{ flex: 1, padding: 12, borderRadius: 14, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#cbd5e1", fontWeight: 900, cursor: "pointer", fontSize: 13 }}>{t("reveal.exportJson")}</button>
+            <button onClick={() => exportResults("csv")} style={{ flex: 1, padding: 12, borderRadius: 14, border: "1px solid rgba(255,255,255,0.16)", background: "transparent", color: "#cbd5e1", fontWeight: 900, cursor: "pointer", fontSize: 13 }}>{t("reveal.exportCsv")}</button>
+          </div>
+        </div>
+
+        <div style={{ marginTop: 14, color: "#6b7280", fontSize: 12, textAlign: "center" }}>{t("reveal.footnote")}</div>
+      </div>
+
+      {showCertificateModal && certificateImageUrl && (
+        <CertificateModal imageUrl={certificateImageUrl} fileName={`ScrollTrap_${myHandle}.png`} onShare={shareCertificateImage} onClose={() => setShowCertificateModal(false)} />
+      )}
+    </div>
+  );
+}
+
+function CertificateModal({ imageUrl, fileName, onShare, onClose }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("certificate.modalTitle"), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.95)", zIndex: 200, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: 16 }}>
+      <button onClick={onClose} aria-label={t("a11y.close")} style={{ position: "absolute", top: 20, right: 20, background: "rgba(255,255,255,0.1)", border: "none", color: "#fff", width: 44, height: 44, borderRadius: "50%", fontSize: 24, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center" }}>✕</button>
+      
+      <div style={{ textAlign: "center", marginBottom: 16 }}>
+        <div style={{ fontSize: 18, fontWeight: 900, color: "#64ffda", marginBottom: 8 }}>{t("certificate.modalTitle")}</div>
+        <div style={{ color: "#9ca3af", fontSize: 14 }}>{t("certificate.modalHint")}</div>
+      </div>
+      
+      <div style={{ maxWidth: "100%", maxHeight: "65vh", overflow: "auto", borderRadius: 16, boxShadow: "0 20px 60px rgba(0,0,0,0.5)" }}>
+        <img src={imageUrl} alt={t("certificate.alt")} style={{ width: "100%", maxWidth: 400, height: "auto", display: "block", borderRadius: 16 }} />
+      </div>
+      
+      <div style={{ marginTop: 20, display: "flex", gap: 12, flexWrap: "wrap", justifyContent: "center" }}>
+        <button onClick={onShare} style={{ padding: "14px 24px", borderRadius: 14, border: "none", background: "linear-gradient(135deg,#64ffda,#48dbfb)", color: "#000", fontWeight: 900, cursor: "pointer", fontSize: 15, display: "flex", alignItems: "center", gap: 8 }}>
+          <span aria-hidden="true">📤</span> {t("certificate.share")}
+        </button>
+        <button onClick={() => { const link = document.createElement("a"); link.download = fileName; link.href = imageUrl; link.click(); }} style={{ padding: "14px 24px", borderRadius: 14, border: "1px solid rgba(255,255,255,0.2)", background: "transparent", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15, display: "flex", alignItems: "center", gap: 8 }}>
+          <span aria-hidden="true">💾</span> {t("certificate.download")}
+        </button>
+      </div>
+      
+      <div style={{ marginTop: 16, color: "#6b7280", fontSize: 12, textAlign: "center" }}>
+        {t.rich("certificate.saveTips")}
+      </div>
+    </div>
+  );
+}
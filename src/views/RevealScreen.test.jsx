@@ -0,0 +1,196 @@
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, within } from "@testing-library/react";
+import { I18nContext } from "../i18n.js";
+import { resolveIntensity } from "../intensity.js";
+import RevealScreen from "./RevealScreen.jsx";
+import { dayKey } from "../streak.js";
+import { summarizeRun } from "../history.js";
+import { ACHIEVEMENTS, selectAchievements } from "../achievements.js";
+import { EVENING, scenario, startRun, t } from "../test/run.js";
+
+const BADGE_TITLES = ["exitedOnTime", "ignoredEmptyNotifs", "refusedSuspicious"].map((id) => t(`reveal.badges.${id}.title`));
+
+function renderReveal(state, props = {}) {
+  render(
+    <I18nContext.Provider value={{ t, locale: "it", setLocale: () => {} }}>
+      <RevealScreen state={state} scenario={scenario} classCode={null} classStatus={null} onReplay={() => {}} unlockAudio={() => {}} {...props} />
+    </I18nContext.Provider>,
+  );
+}
+
+afterEach(cleanup);
+
+describe("RevealScreen", () => {
+  it("shows every badge earned", () => {
+    const run = startRun({ estimatedTime: 60 });
+    run.advance(10000);
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    BADGE_TITLES.forEach((title) => expect(screen.getByText(title)).toBeTruthy());
+    expect(screen.getByText(t("reveal.badges.unlocked", { n: selectAchievements(run.state()).length, total: ACHIEVEMENTS.length }))).toBeTruthy();
+  });
+
+  it("leaves out the badges that were lost", () => {
+    const run = startRun({ estimatedTime: 5 });
+    run.advance(10000);
+    run.dispatch({ type: "end" });
+    const state = { ...run.state(), refusedSuspicious: false };
+    renderReveal(state);
+    expect(screen.queryByText(BADGE_TITLES[0])).toBeNull();
+    expect(screen.getByText(BADGE_TITLES[1])).toBeTruthy();
+    expect(screen.queryByText(BADGE_TITLES[2])).toBeNull();
+    expect(screen.getByText(t("reveal.badges.unlocked", { n: selectAchievements(state).length, total: ACHIEVEMENTS.length }))).toBeTruthy();
+  });
+
+  it("states the intensity profile, with the level of each technique when custom", () => {
+    const run = startRun({ intensity: resolveIntensity("custom", { notifications: "aggressive" }) });
+    run.advance(1000);
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    expect(screen.getByText(t("intensity.profiles.custom"))).toBeTruthy();
+    expect(screen.getByText(new RegExp(`${t("intensity.techniques.notifications")}: ${t("intensity.levels.aggressive")}`))).toBeTruthy();
+  });
+
+  it("invites to play the humane feed after a trap run", () => {
+    const run = startRun();
+    run.advance(1000);
+    run.dispatch({ type: "end" });
+    const onPlayHumane = vi.fn();
+    renderReveal(run.state(), { onPlayHumane });
+    fireEvent.click(screen.getByText(t("reveal.humane.play")));
+    expect(onPlayHumane).toHaveBeenCalledTimes(1);
+    expect(screen.queryByText(t("reveal.compare.title"))).toBeNull();
+  });
+
+  it("compares the humane run with the trap run", () => {
+    const trap = startRun({ seed: "COMPARE", estimatedTime: 60 });
+    trap.advance(90000);
+    trap.dispatch({ type: "end" });
+    const humane = startRun({ seed: "COMPARE", estimatedTime: 60, mode: "humane" });
+    humane.advance(30000);
+    humane.dispatch({ type: "end" });
+    renderReveal(humane.state(), { compareWith: trap.state() });
+    expect(screen.getByText(t("reveal.humane.doneTitle"))).toBeTruthy();
+    const table = screen.getByRole("table");
+    const timeRow = within(table).getByText(t("reveal.compare.time")).closest("tr");
+    expect(within(timeRow).getByText("1:30")).toBeTruthy();
+    expect(within(timeRow).getByText("0:30")).toBeTruthy();
+    expect(screen.getByRole("img", { name: t("reveal.compare.moodCurve") })).toBeTruthy();
+  });
+
+  it("says how long the streak prompt held the player", () => {
+    const run = startRun({ start: EVENING, streak: { count: 1, lastDay: dayKey(EVENING - 24 * 60 * 60 * 1000) } });
+    run.advance(20000);
+    run.dispatch({ type: "requestExit" });
+    run.dispatch({ type: "streakStay" });
+    run.advance(65000);
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    expect(screen.getByText(`📊 ${t("triggers.streak.stat", { count: 1 })} • ${t("triggers.streak.stayed", { time: "1:05" })}`)).toBeTruthy();
+  });
+
+  it("lists the past runs and deletes them after confirmation", () => {
+    const first = startRun({ estimatedTime: 60 });
+    first.advance(120000);
+    first.dispatch({ type: "end" });
+    const run = startRun({ estimatedTime: 60 });
+    run.advance(30000);
+    run.dispatch({ type: "end" });
+    const history = [summarizeRun(first.state()), { ...summarizeRun(run.state()), id: first.state().startedAt + 1 }];
+    const onClearHistory = vi.fn();
+    renderReveal(run.state(), { history, onClearHistory });
+    expect(screen.getByText(t("history.title"))).toBeTruthy();
+    expect(screen.getByText("2:00 / 1:00")).toBeTruthy();
+    expect(screen.getByText("0:30 / 1:00")).toBeTruthy();
+    const confirm = vi.spyOn(window, "confirm").mockReturnValueOnce(false).mockReturnValueOnce(true);
+    fireEvent.click(screen.getByText(t("history.delete")));
+    expect(onClearHistory).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByText(t("history.delete")));
+    expect(onClearHistory).toHaveBeenCalledTimes(1);
+    confirm.mockRestore();
+  });
+
+  it("goes through the grooming chat stage by stage, only when the player met it", () => {
+    const quiet = startRun();
+    quiet.dispatch({ type: "end" });
+    renderReveal(quiet.state());
+    expect(screen.queryByText(t("reveal.grooming.title"))).toBeNull();
+    cleanup();
+
+    const run = startRun();
+    const groomer = scenario.dms.find((dm) => dm.teenSafety);
+    run.dispatch({ type: "openDM", id: groomer.id });
+    run.dispatch({ type: "sendDM", text: "ciao!" });
+    run.advance(8000);
+    run.dispatch({ type: "sendDM", text: "Lo dico alla prof" });
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    const section = within(screen.getByRole("region", { name: t("reveal.grooming.title") }));
+    expect(section.getByText(`@${groomer.user}`)).toBeTruthy();
+    expect(section.getByText(t("reveal.grooming.outcome.defused", { how: t("reveal.grooming.how.tellAdult") }))).toBeTruthy();
+    expect(section.getAllByText(t("reveal.grooming.status.complied"))).toHaveLength(1);
+    expect(section.getAllByText(t("reveal.grooming.status.defused"))).toHaveLength(1);
+    expect(section.getAllByText(t("reveal.grooming.status.notReached"))).toHaveLength(3);
+    expect(section.getByText(t("reveal.grooming.stages.imageRequest.explain"))).toBeTruthy();
+  });
+
+  it("lists each suggested reply sent with why it was safe or risky", () => {
+    const run = startRun();
+    const scam = scenario.dms.find((dm) => dm.scam && !dm.teenSafety);
+    run.dispatch({ type: "openDM", id: scam.id });
+    run.dispatch({ type: "sendDM", choice: "scam_how" });
+    run.dispatch({ type: "sendDM", choice: "block" });
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    const section = within(screen.getByRole("region", { name: t("reveal.dmChoices.title") }));
+    ["scam_how", "block"].forEach((id) => {
+      const choice = scenario.quickReplies.find((q) => q.id === id);
+      expect(section.getByText(choice.text)).toBeTruthy();
+      expect(section.getByText(choice.why)).toBeTruthy();
+    });
+    expect(section.getAllByText(t("reveal.dmChoices.unsafe"))).toHaveLength(1);
+    expect(section.getAllByText(t("reveal.dmChoices.safe"))).toHaveLength(1);
+  });
+
+  it("takes apart the address of each fake page opened, highlighting the real site", () => {
+    const run = startRun();
+    const linked = scenario.dms.find((dm) => dm.messages.some((m) => m.link));
+    const page = scenario.phishing.pages.find((p) => p.id === linked.messages.find((m) => m.link).link);
+    run.dispatch({ type: "openDM", id: linked.id });
+    run.dispatch({ type: "openDMLink", page: page.id });
+    run.dispatch({ type: "submitPhishing", fields: page.fields.slice(0, 1) });
+    run.dispatch({ type: "closePhishing", fields: [] });
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    const section = within(screen.getByRole("region", { name: t("reveal.phishing.title") }));
+    expect(section.getByText("premi-vincitori.net", { selector: "mark" })).toBeTruthy();
+    expect(section.getByText(t("reveal.phishing.submitted", { fields: t(`game.phishing.fields.${page.fields[0]}`) }))).toBeTruthy();
+  });
+
+  it("says what each story gesture told the app, leaving out the ones never made", () => {
+    const run = startRun();
+    run.dispatch({ type: "openStory", id: "st1" });
+    run.dispatch({ type: "storySticker", choice: "a" });
+    run.dispatch({ type: "storyNext" });
+    run.dispatch({ type: "closeStory" });
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    const section = within(screen.getByRole("region", { name: t("reveal.storyProfile.title") }));
+    ["poll", "forward", "closeFriends"].forEach((k) => expect(section.getByText(t(`reveal.storyProfile.items.${k}.why`))).toBeTruthy());
+    expect(section.queryByText(t("reveal.storyProfile.items.holds.label"))).toBeNull();
+  });
+
+  it("charts the reels watched in the Reels tab with what each measure tells the app", () => {
+    const run = startRun();
+    run.dispatch({ type: "openReels" });
+    run.advance(500);
+    run.dispatch({ type: "swipeReel", index: 1 });
+    run.advance(4000);
+    run.dispatch({ type: "end" });
+    renderReveal(run.state());
+    const section = within(screen.getByRole("region", { name: t("reveal.reels.title") }));
+    expect(section.getByRole("img", { name: t("reveal.reels.chart", { n: 2, seconds: 5 }) })).toBeTruthy();
+    ["clips", "fastSwipes", "swipeSeconds"].forEach((k) => expect(section.getByText(t(`reveal.reels.items.${k}.why`))).toBeTruthy());
+  });
+});
@@ -0,0 +1,66 @@
+import React from "react";
+import { formatTime } from "../utils.js";
+import { useI18n } from "../i18n.js";
+import { selectScore } from "../engine.js";
+
+const COLORS = { trap: "#ff6b6b", humane: "#64ffda" };
+
+// Popups that interrupted the feed: one per notification in a trap run, one per digest in a humane one
+function interruptions(s) {
+  return s.eventLog.filter((e) => e.type === "notification_shown" || e.type === "notification_digest_shown").length;
+}
+
+function averageMood(s) {
+  return Math.round(s.moodHistory.reduce((a, b) => a + b, 0) / s.moodHistory.length);
+}
+
+// Both mood curves on the same time axis (one sample every MOOD_SAMPLE_MS)
+function MoodCurves({ runs, label }) {
+  const samples = Math.max(2, ...runs.map((r) => r.state.moodHistory.length));
+  const points = (history) => history.map((m, i) => `${((i / (samples - 1)) * 100).toFixed(2)},${(40 - (m / 100) * 40).toFixed(2)}`).join(" ");
+  return (
+    <svg viewBox="0 0 100 40" preserveAspectRatio="none" role="img" aria-label={label} style={{ width: "100%", height: 110, background: "rgba(0,0,0,0.25)", borderRadius: 12 }}>
+      <line x1="0" y1="20" x2="100" y2="20" stroke="rgba(255,255,255,0.08)" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      {runs.map((r) => <polyline key={r.id} points={points(r.state.moodHistory)} fill="none" stroke={COLORS[r.id]} strokeWidth="2" vectorEffect="non-scaling-stroke" />)}
+    </svg>
+  );
+}
+
+// Reveal of a humane run: the same seed played with and without the traps, side by side
+export default function RunComparison({ trap, humane }) {
+  const { t } = useI18n();
+  const runs = [{ id: "trap", state: trap }, { id: "humane", state: humane }];
+  const rows = [
+    { id: "time", value: (s) => formatTime(s.timeSpent) },
+    { id: "score", value: (s) => `${selectScore(s).total}%` },
+    { id: "mood", value: (s) => averageMood(s) },
+    { id: "interruptions", value: (s) => interruptions(s) },
+  ];
+  return (
+    <div style={{ background: "linear-gradient(135deg, rgba(100,255,218,0.10), rgba(255,107,107,0.06))", border: "1px solid rgba(100,255,218,0.22)", borderRadius: 20, padding: 18, marginBottom: 14 }}>
+      <div style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 12 }}>{t("reveal.compare.title")}</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th />
+            {runs.map((r) => <th key={r.id} scope="col" style={{ textAlign: "right", padding: "0 0 8px 8px", color: COLORS[r.id], fontSize: 12, fontWeight: 900 }}>{t(`reveal.compare.${r.id}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.id} style={{ borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+              <th scope="row" style={{ textAlign: "left", padding: "8px 0", color: "#9ca3af", fontWeight: 700 }}>{t(`reveal.compare.${row.id}`)}</th>
+              {runs.map((r) => <td key={r.id} style={{ textAlign: "right", padding: "8px 0 8px 8px", fontWeight: 900, fontSize: 16 }}>{row.value(r.state)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ color: "#9ca3af", fontSize: 12, fontWeight: 700, margin: "14px 0 8px" }}>{t("reveal.compare.moodCurve")}</div>
+      <MoodCurves runs={runs} label={t("reveal.compare.moodCurve")} />
+      <div style={{ display: "flex", gap: 14, justifyContent: "center", marginTop: 8, fontSize: 12 }}>
+        {runs.map((r) => <span key={r.id} style={{ color: COLORS[r.id], fontWeight: 800 }}>━ {t(`reveal.compare.${r.id}`)}</span>)}
+      </div>
+      <div style={{ marginTop: 12, color: "#d1d5db", fontSize: 13, lineHeight: 1.55, textAlign: "center" }}>{t("reveal.compare.caption", { estimated: trap.estimatedTime ? formatTime(trap.estimatedTime) : "—" })}</div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from "react";
+import { formatTime } from "../utils.js";
+import { useI18n } from "../i18n.js";
+import { ACHIEVEMENTS } from "../achievements.js";
+
+const CHART_RUNS = 20; // the charts show the latest runs only
+const LIST_RUNS = 8;
+
+const scoreColor = (score) => (score >= 60 ? "#ff6b6b" : score >= 40 ? "#feca57" : "#64ffda");
+
+function Sparkline({ values }) {
+  const points = values.map((m, i) => `${((i / Math.max(1, values.length - 1)) * 100).toFixed(2)},${(20 - (m / 100) * 20).toFixed(2)}`).join(" ");
+  return (
+    <svg viewBox="0 0 100 20" preserveAspectRatio="none" aria-hidden="true" style={{ width: 64, height: 20 }}>
+      <polyline points={points} fill="none" stroke="#48dbfb" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+// Past runs on this device (history.js): score and time trends, the latest runs and "delete my history"
+export default function RunHistory({ history, onClear }) {
+  const { t, locale } = useI18n();
+  if (!history.length) return null;
+  const recent = history.slice(-CHART_RUNS);
+  const first = history[0];
+  const last = history[history.length - 1];
+  const longest = Math.max(1, ...recent.map((r) => Math.max(r.timeSpent, r.estimatedTime || 0)));
+  const date = (run) => new Date(run.date).toLocaleDateString(locale, { day: "numeric", month: "short" });
+  const clear = () => {
+    if (window.confirm(t("history.confirmDelete"))) onClear();
+  };
+
+  return (
+    <section aria-labelledby="history-title" style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="history-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("history.title")}</div>
+      <div style={{ color: "#6b7280", fontSize: 12, lineHeight: 1.5, marginBottom: 12 }}>{t("history.localOnly")}</div>
+      {history.length > 1 && (
+        <div style={{ color: "#d1d5db", fontSize: 13, lineHeight: 1.55, marginBottom: 12 }}>
+          {t.rich("history.trend", { count: history.length, first: first.score, last: last.score }, { b: (x) => <span style={{ color: "#fff", fontWeight: 900 }}>{x}</span> })}
+        </div>
+      )}
+
+      <div style={{ color: "#9ca3af", fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("history.scoreChart")}</div>
+      <div role="img" aria-label={t("history.scoreChartLabel", { scores: recent.map((r) => `${r.score}%`).join(", ") })} style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 70, background: "rgba(0,0,0,0.25)", borderRadius: 12, padding: "8px 8px 0" }}>
+        {recent.map((r) => <div key={r.id} title={`${date(r)}: ${r.score}%`} style={{ flex: 1, maxWidth: 28, height: `${Math.max(4, r.score)}%`, background: scoreColor(r.score), borderRadius: "4px 4px 0 0" }} />)}
+      </div>
+
+      <div style={{ color: "#9ca3af", fontSize: 12, fontWeight: 700, margin: "14px 0 6px" }}>{t("history.timeChart")}</div>
+      <div role="img" aria-label={t("history.timeChartLabel", { times: recent.map((r) => `${formatTime(r.timeSpent)}/${r.estimatedTime ? formatTime(r.estimatedTime) : "—"}`).join(", ") })} style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 70, background: "rgba(0,0,0,0.25)", borderRadius: 12, padding: "8px 8px 0" }}>
+        {recent.map((r) => (
+          <div key={r.id} title={`${date(r)}: ${formatTime(r.timeSpent)} / ${r.estimatedTime ? formatTime(r.estimatedTime) : "—"}`} style={{ flex: 1, maxWidth: 28, height: "100%", position: "relative" }}>
+            <div style={{ position: "absolute", bottom: 0, left: 0, right: 0, height: `${Math.max(4, (r.timeSpent / longest) * 100)}%`, background: "linear-gradient(180deg,#ff6b6b,#ff3366)", borderRadius: "4px 4px 0 0" }} />
+            {r.estimatedTime && <div style={{ position: "absolute", left: -2, right: -2, bottom: `${(r.estimatedTime / longest) * 100}%`, height: 2, background: "#64ffda" }} />}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 14, marginTop: 6, fontSize: 11 }}>
+        <span style={{ color: "#ff6b6b", fontWeight: 800 }}>■ {t("history.actual")}</span>
+        <span style={{ color: "#64ffda", fontWeight: 800 }}>━ {t("history.estimated")}</span>
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, marginTop: 14 }}>
+        <thead>
+          <tr style={{ color: "#6b7280" }}>
+            {["date", "time", "score", "badges", "mood"].map((id) => <th key={id} scope="col" style={{ textAlign: "left", fontWeight: 700, padding: "0 6px 6px 0" }}>{t(`history.columns.${id}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {history.slice(-LIST_RUNS).reverse().map((r) => (
+            <tr key={r.id} style={{ borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+              <td style={{ padding: "6px 6px 6px 0", color: "#cbd5e1" }}>{date(r)}</td>
+              <td style={{ padding: "6px 6px 6px 0", color: "#cbd5e1" }}>{formatTime(r.timeSpent)} / {r.estimatedTime ? formatTime(r.estimatedTime) : "—"}</td>
+              <td style={{ padding: "6px 6px 6px 0", color: scoreColor(r.score), fontWeight: 900 }}>{r.score}%</td>
+              <td style={{ padding: "6px 6px 6px 0", color: "#cbd5e1" }}>🏅 {r.badges.length}/{ACHIEVEMENTS.length}</td>
+              <td style={{ padding: "6px 0" }}><Sparkline values={r.mood} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button onClick={clear} style={{ marginTop: 12, background: "transparent", border: "1px solid rgba(255,107,107,0.35)", color: "#ff6b6b", padding: "8px 12px", borderRadius: 12, cursor: "pointer", fontWeight: 700, fontSize: 12 }}>{t("history.delete")}</button>
+    </section>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useI18n } from "../i18n.js";
+
+const fallbackImage = (label) =>
+  "data:image/svg+xml;utf8," +
+  encodeURIComponent(`
+  <svg xmlns="http://www.w3.org/2000/svg" width="900" height="900">
+    <defs>
+      <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0" stop-color="#111827"/>
+        <stop offset="1" stop-color="#000000"/>
+      </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#g)"/>
+    <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle"
+      fill="#9ca3af" font-family="system-ui,-apple-system,Segoe UI,sans-serif" font-size="28">
+      ${label}
+    </text>
+  </svg>
+`);
+
+// An <img> that asks getAltSrc(attempt) for another photo when one fails, then shows a placeholder
+export default function SafeImg({ src, alt, style, loading, getAltSrc, maxRetries = 2 }) {
+  const { t } = useI18n();
+  const [currentSrc, setCurrentSrc] = useState(src);
+  const [tries, setTries] = useState(0);
+
+  useEffect(() => {
+    setCurrentSrc(src);
+    setTries(0);
+  }, [src]);
+
+  const onError = useCallback(() => {
+    if (tries < maxRetries && typeof getAltSrc === "function") {
+      const next = getAltSrc(tries + 1);
+      if (next && next !== currentSrc) {
+        setCurrentSrc(next);
+        setTries((t) => t + 1);
+        return;
+      }
+    }
+    setCurrentSrc(fallbackImage(t("common.imageUnavailable")));
+  }, [tries, maxRetries, getAltSrc, currentSrc, t]);
+
+  return (
+    <img
+      src={currentSrc}
+      alt={alt}
+      style={style}
+      loading={loading}
+      onError={onError}
+    />
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import useDialog from "./useDialog.js";
+
+const ICONS = { report: "🚩", restrict: "🤐", block: "⛔" };
+
+// After a report, block or restrict: what a real platform does with it, and whether the account really was dangerous
+export default function SafetyFeedback({ feedback, onClose }) {
+  const { t } = useI18n();
+  const { action, user, harmful } = feedback;
+  const dialog = useDialog(t(`game.safety.done.${action}`, { user }), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.85)", zIndex: 210, display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+      <div style={{ background: "#1c1c1e", borderRadius: 20, padding: 24, maxWidth: 360, width: "100%", textAlign: "center" }}>
+        <div style={{ fontSize: 48, marginBottom: 12 }}>{ICONS[action]}</div>
+        <div style={{ fontSize: 16, fontWeight: 900, marginBottom: 10 }}>{t(`game.safety.done.${action}`, { user })}</div>
+        <div style={{ color: "#d1d5db", fontSize: 14, marginBottom: 14, lineHeight: 1.5, textAlign: "left" }}>{t(`game.safety.explain.${action}`)}</div>
+        <div style={{ padding: "10px 12px", borderRadius: 12, marginBottom: 18, fontSize: 13, fontWeight: 800, lineHeight: 1.45, textAlign: "left", color: harmful ? "#64ffda" : "#feca57", background: harmful ? "rgba(100,255,218,0.10)" : "rgba(254,202,87,0.10)", border: `1px solid ${harmful ? "rgba(100,255,218,0.22)" : "rgba(254,202,87,0.22)"}` }}>
+          {t(harmful ? "game.safety.harmful" : "game.safety.harmless", { user })}
+        </div>
+        <button onClick={onClose} style={{ width: "100%", padding: "14px 20px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#667eea,#764ba2)", color: "#fff", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{t("game.safety.ok")}</button>
+      </div>
+    </div>
+  );
+}
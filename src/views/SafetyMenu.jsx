@@ -0,0 +1,30 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n.js";
+
+const ACTIONS = ["report", "restrict", "block"];
+
+// "•••" on a chat, profile or friend request: report, restrict or block `user`.
+// done: the actions already taken against them (shown ticked, not repeatable)
+export default function SafetyMenu({ user, done, onAction }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen((o) => !o)} aria-expanded={open} aria-label={t("game.safety.menu", { user })} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 20, fontWeight: 900, cursor: "pointer", padding: "2px 6px" }}>•••</button>
+      {open && (
+        <div style={{ position: "absolute", top: "100%", right: 0, marginTop: 6, background: "#1c1c1e", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 14, padding: 6, minWidth: 180, zIndex: 5, boxShadow: "0 12px 30px rgba(0,0,0,0.5)" }}>
+          {ACTIONS.map((action) => (
+            <button
+              key={action}
+              onClick={() => { setOpen(false); onAction(action); }}
+              disabled={done.includes(action)}
+              style={{ display: "block", width: "100%", textAlign: "left", padding: "10px 12px", borderRadius: 10, border: "none", background: "transparent", color: action === "report" ? "#ff6b6b" : "#fff", fontWeight: 800, fontSize: 14, cursor: done.includes(action) ? "default" : "pointer", opacity: done.includes(action) ? 0.45 : 1 }}
+            >
+              {t(`game.safety.${action}`)}{done.includes(action) ? " ✓" : ""}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
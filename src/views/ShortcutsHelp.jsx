@@ -0,0 +1,40 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import useDialog from "./useDialog.js";
+
+// Keys handled by PlayingScreen (Escape is useDialog's, the arrows StoryViewer's)
+export const SHORTCUTS = [
+  { key: "J", id: "next" },
+  { key: "K", id: "previous" },
+  { key: "L", id: "like" },
+  { key: "N", id: "notifications" },
+  { key: "M", id: "messages" },
+  { key: "E", id: "exit" },
+  { key: "?", id: "help" },
+  { key: "← →", id: "storySlides" },
+  { key: "J / K", id: "reels" },
+  { key: "Esc", id: "close" },
+];
+
+export default function ShortcutsHelp({ onClose }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("a11y.shortcuts.open"), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.85)", zIndex: 210, display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }} onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div style={{ background: "#1c1c1e", borderRadius: 20, padding: 22, maxWidth: 360, width: "100%" }}>
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 14 }}>
+          <div style={{ flex: 1, fontWeight: 900, fontSize: 16 }}>{t("a11y.shortcuts.title")}</div>
+          <button onClick={onClose} aria-label={t("a11y.close")} style={{ background: "transparent", border: "none", color: "#6b7280", fontSize: 22, cursor: "pointer" }}>✕</button>
+        </div>
+        <dl style={{ margin: 0 }}>
+          {SHORTCUTS.map((s) => (
+            <div key={s.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "7px 0", borderBottom: "1px solid rgba(255,255,255,0.06)" }}>
+              <dt style={{ minWidth: 44, textAlign: "center" }}><kbd style={{ display: "inline-block", padding: "3px 8px", borderRadius: 6, border: "1px solid #4b5563", background: "#111", color: "#fff", fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12, fontWeight: 700 }}>{s.key}</kbd></dt>
+              <dd style={{ margin: 0, color: "#d1d5db", fontSize: 14 }}>{t(`a11y.shortcuts.${s.id}`)}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { STORY_STATS } from "../stories.js";
+
+// What the player's gestures in the stories told the app: each count (stats, see engine.js storyStats,
+// with the poll votes) next to what the app makes of it. Gestures never made are left out
+export default function StoryProfile({ stats }) {
+  const { t } = useI18n();
+  const made = STORY_STATS.filter((k) => stats[k] > 0);
+  if (!made.length) return null;
+  return (
+    <section aria-labelledby="story-profile-title" style={{ background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 20, padding: 18, marginBottom: 16, textAlign: "left" }}>
+      <div id="story-profile-title" style={{ color: "#64ffda", fontSize: 12, fontWeight: 900, letterSpacing: 1.6, marginBottom: 6 }}>{t("reveal.storyProfile.title")}</div>
+      <div style={{ color: "#9ca3af", fontSize: 13, lineHeight: 1.55, marginBottom: 8 }}>{t("reveal.storyProfile.intro")}</div>
+      {made.map((k) => (
+        <div key={k} style={{ display: "flex", gap: 12, padding: "10px 0", borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+          <div style={{ minWidth: 36, fontSize: 22, fontWeight: 1000, color: "#feca57", textAlign: "right" }}>{stats[k]}</div>
+          <div>
+            <div style={{ fontWeight: 900, fontSize: 13 }}>{t(`reveal.storyProfile.items.${k}.label`)}</div>
+            <div style={{ marginTop: 4, color: "#d1d5db", fontSize: 13, lineHeight: 1.5 }}>{t(`reveal.storyProfile.items.${k}.why`)}</div>
+          </div>
+        </div>
+      ))}
+    </section>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useRef, useState } from "react";
+import { clamp } from "../utils.js";
+import { useI18n } from "../i18n.js";
+import { countdownLeft, stickerOf } from "../stories.js";
+import SafeImg from "./SafeImg.jsx";
+import useDialog from "./useDialog.js";
+
+const HOLD_MS = 250; // a press longer than this pauses the story instead of changing slide
+
+const stickerBox = { position: "absolute", bottom: 36, left: 14, right: 14, zIndex: 7 };
+const card = { padding: 14, borderRadius: 18, background: "rgba(255,255,255,0.92)", color: "#111", textAlign: "center" };
+
+// The story on screen. slide: index of the slide shown; progress: of the whole story, 0-100; paused: held
+// down or typing; elapsed: seconds into the run, for the countdown stickers. A tap on the left or right
+// changes slide (onPrev / onNext), a long press pauses (onHold), the arrow keys do the same as the taps.
+// onSticker(choice) uses the slide's sticker; what is typed in a question sticker is never passed on
+export default function StoryViewer({ story, slide: index, progress, paused, elapsed, onClose, onNext, onPrev, onHold, onSticker, altPhoto }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("a11y.story", { user: story.user }), onClose);
+  const [answer, setAnswer] = useState("");
+  const press = useRef({ timer: null, held: false });
+  const slide = story.slides[index];
+  const sticker = stickerOf(slide);
+
+  const pressStart = () => {
+    clearTimeout(press.current.timer);
+    press.current.held = false;
+    press.current.timer = setTimeout(() => { press.current.held = true; onHold(true); }, HOLD_MS);
+  };
+  const pressEnd = () => {
+    clearTimeout(press.current.timer);
+    if (press.current.held) onHold(false);
+  };
+  // The click after a long press only ends the hold
+  const tap = (go) => () => {
+    if (press.current.held) { press.current.held = false; return; }
+    go();
+  };
+  const onKeyDown = (e) => {
+    if (e.target.tagName === "INPUT") return;
+    if (e.key === "ArrowRight") { e.preventDefault(); onNext(); }
+    else if (e.key === "ArrowLeft") { e.preventDefault(); onPrev(); }
+  };
+  const sendAnswer = (e) => {
+    e.preventDefault();
+    if (!answer.trim()) return;
+    setAnswer("");
+    onHold(false, true);
+    onSticker();
+  };
+  const zone = (side, go, label) => (
+    <button aria-label={label} onClick={tap(go)} onPointerDown={pressStart} onPointerUp={pressEnd} onPointerLeave={pressEnd} onContextMenu={(e) => e.preventDefault()}
+      style={{ position: "absolute", top: 0, bottom: 0, [side]: 0, width: side === "left" ? "30%" : "70%", background: "transparent", border: "none", cursor: "pointer", zIndex: 2, WebkitTouchCallout: "none" }} />
+  );
+
+  return (
+    <div {...dialog} onKeyDown={onKeyDown} style={{ position: "fixed", inset: 0, background: "#000", zIndex: 170, userSelect: "none" }}>
+      <div role="progressbar" aria-label={t("a11y.storyProgress")} aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(clamp(progress, 0, 100))} style={{ position: "absolute", top: 10, left: 10, right: 10, display: "flex", gap: 4, zIndex: 5 }}>
+        {story.slides.map((_, i) => {
+          const per = 100 / story.slides.length;
+          const w = clamp((progress - i * per) * story.slides.length, 0, 100);
+          return (<div key={i} style={{ flex: 1, height: 3, background: "rgba(255,255,255,0.25)", borderRadius: 2 }}><div style={{ height: "100%", width: w + "%", background: "#fff" }} /></div>);
+        })}
+      </div>
+      <div style={{ position: "absolute", top: 18, left: 14, right: 14, display: "flex", alignItems: "center", gap: 10, zIndex: 6 }}>
+        <SafeImg src={story.avatar} alt="" style={{ width: 36, height: 36, borderRadius: "50%", border: `2px solid ${slide.closeFriends ? "#2ecc71" : "#fff"}`, objectFit: "cover" }} getAltSrc={altPhoto(null, 200)} />
+        <div style={{ fontWeight: 1000, fontSize: 14, flex: 1 }}>
+          {story.user}
+          {slide.closeFriends && <span style={{ marginLeft: 8, padding: "2px 8px", borderRadius: 999, background: "#2ecc71", color: "#000", fontSize: 11, fontWeight: 900 }}>{t("game.story.closeFriends")}</span>}
+        </div>
+        <button onClick={() => onHold(!paused)} aria-label={t(paused ? "game.story.resume" : "game.story.pause")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 18, cursor: "pointer" }}>{paused ? "▶" : "❚❚"}</button>
+        <button onClick={onClose} aria-label={t("a11y.close")} style={{ background: "transparent", border: "none", color: "#fff", fontSize: 22, cursor: "pointer" }}>✕</button>
+      </div>
+      <SafeImg src={slide.image} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} getAltSrc={altPhoto(null, 900)} />
+      {zone("left", onPrev, t("game.story.prev"))}
+      {zone("right", onNext, t("game.story.next"))}
+      <div aria-live="polite" style={{ position: "absolute", bottom: 150, left: "50%", transform: "translateX(-50%)", background: "rgba(0,0,0,0.58)", padding: "10px 16px", borderRadius: 999, backdropFilter: "blur(10px)", color: "#fff", fontWeight: 1000, fontSize: 16, textAlign: "center", maxWidth: "90%", zIndex: 3, pointerEvents: "none" }}>{slide.text}</div>
+
+      {sticker === "poll" && (
+        <div role="group" aria-label={slide.text} style={{ ...stickerBox, display: "flex", gap: 10 }}>
+          {["a", "b"].map((k) => {
+            const share = k === "a" ? slide.poll.shareA : 100 - slide.poll.shareA;
+            const mine = slide.used === k;
+            return (
+              <button key={k} onClick={() => onSticker(k)} disabled={Boolean(slide.used)} aria-pressed={mine}
+                style={{ position: "relative", overflow: "hidden", flex: 1, padding: 12, borderRadius: 14, border: `1px solid ${mine ? "#fff" : "rgba(255,255,255,0.18)"}`, background: "rgba(0,0,0,0.35)", color: "#fff", fontWeight: 1000, cursor: slide.used ? "default" : "pointer" }}>
+                {slide.used && <span aria-hidden="true" style={{ position: "absolute", inset: 0, width: share + "%", background: mine ? "rgba(100,255,218,0.35)" : "rgba(255,255,255,0.15)" }} />}
+                <span style={{ position: "relative" }}>{slide.poll[k]}{slide.used && ` · ${share}%`}{mine && " ✓"}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {sticker === "question" && (
+        <form onSubmit={sendAnswer} style={{ ...stickerBox, ...card }}>
+          <div style={{ fontWeight: 900, fontSize: 15, marginBottom: 10 }}>{slide.question.prompt}</div>
+          {slide.used ? (
+            <div style={{ fontSize: 13, fontWeight: 800, color: "#0a7d5a" }}>{t("game.story.answered", { user: story.user })}</div>
+          ) : (
+            <div style={{ display: "flex", gap: 8 }}>
+              <input value={answer} onChange={(e) => setAnswer(e.target.value)} onFocus={() => onHold(true, true)} onBlur={() => onHold(false, true)} placeholder={t("game.story.answerPlaceholder")} aria-label={slide.question.prompt} autoComplete="off"
+                style={{ flex: 1, minWidth: 0, padding: "10px 12px", borderRadius: 12, border: "1px solid #d1d5db", background: "#f3f4f6", color: "#111", fontSize: 14 }} />
+              <button type="submit" style={{ padding: "10px 14px", borderRadius: 12, border: "none", background: "#111", color: "#fff", fontWeight: 900, cursor: "pointer" }}>{t("game.story.send")}</button>
+            </div>
+          )}
+        </form>
+      )}
+
+      {sticker === "countdown" && (
+        <div style={{ ...stickerBox, ...card }}>
+          <div style={{ fontWeight: 900, fontSize: 13, textTransform: "uppercase", letterSpacing: 1 }}>{slide.countdown.title}</div>
+          <div style={{ fontSize: 30, fontWeight: 1000, fontVariantNumeric: "tabular-nums", margin: "6px 0 10px" }}>{countdownLeft(slide.countdown.hours, elapsed)}</div>
+          <button onClick={() => onSticker()} disabled={Boolean(slide.used)} style={{ width: "100%", padding: 10, borderRadius: 12, border: "none", background: slide.used ? "#e5e7eb" : "linear-gradient(45deg,#f09433,#dc2743,#bc1888)", color: slide.used ? "#111" : "#fff", fontWeight: 900, cursor: slide.used ? "default" : "pointer" }}>
+            {t(slide.used ? "game.story.reminderSet" : "game.story.remindMe")}
+          </button>
+        </div>
+      )}
+
+      {sticker === "link" && (
+        <div style={{ ...stickerBox, display: "flex", justifyContent: "center" }}>
+          <button onClick={() => onSticker()} disabled={Boolean(slide.used)} style={{ padding: "10px 16px", borderRadius: 999, border: "none", background: "#fff", color: "#0095f6", fontWeight: 900, fontSize: 14, cursor: slide.used ? "default" : "pointer", opacity: slide.used ? 0.6 : 1 }}>🔗 {slide.link.label}</button>
+        </div>
+      )}
+    </div>
+  );
+}
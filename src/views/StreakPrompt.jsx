@@ -0,0 +1,26 @@
+import React from "react";
+import { useI18n } from "../i18n.js";
+import { formatTime } from "../utils.js";
+import useDialog from "./useDialog.js";
+
+// Loss aversion at the exit: the streak is not safe yet today and will soon be lost (streak.js).
+// onClose: Escape, which neither stays nor leaves
+export default function StreakPrompt({ streak, remaining, hoursLeft, onStay, onLeave, onClose }) {
+  const { t } = useI18n();
+  const dialog = useDialog(t("game.streakPrompt.title"), onClose);
+  return (
+    <div {...dialog} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.85)", zIndex: 200, display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}>
+      <div style={{ background: "#1c1c1e", borderRadius: 20, padding: 24, maxWidth: 340, width: "100%", textAlign: "center" }}>
+        <div style={{ fontSize: 48, marginBottom: 8 }}>🔥</div>
+        <div style={{ fontSize: 40, fontWeight: 1000, color: "#feca57", marginBottom: 8 }}>{streak}</div>
+        <div style={{ fontSize: 16, fontWeight: 900, marginBottom: 8 }}>{t("game.streakPrompt.title")}</div>
+        <div style={{ color: "#d1d5db", fontSize: 14, marginBottom: 8, lineHeight: 1.5 }}>{t("game.streakPrompt.lose", { count: streak, hours: hoursLeft })}</div>
+        <div style={{ color: "#feca57", fontSize: 13, fontWeight: 800, marginBottom: 20 }}>{t("game.streakPrompt.remaining", { time: formatTime(remaining) })}</div>
+        <div style={{ display: "flex", gap: 12, flexDirection: "column" }}>
+          <button onClick={onStay} style={{ padding: "14px 20px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#ff6b6b,#feca57)", color: "#000", fontWeight: 900, cursor: "pointer", fontSize: 15 }}>{t("game.streakPrompt.stay")}</button>
+          <button onClick={onLeave} style={{ padding: "14px 20px", borderRadius: 12, border: "1px solid #333", background: "transparent", color: "#6b7280", fontWeight: 700, cursor: "pointer", fontSize: 14 }}>{t("game.streakPrompt.leave")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
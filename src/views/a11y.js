@@ -0,0 +1,19 @@
+// Small accessibility helpers shared by the views (see also useDialog.js)
+
+// Read by screen readers, invisible on screen
+export const srOnly = { position: "absolute", width: 1, height: 1, padding: 0, margin: -1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap", border: 0 };
+
+// A clickable <div> that also works from the keyboard: <div {...pressable(open)}>
+export function pressable(onPress) {
+  return {
+    role: "button",
+    tabIndex: 0,
+    onClick: onPress,
+    onKeyDown: (e) => {
+      if (e.target !== e.currentTarget || (e.key !== "Enter" && e.key !== " ")) return;
+      e.preventDefault();
+      onPress(e);
+    },
+  };
+}
+
@@ -0,0 +1,202 @@
+import { formatTime } from "../utils.js";
+import { ACHIEVEMENTS, RARITY_COLORS } from "../achievements.js";
+
+// The shareable certificate of a run (1080x1920 PNG, story format), drawn on a canvas
+export function drawCertificate({ t, handle, seed, score, estimatedTime, timeSpent, badges }) {
+  const timeRatio = estimatedTime ? timeSpent / estimatedTime : 0;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const W = 1080;
+  const H = 1920;
+  canvas.width = W;
+  canvas.height = H;
+
+  // Background gradient
+  const bgGrad = ctx.createLinearGradient(0, 0, W, H);
+  bgGrad.addColorStop(0, "#0a0a0a");
+  bgGrad.addColorStop(0.5, "#111827");
+  bgGrad.addColorStop(1, "#0a0a0a");
+  ctx.fillStyle = bgGrad;
+  ctx.fillRect(0, 0, W, H);
+
+  // Decorative circles
+  ctx.globalAlpha = 0.08;
+  ctx.fillStyle = "#ff3366";
+  ctx.beginPath();
+  ctx.arc(-100, 300, 400, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#64ffda";
+  ctx.beginPath();
+  ctx.arc(W + 100, H - 400, 450, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.globalAlpha = 1;
+
+  // Header emoji
+  ctx.font = "120px Arial";
+  ctx.textAlign = "center";
+  ctx.fillText("🪤", W / 2, 180);
+
+  // Title
+  ctx.font = "bold 72px -apple-system, BlinkMacSystemFont, sans-serif";
+  const titleGrad = ctx.createLinearGradient(W / 2 - 300, 0, W / 2 + 300, 0);
+  titleGrad.addColorStop(0, "#ff3366");
+  titleGrad.addColorStop(0.5, "#ff6b6b");
+  titleGrad.addColorStop(1, "#feca57");
+  ctx.fillStyle = titleGrad;
+  ctx.fillText("SCROLL TRAP", W / 2, 290);
+
+  // Subtitle
+  ctx.font = "bold 36px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#64ffda";
+  ctx.fillText(t("certificate.title"), W / 2, 360);
+
+  // Divider
+  ctx.strokeStyle = "rgba(255,255,255,0.15)";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(100, 420);
+  ctx.lineTo(W - 100, 420);
+  ctx.stroke();
+
+  // Account name
+  ctx.font = "bold 42px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText("@" + handle, W / 2, 510);
+
+  // Score card background
+  const scoreColor = score > 70 ? "#ff6b6b" : score > 40 ? "#feca57" : "#64ffda";
+  ctx.fillStyle = "rgba(255,255,255,0.05)";
+  roundRect(ctx, 120, 560, W - 240, 280, 30);
+  ctx.fill();
+  ctx.strokeStyle = scoreColor;
+  ctx.lineWidth = 3;
+  roundRect(ctx, 120, 560, W - 240, 280, 30);
+  ctx.stroke();
+
+  // Score label
+  ctx.font = "bold 28px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#9ca3af";
+  ctx.fillText(t("certificate.score"), W / 2, 620);
+
+  // Score number
+  ctx.font = "bold 140px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = scoreColor;
+  ctx.fillText(score + "%", W / 2, 770);
+
+  // Time section
+  ctx.fillStyle = "rgba(255,255,255,0.05)";
+  roundRect(ctx, 120, 880, W - 240, 160, 30);
+  ctx.fill();
+
+  ctx.font = "bold 28px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#9ca3af";
+  ctx.fillText(t("certificate.time"), W / 2, 940);
+
+  const timeColor = timeRatio > 1.5 ? "#ff6b6b" : timeRatio > 1 ? "#feca57" : "#64ffda";
+  ctx.font = "bold 48px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#ffffff";
+  const timeText = estimatedTime ? t("certificate.timeCompare", { estimated: formatTime(estimatedTime), real: formatTime(timeSpent) }) : formatTime(timeSpent);
+  ctx.fillText(timeText, W / 2, 1005);
+
+  // Badges section
+  ctx.font = "bold 28px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#64ffda";
+  ctx.fillText(t("certificate.badges", { n: badges.length, total: ACHIEVEMENTS.length }), W / 2, 1120);
+
+  // Badge tiles: one row of large tiles up to 3 badges, then two rows of compact ones (icon and title)
+  if (badges.length > 0) {
+    const compact = badges.length > 3;
+    const perRow = compact ? Math.ceil(badges.length / 2) : badges.length;
+    const badgeWidth = 200;
+    const badgeHeight = compact ? 100 : 180;
+    const gap = compact ? 16 : 30;
+
+    badges.forEach((badge, i) => {
+      const row = Math.floor(i / perRow);
+      const inRow = Math.min(perRow, badges.length - row * perRow);
+      const bx = (W - (inRow * badgeWidth + (inRow - 1) * gap)) / 2 + (i % perRow) * (badgeWidth + gap);
+      const by = 1150 + row * (badgeHeight + 14);
+      const color = RARITY_COLORS[badge.rarity] || "#64ffda";
+      ctx.fillStyle = "rgba(100,255,218,0.1)";
+      roundRect(ctx, bx, by, badgeWidth, badgeHeight, 20);
+      ctx.fill();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      roundRect(ctx, bx, by, badgeWidth, badgeHeight, 20);
+      ctx.stroke();
+
+      if (compact) {
+        ctx.font = "40px Arial";
+        ctx.fillText(badge.icon, bx + badgeWidth / 2, by + 48);
+        ctx.font = "bold 20px -apple-system, BlinkMacSystemFont, sans-serif";
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText(badge.title, bx + badgeWidth / 2, by + 84);
+        return;
+      }
+
+      ctx.font = "60px Arial";
+      ctx.fillText(badge.icon, bx + badgeWidth / 2, by + 70);
+      
+      ctx.font = "bold 22px -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(badge.title, bx + badgeWidth / 2, by + 130);
+      
+      ctx.font = "18px -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.fillStyle = "#9ca3af";
+      ctx.fillText(badge.desc, bx + badgeWidth / 2, by + 160);
+    });
+  } else {
+    ctx.font = "32px -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.fillStyle = "#6b7280";
+    ctx.fillText(t("certificate.noBadges"), W / 2, 1240);
+  }
+
+  // Lessons learned
+  ctx.fillStyle = "rgba(255,255,255,0.03)";
+  roundRect(ctx, 80, 1380, W - 160, 320, 24);
+  ctx.fill();
+
+  ctx.font = "bold 26px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#feca57";
+  ctx.fillText(t("certificate.lessonsTitle"), W / 2, 1430);
+
+  ctx.font = "24px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#d1d5db";
+  ctx.textAlign = "left";
+  const lessons = ["profiling", "emptyNotifications", "infiniteScroll", "suspiciousProfiles"].map((k) => t(`certificate.lessons.${k}`));
+  lessons.forEach((l, i) => {
+    ctx.fillText(l, 140, 1490 + i * 50);
+  });
+
+  // Footer
+  ctx.textAlign = "center";
+  ctx.font = "bold 28px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(t("certificate.footer"), W / 2, 1780);
+  
+  ctx.font = "24px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#9ca3af";
+  ctx.fillText(t("certificate.author"), W / 2, 1820);
+
+  ctx.font = "20px -apple-system, BlinkMacSystemFont, sans-serif";
+  ctx.fillStyle = "#6b7280";
+  const today = t.date(new Date(), { day: "numeric", month: "long", year: "numeric" });
+  ctx.fillText(t("certificate.dateLine", { date: today, seed }), W / 2, 1870);
+
+  return canvas.toDataURL("image/png");
+}
+
+// Rounded rectangle path (CanvasRenderingContext2D.roundRect is not everywhere yet)
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + w - r, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+  ctx.lineTo(x + w, y + h - r);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+  ctx.lineTo(x + r, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+  ctx.lineTo(x, y + r);
+  ctx.quadraticCurveTo(x, y, x + r, y);
+  ctx.closePath();
+}
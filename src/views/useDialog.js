@@ -0,0 +1,62 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, video[controls], [tabindex]:not([tabindex="-1"])';
+
+// Dialogs currently open, the topmost last: only that one reacts to the keyboard
+const openDialogs = [];
+
+export function isDialogOpen() {
+  return openDialogs.length > 0;
+}
+
+/**
+ * Focus management for a modal window. Spread the result on its root element:
+ *
+ *   const dialog = useDialog(t("game.comments.title"), onClose);
+ *   return <div {...dialog}>…</div>;
+ *
+ * On open, focus moves to the first focusable element (the dialog itself if
+ * there is none); Tab and Shift+Tab cycle inside; Escape calls onClose, if
+ * given; on close, focus goes back to where it was.
+ */
+export default function useDialog(label, onClose) {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node) return;
+    const previous = document.activeElement;
+    const entry = { node };
+    openDialogs.push(entry);
+    const focusables = () => Array.from(node.querySelectorAll(FOCUSABLE));
+    (focusables()[0] || node).focus({ preventScroll: true });
+
+    const onKeyDown = (e) => {
+      if (openDialogs[openDialogs.length - 1] !== entry) return;
+      if (e.key === "Escape") {
+        if (!onCloseRef.current) return;
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = focusables();
+      if (!items.length) { e.preventDefault(); node.focus(); return; }
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = node.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === node)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && (!inside || document.activeElement === last)) { e.preventDefault(); first.focus(); }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      openDialogs.splice(openDialogs.indexOf(entry), 1);
+      if (previous && previous.isConnected && typeof previous.focus === "function") previous.focus({ preventScroll: true });
+    };
+  }, []);
+
+  return { ref, role: "dialog", "aria-modal": true, "aria-label": label, tabIndex: -1 };
+}
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+
+// How long each post of the feed stays on screen. Posts are found by their
+// data-post-id inside rootRef; onLeave(postId, seconds, scrolledPast) fires when
+// one leaves the viewport (seconds is 0 if it never got half on screen).
+export default function useDwellTracker(rootRef, active, posts, onLeave) {
+  const onLeaveRef = useRef(onLeave);
+  onLeaveRef.current = onLeave;
+  const observerRef = useRef(null);
+
+  useEffect(() => {
+    if (!active || typeof IntersectionObserver === "undefined") return;
+    const visible = {}; // postId -> on screen since (ms), 0 while only peeking in
+    const observer = new IntersectionObserver((entries) => {
+      const now = Date.now();
+      entries.forEach((entry) => {
+        const id = Number(entry.target.dataset.postId);
+        const root = entry.rootBounds;
+        // Tall posts (reels) never reach a 50% ratio on small screens: half the viewport is enough
+        const seen = entry.intersectionRatio >= 0.5 || Boolean(root && entry.intersectionRect.height >= root.height * 0.5);
+        if (entry.isIntersecting) {
+          if (!(id in visible)) visible[id] = 0;
+          if (seen && !visible[id]) visible[id] = now;
+          return;
+        }
+        if (!(id in visible)) return;
+        const since = visible[id];
+        delete visible[id];
+        const scrolledPast = Boolean(root) && entry.boundingClientRect.bottom <= root.top + 1;
+        onLeaveRef.current(id, since ? (now - since) / 1000 : 0, scrolledPast);
+      });
+    }, { root: rootRef.current, threshold: [0, 0.25, 0.5, 0.75, 1] });
+    observerRef.current = observer;
+    return () => { observer.disconnect(); observerRef.current = null; };
+  }, [active, rootRef]);
+
+  // Observing a node twice is a no-op, so new posts can simply be picked up after each render
+  useEffect(() => {
+    if (!observerRef.current || !rootRef.current) return;
+    rootRef.current.querySelectorAll("[data-post-id]").forEach((node) => observerRef.current.observe(node));
+  }, [active, posts, rootRef]);
+}
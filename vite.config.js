@@ -1,10 +1,55 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    outDir: 'dist',
-    minify: 'esbuild'
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_')
+  // Photos and clips are only worth pre-caching when the build serves them (docs/local-media.md)
+  const localMedia = env.VITE_MEDIA_MODE === 'local'
+
+  return {
+    plugins: [
+      react(),
+      VitePWA({
+        strategies: 'injectManifest',
+        srcDir: 'src',
+        filename: 'sw.js',
+        registerType: 'prompt',
+        injectRegister: false,
+        manifest: {
+          name: 'ScrollTrap',
+          short_name: 'ScrollTrap',
+          description: 'Simulatore educativo sui meccanismi di manipolazione dei social media',
+          lang: 'it',
+          start_url: '/',
+          scope: '/',
+          display: 'standalone',
+          orientation: 'portrait',
+          background_color: '#0a0a0a',
+          theme_color: '#0a0a0a',
+          icons: [
+            { src: 'favicon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+          ],
+        },
+        injectManifest: {
+          globPatterns: [
+            '**/*.{js,css,html,svg,png,webmanifest}',
+            'scenarios/*.json',
+            ...(localMedia ? ['media/**/*.{jpg,webm,mp4}'] : []),
+          ],
+          globIgnores: localMedia ? [] : ['media/**'],
+          // Reel clips are a few MB each
+          maximumFileSizeToCacheInBytes: 40 * 1024 * 1024,
+        },
+      }),
+    ],
+    build: {
+      outDir: 'dist',
+      minify: 'esbuild'
+    },
+    test: {
+      environment: 'jsdom',
+      include: ['src/**/*.test.{js,jsx}', 'server/**/*.test.mjs'],
+    },
   }
 })